@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const { parseArgs } = require('util');
+const podPreview = require('../lib/podPreview');
+
+const USAGE = `Usage: sd-k8s-render --config <executor config> [--build <build config>] [--cluster <name>] [--diff <executor config>]
+
+Prints the pod YAML of a build without contacting any cluster.
+
+  -c, --config   YAML or JSON file with the executor options (ecosystem, kubernetes, prefix, ...)
+  -b, --build    YAML or JSON file with the build config (annotations, jobName, token, ...)
+      --cluster  name of the cluster of kubernetes.clusters to render the pod for
+  -d, --diff     YAML or JSON file with other executor options, prints the changes of the pod
+                 between --config and --diff instead, and exits with 1 when there are changes
+  -h, --help     prints this message
+`;
+
+/**
+ * Runs the CLI
+ * @param  {Array}  args  command line arguments
+ * @return {Number}       exit code
+ */
+function main(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            config: { type: 'string', short: 'c' },
+            build: { type: 'string', short: 'b' },
+            cluster: { type: 'string' },
+            diff: { type: 'string', short: 'd' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help || !values.config) {
+        process.stdout.write(USAGE);
+
+        return values.help ? 0 : 2;
+    }
+
+    const buildConfig = values.build ? podPreview.loadFile(values.build) : {};
+    const render = configPath =>
+        podPreview.renderPod(podPreview.loadFile(configPath), buildConfig, { cluster: values.cluster });
+    const podConfig = render(values.config);
+
+    if (!values.diff) {
+        process.stdout.write(podPreview.toYaml(podConfig));
+
+        return 0;
+    }
+
+    const changes = podPreview.diffPods(podConfig, render(values.diff));
+
+    process.stdout.write(changes.length ? `${podPreview.formatDiff(changes)}\n` : 'No changes\n');
+
+    return changes.length ? 1 : 0;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    process.exitCode = 2;
+}
@@ -7,11 +7,21 @@ const hoek = require('@hapi/hoek');
 const path = require('path');
 const randomstring = require('randomstring');
 const request = require('screwdriver-request');
-const handlebars = require('handlebars');
 const yaml = require('js-yaml');
 const _ = require('lodash');
 const jwt = require('jsonwebtoken');
 const logger = require('screwdriver-logger');
+const cron = require('./lib/cron');
+const PodWatcher = require('./lib/podWatcher');
+const NamespaceResolver = require('./lib/namespaceResolver');
+const podStatus = require('./lib/podStatus');
+const podPatches = require('./lib/podPatches');
+const podTemplate = require('./lib/podTemplate');
+const services = require('./lib/services');
+const annotationSchema = require('./lib/annotationSchema');
+const quota = require('./lib/quota');
+const { PR_JOBNAME_REGEX_PATTERN } = require('./lib/prJobs');
+const securityProfiles = require('./lib/securityProfiles');
 
 const DEFAULT_BUILD_TIMEOUT = 90; // 90 minutes
 const MAX_BUILD_TIMEOUT = 120; // 120 minutes
@@ -22,6 +32,8 @@ const RAM_RESOURCE = 'ram';
 const DISK_RESOURCE = 'disk';
 const DISK_SPEED_RESOURCE = 'diskSpeed';
 const ANNOTATE_BUILD_TIMEOUT = 'timeout';
+const PRIORITY_ANNOTATION = 'priority';
+const SECURITY_PROFILE_ANNOTATION = 'securityProfile';
 const TOLERATIONS_PATH = 'spec.tolerations';
 const AFFINITY_NODE_SELECTOR_PATH =
     'spec.affinity.nodeAffinity.requiredDuringSchedulingIgnoredDuringExecution.nodeSelectorTerms[0].matchExpressions';
@@ -29,6 +41,7 @@ const AFFINITY_PREFERRED_NODE_SELECTOR_PATH =
     'spec.affinity.nodeAffinity.preferredDuringSchedulingIgnoredDuringExecution';
 const PREFERRED_WEIGHT = 100;
 const DISK_CACHE_STRATEGY = 'disk';
+const DEFAULT_POD_TEMPLATE_PATH = path.resolve(__dirname, './config/pod.yaml.hbs');
 const DOCKER_ENABLED_KEY = 'dockerEnabled';
 const DOCKER_MEMORY_RESOURCE = 'dockerRam';
 const DOCKER_CPU_RESOURCE = 'dockerCpu';
@@ -37,13 +50,216 @@ const BUILDKIT_MEMORY_RESOURCE = 'buildkitRam';
 const BUILDKIT_CPU_RESOURCE = 'buildkitCpu';
 const ANNOTATIONS_PATH = 'metadata.annotations';
 const LABELS_PATH = 'metadata.labels';
-const CONTAINER_WAITING_REASON_PATH = 'status.containerStatuses.0.state.waiting.reason';
-const PR_JOBNAME_REGEX_PATTERN = /^PR-([0-9]+)(?::[\w-]+)?$/gi;
+// no g flag, exec would continue from the last match of the previous build
 const MATCH_LABEL_REGEX_PATTERN = /(?:^[-_.]*)([\w-.]*?)(?:[-_.]*$)/g;
 const DISALLOWED_LABEL_CHAR_REGEX_PATTERN = /[^\w-.]+/g;
 const ALPHANUMERIC_START_END_REGEX_PATTERN = /^[^A-Za-z0-9]*|[^A-Za-z0-9]*$/g;
 const TERMINATION_GRACE_PERIOD_SECONDS = 'terminationGracePeriodSeconds';
 const POD_STATUSQUERY_RETRYDELAY_MS = 500;
+const SERVICE_ACCOUNT_TOKEN_PATH = '/var/run/secrets/kubernetes.io/serviceaccount/token';
+const SERVICE_ACCOUNT_CA_PATH = '/var/run/secrets/kubernetes.io/serviceaccount/ca.crt';
+const PERIODIC_CRON_ANNOTATION = 'buildPeriodically';
+const PERIODIC_TIMEZONE_ANNOTATION = 'buildPeriodicallyTimeZone';
+const PERIODIC_CONCURRENCY_ANNOTATION = 'buildPeriodicallyConcurrencyPolicy';
+const CONCURRENCY_POLICIES = ['Allow', 'Forbid', 'Replace'];
+const DEFAULT_TRIGGER_IMAGE = 'curlimages/curl:8.10.1';
+const DEFAULT_TRIGGER_TOKEN_SECRET = 'screwdriver-scheduler-token';
+const TRIGGER_CONTAINER_NAME = 'sd-trigger';
+const TRIGGER_COMMAND =
+    'curl -sSf -X POST "$SD_API_URI/v4/events" -H "Authorization: Bearer $SD_TOKEN" ' +
+    '-H "Content-Type: application/json" -d "$SD_EVENT"';
+const DELAYED_TRIGGER_COMMAND = `DELAY=$((SD_START_TIME - $(date +%s))); if [ "$DELAY" -gt 0 ]; then sleep "$DELAY"; fi; ${TRIGGER_COMMAND}`;
+const FROZEN_JOB_TTL_SECONDS = 3600;
+const JOB_WORKLOAD_KIND = 'job';
+const JOB_DEADLINE_BUFFER_SECONDS = 300;
+const BUILD_CLUSTER_ANNOTATION = 'buildCluster';
+const POD_ATTEMPT_LABEL = 'screwdriver.cd/attempt';
+const FINISHED_BUILD_STATUSES = ['SUCCESS', 'FAILURE', 'ABORTED', 'UNSTABLE', 'COLLAPSED'];
+const GC_TIER = 'gc';
+const GC_GRACE_MINUTES = 30;
+const GC_DEFAULTS = {
+    interval: 0,
+    hostPathCleanup: false,
+    cleanupImage: 'busybox:1.36.1',
+    eventCacheRetention: 1440
+};
+const GC_CLEANUP_CONTAINER_NAME = 'sd-gc';
+// build pods checked at once by garbage collection, each with a request to the Screwdriver API
+const GC_BATCH_SIZE = 10;
+const QUOTA_DEFAULTS = {
+    check: false,
+    cacheSeconds: 30
+};
+const GC_CLEANUP_DEADLINE_SECONDS = 600;
+// connection options which are not inherited by the clusters from the top level kubernetes options
+const CLUSTER_OPTIONS = [
+    'clusters',
+    'weight',
+    'host',
+    'token',
+    'kubeconfig',
+    'context',
+    'ca',
+    'caPath',
+    'clientCert',
+    'clientKey',
+    'rejectUnauthorized',
+    'jobsNamespace',
+    'nodeSelectors'
+];
+const MAX_RECORDED_BUILD_CLUSTERS = 10000;
+const EPHEMERAL_STORAGE_EVICTION_REGEX_PATTERN = /ephemeral local storage|ephemeral-storage|EmptyDir volume/i;
+
+/**
+ * Reads a file if it exists
+ * @param  {String} filePath  path to the file
+ * @return {String}           file content, or undefined if file does not exist
+ */
+function readFileIfExists(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        return undefined;
+    }
+
+    return fs.readFileSync(filePath).toString();
+}
+
+/**
+ * Loads cluster connection settings from a kubeconfig file
+ * @param  {String} kubeconfigPath  path to the kubeconfig file
+ * @param  {String} [contextName]   context to use, defaults to current-context
+ * @return {Object}                 server, namespace, token, ca, cert, key and insecure settings
+ */
+function loadKubeconfig(kubeconfigPath, contextName) {
+    const kubeconfig = yaml.load(fs.readFileSync(kubeconfigPath, 'utf8')) || {};
+    const name = contextName || kubeconfig['current-context'];
+    const findByName = (list, itemName) => (list || []).find(item => item.name === itemName) || {};
+    const { context } = findByName(kubeconfig.contexts, name);
+
+    if (!context) {
+        throw new Error(`Context ${name} not found in kubeconfig ${kubeconfigPath}`);
+    }
+
+    const cluster = findByName(kubeconfig.clusters, context.cluster).cluster || {};
+    const user = findByName(kubeconfig.users, context.user).user || {};
+    const decode = data => (data ? Buffer.from(data, 'base64').toString() : undefined);
+
+    return {
+        server: cluster.server ? cluster.server.replace(/\/+$/, '') : undefined,
+        namespace: context.namespace,
+        token: user.token || readFileIfExists(user.tokenFile),
+        ca: decode(cluster['certificate-authority-data']) || readFileIfExists(cluster['certificate-authority']),
+        cert: decode(user['client-certificate-data']) || readFileIfExists(user['client-certificate']),
+        key: decode(user['client-key-data']) || readFileIfExists(user['client-key']),
+        insecure: cluster['insecure-skip-tls-verify'] === true
+    };
+}
+
+/**
+ * Get the TLS options of the requests to the Kubernetes API
+ * @param  {Object} kubernetes  kubernetes options of the executor
+ * @param  {Object} kubeconfig  settings loaded from the kubeconfig file, empty without one
+ * @return {Object}             https options, with the CA and client certificate if any
+ */
+function getK8sHttpsOptions(kubernetes, kubeconfig) {
+    const { rejectUnauthorized = !kubeconfig.insecure } = kubernetes;
+    const httpsOptions = { rejectUnauthorized: ![false, 'false'].includes(rejectUnauthorized) };
+    const ca =
+        kubernetes.ca ||
+        readFileIfExists(kubernetes.caPath) ||
+        kubeconfig.ca ||
+        (kubernetes.kubeconfig ? undefined : readFileIfExists(SERVICE_ACCOUNT_CA_PATH));
+    const clientCert = kubernetes.clientCert || kubeconfig.cert;
+    const clientKey = kubernetes.clientKey || kubeconfig.key;
+
+    if (ca) {
+        httpsOptions.certificateAuthority = ca;
+    }
+    if (clientCert && clientKey) {
+        httpsOptions.certificate = clientCert;
+        httpsOptions.key = clientKey;
+    }
+
+    return httpsOptions;
+}
+
+/**
+ * Get the circuit breaker options of the Kubernetes API. Pods rejected by a ResourceQuota wait for quota:
+ * these rejections are neither retried nor trip the breaker.
+ * @param  {Object} [fusebox]  circuit breaker options of the executor
+ * @return {Object}            circuit breaker options
+ */
+function getFuseboxOptions(fusebox = {}) {
+    return {
+        ...fusebox,
+        shouldRetry: err => !quota.isExceededQuotaError(err),
+        breaker: { ...fusebox.breaker, errorFn: err => !quota.isExceededQuotaError(err) }
+    };
+}
+
+/**
+ * Reads a screwdriver.cd annotation, with or without the beta. prefix
+ * @param  {Object} annotations  raw annotations
+ * @param  {String} key          annotation name without the screwdriver.cd/ prefix
+ * @return {*}                   annotation value
+ */
+function getAnnotation(annotations, key) {
+    const value = hoek.reach(annotations, [`screwdriver.cd/${key}`]);
+
+    return value === undefined ? hoek.reach(annotations, [`beta.screwdriver.cd/${key}`]) : value;
+}
+
+/**
+ * Get the disk cache path of the builds, in a directory named after the prefix if any
+ * @param  {Object} options  executor options
+ * @return {String}          cache path
+ */
+function getCachePath(options) {
+    const cachePath = hoek.reach(options, 'ecosystem.cache.path', { default: '/' });
+
+    return cachePath && options.prefix ? `${cachePath}/${options.prefix}` : cachePath;
+}
+
+/**
+ * Computes the request of a resource from its limit
+ * @param  {Number}        limit     resource limit
+ * @param  {String}        tier      resource tier (e.g.: TURBO), empty for custom values
+ * @param  {Object}        requests  explicit requests keyed by lower case tier
+ * @param  {Number|Object} ratio     request to limit ratio, or ratios keyed by lower case tier
+ * @return {Number}                  resource request, never above the limit
+ */
+function getResourceRequest(limit, tier, requests, ratio) {
+    const key = _.toLower(tier);
+
+    if (key && _.isNumber(hoek.reach(requests, [key]))) {
+        return Math.min(requests[key], limit);
+    }
+
+    // tiers without a ratio and custom values are not overcommitted
+    const tierRatio = _.isObject(ratio) ? hoek.reach(ratio, [key], { default: 1 }) : ratio;
+
+    return Math.min(limit * tierRatio, limit);
+}
+
+/**
+ * Builds a status message for a pod evicted for using more local disk than its limits
+ * @param  {Object} pod  k8s pod
+ * @return {String}      the message, or empty string if the pod was not evicted for disk usage
+ */
+function getDiskEvictionMessage(pod) {
+    const reason = hoek.reach(pod, 'status.reason');
+    const message = hoek.reach(pod, 'status.message') || '';
+
+    if (reason !== 'Evicted' || !EPHEMERAL_STORAGE_EVICTION_REGEX_PATTERN.test(message)) {
+        return '';
+    }
+
+    const disk = hoek.reach(pod, ['metadata', 'labels', 'screwdriver.cd/disk']) || 'LOW';
+
+    return (
+        `Build was evicted for using more disk than the ${disk} disk tier allows: ${message} ` +
+        'Please reduce the disk usage of the build or request a larger disk with the screwdriver.cd/disk annotation.'
+    );
+}
 
 /**
  * Parses annotations config and update intended annotations
@@ -58,6 +274,58 @@ function setAnnotations(podConfig, annotations) {
     _.set(podConfig, ANNOTATIONS_PATH, annotations);
 }
 
+/**
+ * Explains why a build pod failed or is about to fail, from its eviction, termination or container statuses
+ * @param  {Object} pod  k8s pod
+ * @return {String}      user readable message, or empty string if nothing failed
+ */
+function getPodFailureMessage(pod) {
+    return (
+        getDiskEvictionMessage(pod) ||
+        hoek.reach(podStatus.getTerminationCause(pod), 'message') ||
+        podStatus.getContainerFailureMessage(pod)
+    );
+}
+
+/**
+ * Get the attempt of a build pod from its label
+ * @param  {Object} pod  k8s pod
+ * @return {Number}      attempt, 1 for pods which were not recreated
+ */
+function getPodAttempt(pod) {
+    return Number(_.get(pod, ['metadata', 'labels', POD_ATTEMPT_LABEL])) || 1;
+}
+
+/**
+ * Copies a lost build pod into the config of a new pod of the next attempt, which is not bound to a node yet
+ * @param  {Object} pod         k8s pod which was lost
+ * @param  {String} name        name of the new pod
+ * @param  {Number} podAttempt  attempt of the new pod
+ * @return {Object}             k8s pod config
+ */
+function cloneLostPod(pod, name, podAttempt) {
+    const { labels, annotations } = pod.metadata;
+
+    return {
+        apiVersion: 'v1',
+        kind: 'Pod',
+        metadata: _.omitBy(
+            { name, labels: { ...labels, [POD_ATTEMPT_LABEL]: `${podAttempt}` }, annotations },
+            _.isUndefined
+        ),
+        spec: _.omit(pod.spec, ['nodeName'])
+    };
+}
+
+/**
+ * Get the number of minutes since a timestamp
+ * @param  {String} timestamp  ISO 8601 timestamp
+ * @return {Number}            minutes, NaN if the timestamp is not set
+ */
+function getMinutesSince(timestamp) {
+    return (Date.now() - Date.parse(timestamp)) / 60000;
+}
+
 /**
  * Sets default and custom pod labels
  * @param {Object} podConfig                  k8s pod config
@@ -69,6 +337,12 @@ function setAnnotations(podConfig, annotations) {
  * @param {String} config.templateVersion     template version
  * @param {String} config.pipelineName        pipeline name
  * @param {String} config.prNum               PR number
+ * @param {Number} config.cpu                 cpu limit (in millicores)
+ * @param {Number} config.memory              memory limit (in GB)
+ * @param {Number} config.cpuRequest          cpu request (in millicores)
+ * @param {Number} config.memoryRequest       memory request (in GB)
+ * @param {String} config.disk                disk tier
+ * @param {Number} [config.podAttempt]        attempt of the build pod, set when it was recreated
  */
 function setLabels(podConfig, podLabels, config) {
     const sanitizeLabel = label => {
@@ -81,8 +355,20 @@ function setLabels(podConfig, podLabels, config) {
             .replace(ALPHANUMERIC_START_END_REGEX_PATTERN, '');
     };
 
-    const { buildContainerName, jobName, templateFullName, templateVersion, pipelineName, prNum, cpu, memory, disk } =
-        config;
+    const {
+        buildContainerName,
+        jobName,
+        templateFullName,
+        templateVersion,
+        pipelineName,
+        prNum,
+        cpu,
+        memory,
+        cpuRequest,
+        memoryRequest,
+        disk,
+        podAttempt
+    } = config;
     const defaultLabels = {
         app: 'screwdriver',
         tier: 'builds',
@@ -106,17 +392,29 @@ function setLabels(podConfig, podLabels, config) {
     }
 
     if (cpu) {
-        defaultLabels['screwdriver.cd/cpu'] = cpu / 1000;
+        defaultLabels['screwdriver.cd/cpu'] = _.round(cpu / 1000, 3);
     }
 
     if (memory) {
-        defaultLabels['screwdriver.cd/memory'] = memory;
+        defaultLabels['screwdriver.cd/memory'] = _.round(memory, 2);
+    }
+
+    if (cpuRequest) {
+        defaultLabels['screwdriver.cd/cpu-request'] = cpuRequest / 1000;
+    }
+
+    if (memoryRequest) {
+        defaultLabels['screwdriver.cd/memory-request'] = _.round(memoryRequest, 2);
     }
 
     if (disk) {
         defaultLabels['screwdriver.cd/disk'] = disk;
     }
 
+    if (podAttempt) {
+        defaultLabels[POD_ATTEMPT_LABEL] = podAttempt;
+    }
+
     let labels = defaultLabels;
 
     if (podLabels && typeof podLabels === 'object' && Object.keys(podLabels).length > 0) {
@@ -179,6 +477,17 @@ function setLifecycleHooks(podConfig, lifecycleHooks, containerName) {
     }
 }
 
+/**
+ * Set the PriorityClass of a build pod
+ * @param {Object} podConfig          k8s pod config
+ * @param {String} priorityClassName  name of the PriorityClass, the pod keeps the default priority if not set
+ */
+function setPriorityClassName(podConfig, priorityClassName) {
+    if (priorityClassName) {
+        _.set(podConfig, 'spec.priorityClassName', priorityClassName);
+    }
+}
+
 /**
  * Parses preferredNodeSelector config and update intended preferredNodeSelector in nodeAffinity.
  * @param {Object} podConfig              k8s pod config
@@ -242,10 +551,23 @@ class K8sExecutor extends Executor {
      * @param  {Object}  [options.ecosystem.pushgatewayUrl]                      Pushgateway URL for Prometheus
      * @param  {Object}  options.ecosystem.store                                 Routable URI to Screwdriver Store
      * @param  {Object}  options.ecosystem.ui                                    Routable URI to Screwdriver UI
+     * @param  {Boolean} [options.ecosystem.rejectUnauthorized=true]            Verify the TLS certificate of the Screwdriver API
      * @param  {Object}  options.kubernetes                                      Kubernetes configuration
      * @param  {String}  [options.kubernetes.token]                              API Token (loaded from /var/run/secrets/kubernetes.io/serviceaccount/token if not provided)
      * @param  {String}  [options.kubernetes.host=kubernetes.default]            Kubernetes hostname
+     * @param  {String}  [options.kubernetes.kubeconfig]                         Path to a kubeconfig file to read host, namespace and credentials from
+     * @param  {String}  [options.kubernetes.context]                            Kubeconfig context to use (current-context if not provided)
+     * @param  {String}  [options.kubernetes.ca]                                 PEM encoded CA bundle for the Kubernetes API server
+     * @param  {String}  [options.kubernetes.caPath]                             Path to the CA bundle (defaults to /var/run/secrets/kubernetes.io/serviceaccount/ca.crt)
+     * @param  {String}  [options.kubernetes.clientCert]                         PEM encoded client certificate for authenticating to the cluster
+     * @param  {String}  [options.kubernetes.clientKey]                          PEM encoded client key for authenticating to the cluster
+     * @param  {Boolean} [options.kubernetes.rejectUnauthorized=true]            Verify the TLS certificate of the Kubernetes API server
      * @param  {Number}  [options.kubernetes.jobsNamespace=default]              Pods namespace for Screwdriver Jobs
+     * @param  {Object}  [options.kubernetes.namespaces]                         Route builds to other namespaces
+     * @param  {Object}  [options.kubernetes.namespaces.pipelines]               Namespaces keyed by pipeline ID
+     * @param  {Object}  [options.kubernetes.namespaces.scmOrgs]                 Namespaces keyed by SCM organization
+     * @param  {Object}  [options.kubernetes.namespaces.annotations]             Namespaces keyed by screwdriver.cd/namespace annotation value
+     * @param  {String}  [options.kubernetes.namespaces.template]                Namespace when nothing matches (e.g.: sd-{{pipeline_id}})
      * @param  {String}  [options.kubernetes.baseImage]                          Base image for the pod
      * @param  {Number}  [options.kubernetes.buildTimeout=90]                    Number of minutes to allow a build to run before considering it is timed out
      * @param  {Number}  [options.kubernetes.maxBuildTimeout=120]                Max timeout user can configure up to
@@ -253,28 +575,75 @@ class K8sExecutor extends Executor {
      * @param  {String}  [options.kubernetes.dnsPolicy=ClusterFirst]             DNS Policy for build pod
      * @param  {String}  [options.kubernetes.imagePullPolicy=Always]             Image Pull Policy for build pod
      * @param  {String}  [options.kubernetes.resources.cpu.max=12]               Upper bound for custom CPU value (in cores)
+     * @param  {Number}  [options.kubernetes.resources.cpu.min]                  Lower bound for custom CPU value (in cores), lower values are raised
      * @param  {String}  [options.kubernetes.resources.cpu.turbo=12]             Value for TURBO CPU (in cores)
      * @param  {String}  [options.kubernetes.resources.cpu.high=6]               Value for HIGH CPU (in cores)
      * @param  {Number}  [options.kubernetes.resources.cpu.low=2]                Value for LOW CPU (in cores)
      * @param  {Number}  [options.kubernetes.resources.cpu.micro=0.5]            Value for MICRO CPU (in cores)
      * @param  {Number}  [options.kubernetes.resources.memory.max=16]            Value for MAX memory, upper bound for custom memory value (in GB)
+     * @param  {Number}  [options.kubernetes.resources.memory.min]               Lower bound for custom memory value (in GB), lower values are raised
      * @param  {Number}  [options.kubernetes.resources.memory.turbo=16]          Value for TURBO memory (in GB)
      * @param  {Number}  [options.kubernetes.resources.memory.high=12]           Value for HIGH memory (in GB)
      * @param  {Number}  [options.kubernetes.resources.memory.low=2]             Value for LOW memory (in GB)
      * @param  {Number}  [options.kubernetes.resources.memory.micro=1]           Value for MICRO memory (in GB)
+     * @param  {Object}  [options.kubernetes.resources.cpu.request]              CPU requests per tier (in cores), e.g.: { low: 0.5 }
+     * @param  {Number|Object} [options.kubernetes.resources.cpu.requestRatio=1] CPU request to limit ratio, or ratios per tier
+     * @param  {Object}  [options.kubernetes.resources.memory.request]           Memory requests per tier (in GB), e.g.: { low: 1 }
+     * @param  {Number|Object} [options.kubernetes.resources.memory.requestRatio=1] Memory request to limit ratio, or ratios per tier
+     * @param  {Boolean} [options.kubernetes.resources.guaranteedQos=false]      Set requests equal to limits for all containers (Guaranteed QoS)
      * @param  {String}  [options.kubernetes.resources.disk.space]               Value for disk space label (e.g.: screwdriver.cd/disk)
      * @param  {String}  [options.kubernetes.resources.disk.speed]               Value for disk speed label (e.g.: screwdriver.cd/diskSpeed)
+     * @param  {Number}  [options.kubernetes.resources.disk.turbo]               Ephemeral storage for TURBO disk (in GB)
+     * @param  {Number}  [options.kubernetes.resources.disk.high]                Ephemeral storage for HIGH disk (in GB)
+     * @param  {Number}  [options.kubernetes.resources.disk.low]                 Ephemeral storage for LOW disk (in GB)
+     * @param  {Number}  [options.kubernetes.resources.disk.micro]               Ephemeral storage for MICRO disk (in GB)
      * @param  {Boolean} [options.kubernetes.dockerFeatureEnabled=false]         Whether to enable docker in docker on the executor k8 container
      * @param  {Boolean} [options.kubernetes.privileged=false]                   Privileged mode, default restricted, set to true for DIND use-case
      * @param  {Boolean} [options.kubernetes.automountServiceAccountToken=false] opt-in/out for service account token automount
      * @param  {Object}  [options.kubernetes.podLabels]                          Object representing additional labels to add to a pod
      * @param  {Object}  [options.kubernetes.nodeSelectors]                      Object representing node label-value pairs
      * @param  {Object}  [options.kubernetes.lifecycleHooks]                     Object representing pod lifecycle hooks
+     * @param  {String}  [options.kubernetes.podTemplatePath]                    Path of the Handlebars template of the build pods, defaults to config/pod.yaml.hbs
+     * @param  {Object|String} [options.kubernetes.templateHelpers]              Handlebars helpers of the pod template, or path of a module exporting them
+     * @param  {Object}  [options.kubernetes.templatePartials]                   Paths of Handlebars partials of the pod template, by partial name
      * @param  {Object}  [options.kubernetes.volumeMounts]                       Object representing pod volume mounts (e.g.: [ { "name": "kvm", "mountPath": "/dev/kvm", "path": "/dev/kvm/", "type": "File", "readOnly": true } ] )
      * @param  {String}  [options.kubernetes.terminationGracePeriodSeconds]      TerminationGracePeriodSeconds setting for k8s pods
      * @param  {Number}  [options.kubernetes.podStatusQueryDelay]                Number of milliseconds to wait before calling k8s pod query status for pending retry strategy
+     * @param  {Boolean} [options.kubernetes.watchPods=false]                    Track build pods with a shared watch instead of querying each build
+     * @param  {Number}  [options.kubernetes.watchReconnectDelay=1000]           Number of milliseconds to wait before reconnecting a failed pod watch
      * @param  {String}  [options.kubernetes.runtimeClass='']                    Runtime class
      * @param  {String}  [options.kubernetes.imagePullSecretName='']             Name of image pull secret
+     * @param  {String}  [options.kubernetes.workloadKind=pod]                   Run builds as bare pods (pod) or as batch/v1 Jobs (job)
+     * @param  {Number}  [options.kubernetes.jobBackoffLimit=1]                  backoffLimit of build Jobs
+     * @param  {Number}  [options.kubernetes.jobTtlSecondsAfterFinished=3600]    ttlSecondsAfterFinished of build Jobs
+     * @param  {Number}  [options.kubernetes.failureLogLines=0]                  Number of log lines of the failed container added to the status message of failed builds, unmasked
+     * @param  {Number}  [options.kubernetes.unscheduledTimeout=0]              Minutes a build pod may wait for a node before the build is stopped, 0 to wait until the build times out
+     * @param  {Number}  [options.kubernetes.initializationTimeout=0]           Minutes a scheduled build pod may take to pull images and start before the build is stopped, 0 to wait until the build times out
+     * @param  {Number}  [options.kubernetes.podRetries=1]                      Number of times a build pod lost to node failure, eviction or preemption before the build started is recreated
+     * @param  {Number}  [options.kubernetes.gc.interval=0]                     Minutes between garbage collections of orphaned build pods, 0 to only collect when collectGarbage is called
+     * @param  {String}  [options.kubernetes.gc.token]                          Screwdriver API token used to read the status of builds, without it only pods older than maxPodAge are deleted
+     * @param  {Number}  [options.kubernetes.gc.maxPodAge]                      Minutes after which build pods are deleted, defaults to maxBuildTimeout plus 30 minutes
+     * @param  {Boolean} [options.kubernetes.gc.hostPathCleanup=false]          Also run a pod on each build node removing stale build temp directories and event caches
+     * @param  {String}  [options.kubernetes.gc.cleanupImage='busybox:1.36.1']  Image of the hostPath cleanup pods
+     * @param  {Number}  [options.kubernetes.gc.eventCacheRetention=1440]       Minutes event caches are kept on the nodes
+     * @param  {Boolean} [options.kubernetes.quota.check=false]                 Predict from the ResourceQuotas and LimitRanges of the namespace whether build pods are admitted, and wait for quota instead of creating them
+     * @param  {Number}  [options.kubernetes.quota.cacheSeconds=30]             Seconds the ResourceQuotas and LimitRanges of a namespace are cached
+     * @param  {String}  [options.kubernetes.priorityClasses.default]           PriorityClass of the build pods no other class of the mapping applies to
+     * @param  {String}  [options.kubernetes.priorityClasses.pr]                PriorityClass of PR builds
+     * @param  {String}  [options.kubernetes.priorityClasses.nonPr]             PriorityClass of the builds which are not PR builds
+     * @param  {Object}  [options.kubernetes.priorityClasses.pipelines]         PriorityClasses of the builds of pipelines, keyed by pipeline ID
+     * @param  {Object}  [options.kubernetes.priorityClasses.annotation]        PriorityClasses keyed by the screwdriver.cd/priority annotation values jobs may use
+     * @param  {Object}  [options.kubernetes.securityProfiles.profiles]         Named security profiles, each with pod and container securityContexts, e.g.: { restricted: { pod: { runAsNonRoot: true }, container: {} } }
+     * @param  {String}  [options.kubernetes.securityProfiles.default]          Security profile of the builds which do not select one
+     * @param  {Array}   [options.kubernetes.securityProfiles.allowed=[]]        Security profiles the jobs may select with the screwdriver.cd/securityProfile annotation
+     * @param  {Boolean} [options.kubernetes.rejectInvalidAnnotations=false]     Reject builds with invalid screwdriver.cd annotations instead of reporting them and using the defaults
+     * @param  {Array}   [options.kubernetes.services.allowedImages=[]]          Image patterns the service containers of the jobs may use, e.g.: postgres:*
+     * @param  {Number}  [options.kubernetes.services.maxServices=3]             Maximum number of service containers of a job
+     * @param  {Object}  [options.kubernetes.services.tiers]                     cpu (cores) and memory (GB) of the service containers by tier, e.g.: { LOW: { cpu: 0.5, memory: 1 } }
+     * @param  {Array}   [options.kubernetes.podPatches]                         Merge or JSON patches applied to the build pods, each with an optional selector on pipelineIds, jobName, pr and annotations
+     * @param  {Object}  [options.kubernetes.clusters]                           Named clusters to route builds to, each with host, credentials, jobsNamespace, nodeSelectors and weight
+     * @param  {String}  [options.kubernetes.trigger.image]                      Image used by periodic and frozen builds to start builds through the Screwdriver API
+     * @param  {String}  [options.kubernetes.trigger.tokenSecretName]            Secret (key: token) holding the Screwdriver API token used to start periodic and frozen builds
      * @param  {String}  [options.launchVersion=stable]                          Launcher container version to use
      * @param  {String}  [options.prefix='']                                     Prefix for job name
      * @param  {String}  [options.fusebox]                                       Options for the circuit breaker (https://github.com/screwdriver-cd/circuit-fuses)
@@ -290,27 +659,41 @@ class K8sExecutor extends Executor {
      * @param  {Object}  [options.kubernetes.buildSecrets]                       Object representing secrets (e.g.: [ { "secret_env": "SSHCA", "secret_name": "sd-secret", "secret_key", "private" } ] )
      * @param  {Object}  [options.kubernetes.buildSecretsFile]                   Object representing secrets (e.g.: [ { "name": "kvm", "mountPath": "/dev/kvm", "secretName": "sd-secret", "readOnly": true } ] )
      * @param  {Object}  [options.sdHabEnabled]                                  Value for enabling habitat binary installation in launcher - 'true' / 'false'; Default value is 'true' if not specified;
+     * @param  {K8sExecutor} [parent]                                            Executor of the clusters, when creating the executor of one of them
      */
-    constructor(options = {}) {
+    constructor(options = {}, parent = undefined) {
         super();
 
         this.kubernetes = options.kubernetes || {};
         this.ecosystem = options.ecosystem;
         this.requestretryOptions = options.requestretry || {};
+
+        const kubeconfig = this.kubernetes.kubeconfig
+            ? loadKubeconfig(this.kubernetes.kubeconfig, this.kubernetes.context)
+            : {};
+
         if (this.kubernetes.token) {
             this.token = this.kubernetes.token;
+        } else if (kubeconfig.token) {
+            this.token = kubeconfig.token;
         } else {
-            const tokenPath = '/var/run/secrets/kubernetes.io/serviceaccount/token';
-
-            this.token = fs.existsSync(tokenPath) ? fs.readFileSync(tokenPath).toString() : '';
+            this.token = readFileIfExists(SERVICE_ACCOUNT_TOKEN_PATH) || '';
         }
-        this.host = this.kubernetes.host || 'kubernetes.default';
+        this.host =
+            this.kubernetes.host || (kubeconfig.server ? new URL(kubeconfig.server).host : 'kubernetes.default');
+        // the kubeconfig server may have a path, e.g.: Rancher proxies clusters at https://rancher/k8s/clusters/<id>
+        this.apiUrl = !this.kubernetes.host && kubeconfig.server ? kubeconfig.server : `https://${this.host}`;
+
+        this.k8sHttpsOptions = getK8sHttpsOptions(this.kubernetes, kubeconfig);
+        this.apiHttpsOptions = {
+            rejectUnauthorized: ![false, 'false'].includes(hoek.reach(options, 'ecosystem.rejectUnauthorized'))
+        };
         this.runtimeClass = this.kubernetes.runtimeClass || '';
         this.imagePullSecretName = this.kubernetes.imagePullSecretName || '';
         this.launchImage = options.launchImage || 'screwdrivercd/launcher';
         this.launchVersion = options.launchVersion || 'stable';
         this.prefix = options.prefix || '';
-        this.jobsNamespace = this.kubernetes.jobsNamespace || 'default';
+        this.jobsNamespace = this.kubernetes.jobsNamespace || kubeconfig.namespace || 'default';
         this.baseImage = this.kubernetes.baseImage;
         this.buildTimeout = hoek.reach(options, 'kubernetes.buildTimeout') || DEFAULT_BUILD_TIMEOUT;
         this.maxBuildTimeout = this.kubernetes.maxBuildTimeout || MAX_BUILD_TIMEOUT;
@@ -319,8 +702,14 @@ class K8sExecutor extends Executor {
         this.imagePullPolicy = this.kubernetes.imagePullPolicy || 'Always';
         this.automountServiceAccountToken = this.kubernetes.automountServiceAccountToken === 'true' || false;
         this.terminationGracePeriodSeconds = this.kubernetes.terminationGracePeriodSeconds || 30;
-        this.podsUrl = `https://${this.host}/api/v1/namespaces/${this.jobsNamespace}/pods`;
-        this.breaker = new Fusebox(this._k8sCommand.bind(this), options.fusebox);
+        this.podsUrl = `${this.apiUrl}/api/v1/namespaces/${this.jobsNamespace}/pods`;
+        this.cronJobsUrl = `${this.apiUrl}/apis/batch/v1/namespaces/${this.jobsNamespace}/cronjobs`;
+        this.jobsUrl = `${this.apiUrl}/apis/batch/v1/namespaces/${this.jobsNamespace}/jobs`;
+        this.namespaceResolver = new NamespaceResolver({
+            ...hoek.reach(options, 'kubernetes.namespaces', { default: {} }),
+            defaultNamespace: this.jobsNamespace
+        });
+        this.breaker = new Fusebox(this._k8sCommand.bind(this), getFuseboxOptions(options.fusebox));
         this.retryDelay = this.requestretryOptions.retryDelay || DEFAULT_RETRYDELAY;
         this.maxAttempts = this.requestretryOptions.maxAttempts || DEFAULT_MAXATTEMPTS;
         this.maxCpu = hoek.reach(options, 'kubernetes.resources.cpu.max', { default: 12 });
@@ -333,15 +722,30 @@ class K8sExecutor extends Executor {
         this.highMemory = hoek.reach(options, 'kubernetes.resources.memory.high', { default: 12 });
         this.lowMemory = hoek.reach(options, 'kubernetes.resources.memory.low', { default: 2 });
         this.microMemory = hoek.reach(options, 'kubernetes.resources.memory.micro', { default: 1 });
+        this.cpuRequests = hoek.reach(options, 'kubernetes.resources.cpu.request', { default: {} });
+        this.cpuRequestRatio = hoek.reach(options, 'kubernetes.resources.cpu.requestRatio', { default: 1 });
+        this.memoryRequests = hoek.reach(options, 'kubernetes.resources.memory.request', { default: {} });
+        this.memoryRequestRatio = hoek.reach(options, 'kubernetes.resources.memory.requestRatio', { default: 1 });
+        this.guaranteedQos = hoek.reach(options, 'kubernetes.resources.guaranteedQos', { default: false });
         this.diskSpeedLabel = hoek.reach(options, 'kubernetes.resources.disk.speed', { default: '' });
+        this.turboDisk = hoek.reach(options, 'kubernetes.resources.disk.turbo');
+        this.highDisk = hoek.reach(options, 'kubernetes.resources.disk.high');
+        this.lowDisk = hoek.reach(options, 'kubernetes.resources.disk.low');
+        this.microDisk = hoek.reach(options, 'kubernetes.resources.disk.micro');
         this.podLabels = hoek.reach(options, 'kubernetes.podLabels');
         this.nodeSelectors = hoek.reach(options, 'kubernetes.nodeSelectors');
         this.preferredNodeSelectors = hoek.reach(options, 'kubernetes.preferredNodeSelectors');
         this.lifecycleHooks = hoek.reach(options, 'kubernetes.lifecycleHooks');
+        this.podPatches = podPatches.normalize(hoek.reach(options, 'kubernetes.podPatches', { default: [] }));
+        securityProfiles.validate(this.kubernetes.securityProfiles);
+        // clusters inherit the template options, and the template compiled by the executor of the clusters
+        this.podTemplate = parent
+            ? parent.podTemplate
+            : podTemplate.compile(this.kubernetes, DEFAULT_POD_TEMPLATE_PATH);
         this.volumeMounts = hoek.reach(options, 'kubernetes.volumeMounts', { default: {} });
         this.podStatusQueryDelay = this.kubernetes.podStatusQueryDelay || POD_STATUSQUERY_RETRYDELAY_MS;
         this.cacheStrategy = hoek.reach(options, 'ecosystem.cache.strategy', { default: 's3' });
-        this.cachePath = hoek.reach(options, 'ecosystem.cache.path', { default: '/' });
+        this.cachePath = getCachePath(options);
         this.cacheCompress = hoek.reach(options, 'ecosystem.cache.compress', { default: 'false' });
         this.cacheMd5Check = hoek.reach(options, 'ecosystem.cache.md5check', { default: 'false' });
         this.cacheMaxSizeInMB = hoek.reach(options, 'ecosystem.cache.max_size_mb', { default: 0 });
@@ -355,6 +759,191 @@ class K8sExecutor extends Executor {
         this.secrets = hoek.reach(options, 'kubernetes.buildSecrets', { default: {} });
         this.secretsFile = hoek.reach(options, 'kubernetes.buildSecretsFile', { default: {} });
         this.sdHabEnabled = options.sdHabEnabled || 'true';
+        this.workloadKind = hoek.reach(options, 'kubernetes.workloadKind', { default: 'pod' });
+        this.jobBackoffLimit = hoek.reach(options, 'kubernetes.jobBackoffLimit', { default: 1 });
+        this.jobTtlSecondsAfterFinished = hoek.reach(options, 'kubernetes.jobTtlSecondsAfterFinished', {
+            default: 3600
+        });
+        this.failureLogLines = hoek.reach(options, 'kubernetes.failureLogLines', { default: 0 });
+        this.podRetries = hoek.reach(options, 'kubernetes.podRetries', { default: 1 });
+        this.unscheduledTimeout = hoek.reach(options, 'kubernetes.unscheduledTimeout', { default: 0 });
+        this.initializationTimeout = hoek.reach(options, 'kubernetes.initializationTimeout', { default: 0 });
+        this.triggerImage = hoek.reach(options, 'kubernetes.trigger.image', { default: DEFAULT_TRIGGER_IMAGE });
+        this.triggerTokenSecretName = hoek.reach(options, 'kubernetes.trigger.tokenSecretName', {
+            default: DEFAULT_TRIGGER_TOKEN_SECRET
+        });
+
+        // e.g.: { east: { host, token, jobsNamespace, nodeSelectors, weight } }
+        const clusters = hoek.reach(options, 'kubernetes.clusters', { default: {} });
+
+        this.clusters = _.mapValues(clusters, (clusterOptions, name) => {
+            const cluster = new K8sExecutor(
+                { ...options, kubernetes: { ..._.omit(options.kubernetes, CLUSTER_OPTIONS), ...clusterOptions } },
+                this
+            );
+
+            cluster.clusterName = name;
+
+            return cluster;
+        });
+        this.clusterWeights = _.mapValues(clusters, cluster => hoek.reach(cluster, 'weight', { default: 1 }));
+        // cluster names by build ID, for stop and verify
+        this.buildClusters = new Map();
+        // ResourceQuotas and LimitRanges by namespace
+        this.quotaObjects = new Map();
+
+        // with clusters, each cluster watches its own pods
+        if (hoek.reach(options, 'kubernetes.watchPods', { default: false }) && _.isEmpty(this.clusters)) {
+            this.podWatcher = new PodWatcher({
+                podsUrl: this.podsUrl,
+                token: this.token,
+                httpsOptions: this.k8sHttpsOptions,
+                reconnectDelay: this.kubernetes.watchReconnectDelay
+            });
+            this.podWatcher.start();
+        }
+
+        this.gc = { ...GC_DEFAULTS, maxPodAge: this.maxBuildTimeout + GC_GRACE_MINUTES, ...this.kubernetes.gc };
+        // the executor of the clusters collects the garbage of all of them
+        if (!parent) {
+            this.scheduleGarbageCollection();
+        }
+    }
+
+    /**
+     * Returns true when build pods can be read from the pod watch cache
+     * @method isPodCacheSynced
+     * @param  {String}  [namespace]  namespace of the pods, the cache only holds pods of jobsNamespace
+     * @return {Boolean}
+     */
+    isPodCacheSynced(namespace = this.jobsNamespace) {
+        return Boolean(this.podWatcher && this.podWatcher.synced && namespace === this.jobsNamespace);
+    }
+
+    /**
+     * Picks the cluster to run a build on: the one named by the buildCluster annotation, or
+     * a weighted pick among the clusters whose circuit breaker is closed
+     * @method selectCluster
+     * @param  {Object}  config                      build config
+     * @param  {Object}  [config.annotations]        raw annotations
+     * @param  {String}  [config.buildClusterName]   build cluster name
+     * @return {String}                              cluster name
+     */
+    selectCluster(config) {
+        const name = getAnnotation(config.annotations, BUILD_CLUSTER_ANNOTATION) || config.buildClusterName;
+
+        if (name && this.clusters[name]) {
+            return name;
+        }
+
+        if (name) {
+            logger.warn(`Build cluster ${name} of buildId: ${config.buildId} is not configured, using defaults`);
+        }
+
+        const names = Object.keys(this.clusters);
+        const weighted = names.filter(n => this.clusterWeights[n] > 0);
+        const candidates = weighted.length > 0 ? weighted : names;
+        const available = candidates.filter(n => this.clusters[n].breaker.isClosed());
+        const pool = available.length > 0 ? available : candidates;
+        let pick = Math.random() * _.sumBy(pool, n => this.clusterWeights[n] || 1);
+
+        if (available.length < candidates.length) {
+            logger.warn(`Build clusters ${_.difference(candidates, available).join(', ')} are unavailable`);
+        }
+
+        return (
+            pool.find(n => {
+                pick -= this.clusterWeights[n] || 1;
+
+                return pick < 0;
+            }) || pool[pool.length - 1]
+        );
+    }
+
+    /**
+     * Starts a build on the cluster picked for it, then on the other available clusters while it fails to start.
+     * Builds naming their cluster only start on that cluster.
+     * @method startOnClusters
+     * @param  {Object}  config  build config
+     * @return {Promise}         resolves to a boolean value if pod is still pending
+     */
+    async startOnClusters(config) {
+        const name = this.selectCluster(config);
+        const isNamed =
+            name === (getAnnotation(config.annotations, BUILD_CLUSTER_ANNOTATION) || config.buildClusterName);
+        const fallbacks = Object.keys(this.clusters).filter(
+            n => n !== name && this.clusterWeights[n] > 0 && this.clusters[n].breaker.isClosed()
+        );
+        const startOn = async ([next, ...rest]) => {
+            logger.info(`Starting buildId: ${config.buildId} on cluster ${next}`);
+            this.recordBuildCluster(config.buildId, next);
+
+            try {
+                return await this.clusters[next]._start(config);
+            } catch (err) {
+                if (rest.length === 0) {
+                    throw err;
+                }
+
+                logger.warn(`Failed to start buildId: ${config.buildId} on cluster ${next}: ${err.message}`);
+
+                return startOn(rest);
+            }
+        };
+
+        return startOn(isNamed ? [name] : [name, ...fallbacks]);
+    }
+
+    /**
+     * Records the cluster a build was started on
+     * @method recordBuildCluster
+     * @param  {Integer} buildId  ID for the build
+     * @param  {String}  name     cluster name
+     */
+    recordBuildCluster(buildId, name) {
+        if (this.buildClusters.size >= MAX_RECORDED_BUILD_CLUSTERS) {
+            this.buildClusters.delete(this.buildClusters.keys().next().value);
+        }
+
+        this.buildClusters.set(`${buildId}`, name);
+    }
+
+    /**
+     * Get the clusters a build may run on: the recorded or named one, or all clusters
+     * if the build was started by another executor instance
+     * @method getBuildClusters
+     * @param  {Object}  config                      build config
+     * @return {Array}                               cluster names
+     */
+    getBuildClusters(config) {
+        const recorded = this.buildClusters.get(`${config.buildId}`);
+        const name = getAnnotation(config.annotations, BUILD_CLUSTER_ANNOTATION) || config.buildClusterName;
+
+        if (recorded) {
+            return [recorded];
+        }
+
+        return this.clusters[name] ? [name] : Object.keys(this.clusters);
+    }
+
+    /**
+     * Get the pods url of a namespace
+     * @method getPodsUrl
+     * @param  {String}  [namespace]  namespace, jobsNamespace by default
+     * @return {String}
+     */
+    getPodsUrl(namespace = this.jobsNamespace) {
+        return `${this.apiUrl}/api/v1/namespaces/${namespace}/pods`;
+    }
+
+    /**
+     * Get the jobs url of a namespace
+     * @method getJobsUrl
+     * @param  {String}  [namespace]  namespace, jobsNamespace by default
+     * @return {String}
+     */
+    getJobsUrl(namespace = this.jobsNamespace) {
+        return `${this.apiUrl}/apis/batch/v1/namespaces/${namespace}/jobs`;
     }
 
     /**
@@ -374,7 +963,7 @@ class K8sExecutor extends Executor {
             method: 'PUT',
             url: `${apiUri}/v4/builds/${buildId}`,
             headers: { Authorization: `Bearer ${token}` },
-            https: { rejectUnauthorized: false },
+            https: this.apiHttpsOptions,
             // Do not retry when there is a 4XX error
             shouldRetry: err => err && err.statusCode && !(err.statusCode >= 400 && err.statusCode < 500),
             retry: {
@@ -396,163 +985,634 @@ class K8sExecutor extends Executor {
     }
 
     /**
-     * Starts a k8s build
-     * @method start
-     * @param  {Object}   config                A configuration object
-     * @param  {Integer}  config.buildId        ID for the build
-     * @param  {Integer}  [config.pipeline.id]    pipelineId for the build
-     * @param  {Integer}  [config.jobId]          jobId for the build
-     * @param  {Integer}  config.eventId        eventId for the build
-     * @param  {String}   config.container      Container for the build to run in
-     * @param  {String}   config.token          JWT for the Build
-     * @param  {String}   [config.jobName]        jobName for the build
-     * @return {Promise}  resoves to a boolean value if pod is still pending
+     * Checks the annotations of a build before starting it
+     * @method checkAnnotations
+     * @param  {Object}  config                A configuration object
+     * @param  {Integer} config.buildId        ID for the build
+     * @param  {Object}  [config.annotations]  Annotations of the job
+     * @return {String}  message listing the invalid annotations, empty if there are none
+     * @throws {Error}   when an annotation is invalid and rejectInvalidAnnotations is set
      */
-    async _start(config) {
-        const { buildId, token } = config;
-        const podConfig = this.createPodConfig(config);
-        const options = {
-            url: this.podsUrl,
-            method: 'POST',
-            json: podConfig,
-            headers: {
-                Authorization: `Bearer ${this.token}`
-            },
-            https: { rejectUnauthorized: false }
-        };
+    checkAnnotations(config) {
+        const { issues } = this.validateAnnotations(config.annotations);
+        const message = annotationSchema.formatIssues(issues);
 
-        try {
-            const resp = await this.breaker.runCommand(options);
+        if (!message) {
+            return '';
+        }
 
-            if (resp.statusCode !== 201) {
-                throw new Error(`Failed to create pod:${JSON.stringify(resp.body)}`);
-            }
+        logger.warn(`Build ${config.buildId}: ${message}`);
+        if (this.kubernetes.rejectInvalidAnnotations && issues.some(i => i.severity === 'error')) {
+            throw new Error(`Build rejected. ${message}`);
+        }
 
-            const podName = resp.body.metadata.name;
+        return message;
+    }
 
-            logger.info(`Pod created successfully for build ${buildId}, podName: ${podName}`);
+    /**
+     * Get the ResourceQuotas and LimitRanges of a namespace, cached for quota.cacheSeconds
+     * @method getQuotaObjects
+     * @param  {String}  namespace  namespace of the build
+     * @return {Promise}            { quotas, limitRanges }, empty when they cannot be read
+     */
+    async getQuotaObjects(namespace) {
+        const { cacheSeconds } = { ...QUOTA_DEFAULTS, ...this.kubernetes.quota };
 
-            try {
-                const { isPending, nodeName } = await this.getPodStatus(podName, buildId);
+        const cached = this.quotaObjects.get(namespace);
 
-                const updateConfig = {
-                    apiUri: this.ecosystem.api,
-                    buildId,
-                    token
-                };
+        if (cached && cached.expires > Date.now()) {
+            return cached;
+        }
 
-                if (nodeName) {
-                    updateConfig.stats = {
-                        hostname: nodeName,
-                        imagePullStartTime: new Date().toISOString()
-                    };
-                    logger.info(`Build ${buildId} pod ${podName} scheduled to node ${nodeName}`);
-                } else {
-                    updateConfig.statusMessage = 'Waiting for resources to be available.';
-                    logger.info(`Build ${buildId} pod ${podName} waiting for resources`);
+        const [quotas, limitRanges] = await Promise.all(
+            ['resourcequotas', 'limitranges'].map(async kind => {
+                try {
+                    const resp = await request({
+                        url: `${this.apiUrl}/api/v1/namespaces/${namespace}/${kind}`,
+                        method: 'GET',
+                        headers: { Authorization: `Bearer ${this.token}` },
+                        https: this.k8sHttpsOptions,
+                        throwHttpErrors: false
+                    });
+
+                    if (resp.statusCode !== 200) {
+                        throw new Error(JSON.stringify(resp.body));
+                    }
+
+                    return resp.body.items;
+                } catch (err) {
+                    logger.warn(`Failed to get ${kind} of namespace ${namespace}: ${err.message}`);
+
+                    return [];
                 }
+            })
+        );
+        const objects = { quotas, limitRanges, expires: Date.now() + cacheSeconds * 1000 };
 
-                await this.updateBuild(updateConfig);
+        this.quotaObjects.set(namespace, objects);
 
-                if (isPending && !nodeName) {
-                    logger.info(
-                        `Build ${buildId} pod ${podName} pending without node - will retry to wait for scheduler`
-                    );
+        return objects;
+    }
 
-                    return false;
-                }
+    /**
+     * Predicts whether the ResourceQuotas and LimitRanges of a namespace admit a build pod
+     * @method checkQuota
+     * @param  {Object}  podConfig  k8s pod of the build
+     * @param  {String}  namespace  namespace of the build
+     * @return {Promise}            message when waiting for quota, empty if the pod is admitted or quota.check is not set
+     * @throws {Error}              when the pod does not fit the LimitRanges of the namespace
+     */
+    async checkQuota(podConfig, namespace) {
+        if (!hoek.reach(this.kubernetes, 'quota.check')) {
+            return '';
+        }
 
-                return true;
-            } catch (statusErr) {
-                // getPodStatus throws when pod status is 'failed' or 'unknown'
-                logger.error(
-                    `Pod status check failed for build ${buildId}: ${statusErr.message}. ` +
-                        `Pod will be verified via retry queue.`
-                );
+        const { quotas, limitRanges } = await this.getQuotaObjects(namespace);
+        const violations = quota.getLimitRangeViolations(podConfig, limitRanges);
 
-                return false;
-            }
-        } catch (err) {
-            logger.error(`Failed to run pod for build id:${buildId}: ${err.message}`);
-            throw err;
+        if (violations.length) {
+            throw new Error(
+                `Build pod does not fit the limit ranges of namespace ${namespace}: ${violations.join('; ')}.`
+            );
         }
+
+        const shortages = quota.getShortages(quota.getPodUsage(podConfig, limitRanges), quotas);
+
+        return shortages.length ? quota.formatShortages(shortages, namespace) : '';
     }
 
     /**
-     *
-     * @param {String} podName the pod name
-     * @param {String} buildId the build id
-     * @returns {Object} the status and node name
+     * Creates the pod or Job of a build, unless its namespace is out of quota
+     * @method createWorkload
+     * @param  {Object}  config     build config
+     * @param  {String}  namespace  namespace of the build
+     * @return {Promise}            { podName } of the created pod or Job, or { quotaMessage } when waiting for quota
      */
-    async getPodStatus(podName, buildId) {
-        logger.info(`Get pod status for ${podName} and buildId: ${buildId}`);
+    async createWorkload(config, namespace) {
+        const isJob = this.workloadKind === JOB_WORKLOAD_KIND;
+        const podConfig = this.createPodConfig(config);
+        const quotaMessage = await this.checkQuota(podConfig, namespace);
 
-        const statusOptions = {
-            url: `${this.podsUrl}/${podName}/status`,
-            method: 'GET',
-            headers: { Authorization: `Bearer ${this.token}` },
-            https: { rejectUnauthorized: false }
-        };
+        if (quotaMessage) {
+            return { quotaMessage };
+        }
 
-        try {
-            const resp = await request(statusOptions);
+        let resp;
 
-            logger.debug(`Build ${buildId} pod response: ${JSON.stringify(resp.body)}`);
-            if (resp.statusCode !== 200) {
-                throw new Error(`Failed to get pod status:${JSON.stringify(resp.body)}`);
+        try {
+            resp = await this.breaker.runCommand({
+                url: isJob ? this.getJobsUrl(namespace) : this.getPodsUrl(namespace),
+                method: 'POST',
+                json: isJob ? this.createJobConfig(podConfig, config) : podConfig,
+                headers: {
+                    Authorization: `Bearer ${this.token}`
+                },
+                https: this.k8sHttpsOptions
+            });
+        } catch (err) {
+            // e.g.: the quota was used by other pods since it was read
+            if (hoek.reach(this.kubernetes, 'quota.check') && quota.isExceededQuotaError(err)) {
+                return { quotaMessage: quota.describeExceededQuota(err.message, namespace) };
             }
 
-            const nodeName = hoek.reach(resp, 'body.spec.nodeName');
-            const responsePodName = hoek.reach(resp, 'body.metadata.name');
-            const status = hoek.reach(resp, 'body.status.phase').toLowerCase();
-            const waitingReason = hoek.reach(resp, 'body.status.containerStatuses.0.state.waiting.reason');
+            throw err;
+        }
 
-            logger.info(`BuildId:${buildId}, status:${status}, podName:${responsePodName}`);
+        if (resp.statusCode !== 201) {
+            throw new Error(`Failed to create ${isJob ? 'job' : 'pod'}:${JSON.stringify(resp.body)}`);
+        }
 
-            if (status === 'failed' || status === 'unknown') {
-                throw new Error(`Failed to create pod. Pod status is: ${status}`);
-            }
+        return { podName: resp.body.metadata.name };
+    }
 
-            if (['ErrImagePull', 'ImagePullBackOff', 'InvalidImageName'].includes(waitingReason)) {
-                logger.error(
-                    `Build ${buildId} pod ${responsePodName} has image pull error: ${waitingReason}. Failing immediately.`
-                );
-                throw new Error('Build failed to start. Please check if your image is valid.');
-            }
+    /**
+     * Returns true when a build is waiting for namespace quota, i.e. quota.check is set and the build is not
+     * finished and has the status message of builds waiting for quota. The build holds this state rather than
+     * the executor, so that any executor instance can start it.
+     * @method isWaitingForQuota
+     * @param  {Object}  config  build config with buildId and token
+     * @return {Promise}         Boolean
+     */
+    async isWaitingForQuota(config) {
+        const { buildId, token } = config;
 
-            if (
-                ['CrashLoopBackOff', 'CreateContainerConfigError', 'CreateContainerError', 'StartError'].includes(
-                    waitingReason
-                )
-            ) {
-                logger.error(
-                    `Build ${buildId} pod ${responsePodName} has container error: ${waitingReason}. Failing immediately.`
-                );
-                throw new Error('Build failed to start. Please reach out to your cluster admin for help.');
-            }
+        if (!hoek.reach(this.kubernetes, 'quota.check') || !token) {
+            return false;
+        }
 
-            return { isPending: status === 'pending', nodeName };
+        try {
+            const { status, statusMessage } = await this.getBuild(buildId, token);
+
+            return (
+                !FINISHED_BUILD_STATUSES.includes(status) &&
+                (statusMessage || '').startsWith(quota.WAITING_MESSAGE_PREFIX)
+            );
         } catch (err) {
-            logger.error(`Failed to getPodStatus for buildId:${buildId}: ${err.message}`);
+            logger.warn(`Failed to get status of build ${buildId} during verify: ${err.message}`);
 
-            throw err;
+            return false;
         }
     }
 
     /**
-     * creates the pod config
-     * @method createPodConfig
-     * @param  {Object}   config                A configuration object
-     * @param  {Integer}  [config.pipeline.id]    pipelineId for the build
+     * Creates the pod or Job of a build waiting for quota, if its namespace has enough quota now
+     * @method startWaitingBuild
+     * @param  {Object}  config     build config
+     * @param  {String}  namespace  namespace of the build
+     * @return {Promise}            'waiting', the failure message if the pod or Job cannot be created,
+     *                              or '' when the build is not waiting for quota
+     */
+    async startWaitingBuild(config, namespace) {
+        const { buildId, token } = config;
+        let quotaMessage;
+
+        if (!(await this.isWaitingForQuota(config))) {
+            return '';
+        }
+
+        try {
+            ({ quotaMessage } = await this.createWorkload(config, namespace));
+        } catch (err) {
+            logger.error(`Failed to run pod for build id:${buildId} after waiting for quota: ${err.message}`);
+
+            return err.message;
+        }
+
+        if (!quotaMessage) {
+            logger.info(`Build ${buildId} started in ${namespace} after waiting for quota`);
+        }
+
+        try {
+            // builds with a pod or Job are no longer waiting for quota
+            await this.updateBuild({
+                apiUri: this.ecosystem.api,
+                buildId,
+                token,
+                statusMessage: quotaMessage || podStatus.DEFAULT_PENDING_MESSAGE
+            });
+        } catch (err) {
+            logger.warn(`Failed to update build ${buildId} with quota status during verify: ${err.message}`);
+        }
+
+        return 'waiting';
+    }
+
+    /**
+     * Starts a k8s build
+     * @method start
+     * @param  {Object}   config                A configuration object
+     * @param  {Integer}  config.buildId        ID for the build
+     * @param  {Integer}  [config.pipeline.id]    pipelineId for the build
+     * @param  {Integer}  [config.jobId]          jobId for the build
+     * @param  {Integer}  config.eventId        eventId for the build
+     * @param  {String}   config.container      Container for the build to run in
+     * @param  {String}   config.token          JWT for the Build
+     * @param  {String}   [config.jobName]        jobName for the build
+     * @return {Promise}  resoves to a boolean value if pod is still pending
+     */
+    async _start(config) {
+        if (!_.isEmpty(this.clusters)) {
+            return this.startOnClusters(config);
+        }
+
+        const { buildId, token } = config;
+        const isJob = this.workloadKind === JOB_WORKLOAD_KIND;
+        const annotationMessage = this.checkAnnotations(config);
+        const namespace = this.namespaceResolver.resolve(config);
+
+        try {
+            const { podName, quotaMessage } = await this.createWorkload(config, namespace);
+
+            if (quotaMessage) {
+                logger.info(`Build ${buildId} waiting for quota in ${namespace}: ${quotaMessage}`);
+                await this.updateBuild({
+                    apiUri: this.ecosystem.api,
+                    buildId,
+                    token,
+                    statusMessage: _.compact([quotaMessage, annotationMessage]).join(' ')
+                });
+
+                return false;
+            }
+
+            logger.info(
+                `${isJob ? 'Job' : 'Pod'} created successfully for build ${buildId} in ${namespace}, podName: ${podName}`
+            );
+
+            try {
+                const { isPending, nodeName, pod } = isJob
+                    ? await this.getJobPodStatus(buildId, namespace)
+                    : await this.getPodStatus(podName, buildId, namespace);
+
+                const resources = this.getResources(
+                    this.parseAnnotations(hoek.reach(config, 'annotations', { default: {} }))
+                );
+                const updateConfig = {
+                    apiUri: this.ecosystem.api,
+                    buildId,
+                    token,
+                    stats: {
+                        cpuLimit: resources.cpu / 1000,
+                        cpuRequest: resources.cpuRequest / 1000,
+                        memoryLimit: resources.memory,
+                        memoryRequest: _.round(resources.memoryRequest, 2)
+                    }
+                };
+
+                if (this.clusterName) {
+                    updateConfig.stats.buildCluster = this.clusterName;
+                }
+
+                if (nodeName) {
+                    Object.assign(updateConfig.stats, {
+                        hostname: nodeName,
+                        imagePullStartTime: new Date().toISOString()
+                    });
+                    logger.info(`Build ${buildId} pod ${podName} scheduled to node ${nodeName}`);
+                } else {
+                    updateConfig.statusMessage = await this.getPendingMessage({
+                        pod,
+                        jobName: isJob ? podName : undefined,
+                        namespace
+                    });
+                    logger.info(`Build ${buildId} pod ${podName} waiting for resources: ${updateConfig.statusMessage}`);
+                }
+
+                if (annotationMessage) {
+                    updateConfig.statusMessage = _.compact([updateConfig.statusMessage, annotationMessage]).join(' ');
+                }
+
+                await this.updateBuild(updateConfig);
+
+                if (isPending && !nodeName) {
+                    logger.info(
+                        `Build ${buildId} pod ${podName} pending without node - will retry to wait for scheduler`
+                    );
+
+                    return false;
+                }
+
+                return true;
+            } catch (statusErr) {
+                // getPodStatus throws when pod status is 'failed' or 'unknown'
+                logger.error(
+                    `Pod status check failed for build ${buildId}: ${statusErr.message}. ` +
+                        `Pod will be verified via retry queue.`
+                );
+
+                return false;
+            }
+        } catch (err) {
+            logger.error(`Failed to run pod for build id:${buildId}: ${err.message}`);
+            throw err;
+        }
+    }
+
+    /**
+     *
+     * @param {String} podName the pod name
+     * @param {String} buildId the build id
+     * @param {String} [namespace] namespace of the pod
+     * @returns {Object} the status and node name
+     */
+    async getPodStatus(podName, buildId, namespace = this.jobsNamespace) {
+        logger.info(`Get pod status for ${podName} and buildId: ${buildId}`);
+
+        try {
+            let pod = this.isPodCacheSynced(namespace) ? this.podWatcher.getPod(podName) : undefined;
+
+            // pod may not have reached the watch cache yet right after creation
+            if (!pod) {
+                const resp = await request({
+                    url: `${this.getPodsUrl(namespace)}/${podName}/status`,
+                    method: 'GET',
+                    headers: { Authorization: `Bearer ${this.token}` },
+                    https: this.k8sHttpsOptions
+                });
+
+                logger.debug(`Build ${buildId} pod response: ${JSON.stringify(resp.body)}`);
+                if (resp.statusCode !== 200) {
+                    throw new Error(`Failed to get pod status:${JSON.stringify(resp.body)}`);
+                }
+
+                pod = resp.body;
+            }
+
+            return this.evaluatePodStatus(pod, buildId);
+        } catch (err) {
+            logger.error(`Failed to getPodStatus for buildId:${buildId}: ${err.message}`);
+
+            throw err;
+        }
+    }
+
+    /**
+     * Gets the status of the pod of a build Job
+     * @param {String} buildId the build id
+     * @param {String} [namespace] namespace of the Job
+     * @returns {Object} the status and node name
+     */
+    async getJobPodStatus(buildId, namespace) {
+        const [pod] = await this.getPods(buildId, namespace);
+
+        // Job controller has not created the pod yet
+        if (!pod) {
+            return { isPending: true };
+        }
+
+        return this.evaluatePodStatus(pod, buildId);
+    }
+
+    /**
+     * Evaluates the status of a pod, throws when the pod failed to start
+     * @param {Object} pod the pod
+     * @param {String} buildId the build id
+     * @returns {Object} the status and node name
+     */
+    evaluatePodStatus(pod, buildId) {
+        const nodeName = hoek.reach(pod, 'spec.nodeName');
+        const responsePodName = hoek.reach(pod, 'metadata.name');
+        const status = hoek.reach(pod, 'status.phase').toLowerCase();
+        const failureMessage = getPodFailureMessage(pod);
+
+        logger.info(`BuildId:${buildId}, status:${status}, podName:${responsePodName}`);
+
+        if (status === 'failed' || status === 'unknown') {
+            throw new Error(failureMessage || `Failed to create pod. Pod status is: ${status}`);
+        }
+
+        if (failureMessage) {
+            logger.error(
+                `Build ${buildId} pod ${responsePodName} has container error: ${failureMessage} Failing immediately.`
+            );
+            throw new Error(failureMessage);
+        }
+
+        return { isPending: status === 'pending', nodeName, pod };
+    }
+
+    /**
+     * Validates the screwdriver.cd annotations of a job against the limits of the executor
+     * @method validateAnnotations
+     * @param  {Object}   [annotations]  raw annotations of the job
+     * @return {Object}   valid annotations by short name and issues, see lib/annotationSchema
+     */
+    validateAnnotations(annotations) {
+        return annotationSchema.validate(annotations, {
+            minCpu: hoek.reach(this.kubernetes, 'resources.cpu.min'),
+            maxCpu: this.maxCpu,
+            minMemory: hoek.reach(this.kubernetes, 'resources.memory.min'),
+            maxMemory: this.maxMemory,
+            maxBuildTimeout: this.maxBuildTimeout,
+            priorities: Object.keys(hoek.reach(this.kubernetes, 'priorityClasses.annotation', { default: {} })),
+            securityProfiles: hoek.reach(this.kubernetes, 'securityProfiles.allowed', { default: [] }),
+            services: this.kubernetes.services
+        });
+    }
+
+    /**
+     * Parses the annotations of a job, leaving out invalid values and capping values over their limit
+     * so that the defaults apply instead
+     * @method parseAnnotations
+     * @param  {Object}   annotations   raw annotations of the job
+     * @return {Object}   annotation values by short name, e.g.: { cpu: 'HIGH' }
+     */
+    parseAnnotations(annotations) {
+        return {
+            ..._.omit(super.parseAnnotations(annotations), annotationSchema.NAMES),
+            ...this.validateAnnotations(annotations).annotations
+        };
+    }
+
+    /**
+     * Gets the build timeout in minutes
+     * @method getBuildTimeout
+     * @param  {Object}   annotations   parsed annotations
+     * @return {Number}   build timeout
+     */
+    getBuildTimeout(annotations) {
+        return annotations[ANNOTATE_BUILD_TIMEOUT]
+            ? Math.min(annotations[ANNOTATE_BUILD_TIMEOUT], this.maxBuildTimeout)
+            : this.buildTimeout;
+    }
+
+    /**
+     * Get the PriorityClass of a build pod from the priorityClasses mapping. PR builds use the pr class,
+     * other builds the class of their pipeline, of their screwdriver.cd/priority annotation, or the nonPr class
+     * @method getPriorityClassName
+     * @param  {Object}  config       build config
+     * @param  {Object}  annotations  parsed annotations
+     * @param  {Boolean} isPR         whether the build is a PR build
+     * @return {String}               name of the PriorityClass, undefined for the default priority of the cluster
+     */
+    getPriorityClassName(config, annotations, isPR) {
+        const priorityClasses = this.kubernetes.priorityClasses || {};
+
+        if (isPR) {
+            return priorityClasses.pr || priorityClasses.default;
+        }
+
+        return (
+            _.get(priorityClasses, ['pipelines', `${hoek.reach(config, 'pipeline.id')}`]) ||
+            _.get(priorityClasses, ['annotation', annotations[PRIORITY_ANNOTATION]]) ||
+            priorityClasses.nonPr ||
+            priorityClasses.default
+        );
+    }
+
+    /**
+     * Get the security profile of a build pod, the one of its screwdriver.cd/securityProfile annotation
+     * or the default profile
+     * @method getSecurityProfile
+     * @param  {Object}  annotations  parsed annotations
+     * @return {Object}               { name, pod, container }, undefined when no profile applies
+     * @throws {Error}   when the profile is not configured
+     */
+    getSecurityProfile(annotations) {
+        const { profiles, default: defaultName } = this.kubernetes.securityProfiles || {};
+        const name = annotations[SECURITY_PROFILE_ANNOTATION] || defaultName;
+
+        if (!name) {
+            return undefined;
+        }
+        if (!_.has(profiles, [name])) {
+            throw new Error(`Security profile ${name} is not configured`);
+        }
+
+        return { name, ...profiles[name] };
+    }
+
+    /**
+     * Computes cpu and memory limits and requests of a container from its annotations
+     * @method getContainerResources
+     * @param  {String|Number} cpuConfig     cpu tier, or custom value (in cores)
+     * @param  {String|Number} memoryConfig  memory tier, or custom value (in GB)
+     * @return {Object}                      cpu and cpuRequest (in millicores), memory and memoryRequest (in GB)
+     */
+    getContainerResources(cpuConfig, memoryConfig) {
+        const cpuValues = {
+            MAX: this.maxCpu,
+            TURBO: this.turboCpu,
+            HIGH: this.highCpu,
+            LOW: this.lowCpu,
+            MICRO: this.microCpu
+        };
+        const memValues = {
+            TURBO: this.turboMemory,
+            HIGH: this.highMemory,
+            LOW: this.lowMemory,
+            MICRO: this.microMemory
+        };
+        // custom values are parsed from quantities by parseAnnotations, e.g.: 500m is 0.5
+        const customCpu = _.isNumber(cpuConfig);
+        const customMemory = _.isNumber(memoryConfig);
+        const cpuTier = cpuConfig in cpuValues ? cpuConfig : 'LOW';
+        const memoryTier = memoryConfig in memValues ? memoryConfig : 'LOW';
+        const cpu = customCpu ? Math.min(cpuConfig, this.maxCpu) : cpuValues[cpuTier];
+        const memory = customMemory ? Math.min(memoryConfig, this.maxMemory) : memValues[memoryTier];
+
+        if (this.guaranteedQos) {
+            return { cpu: Math.round(cpu * 1000), cpuRequest: Math.round(cpu * 1000), memory, memoryRequest: memory };
+        }
+
+        const cpuRequest = getResourceRequest(cpu, customCpu ? '' : cpuTier, this.cpuRequests, this.cpuRequestRatio);
+
+        return {
+            cpu: Math.round(cpu * 1000),
+            // Kubernetes does not allow less than 1m
+            cpuRequest: Math.max(Math.round(cpuRequest * 1000), 1),
+            memory,
+            memoryRequest: getResourceRequest(
+                memory,
+                customMemory ? '' : memoryTier,
+                this.memoryRequests,
+                this.memoryRequestRatio
+            )
+        };
+    }
+
+    /**
+     * Computes cpu and memory limits and requests of the build, dind and buildkit containers
+     * @method getResources
+     * @param  {Object} annotations  parsed annotations
+     * @return {Object}              resources of the build container, and of the dind (docker) and buildkit containers
+     */
+    getResources(annotations) {
+        return {
+            ...this.getContainerResources(annotations[CPU_RESOURCE], annotations[RAM_RESOURCE]),
+            docker: this.getContainerResources(annotations[DOCKER_CPU_RESOURCE], annotations[DOCKER_MEMORY_RESOURCE]),
+            buildkit: this.getContainerResources(
+                annotations[BUILDKIT_CPU_RESOURCE],
+                annotations[BUILDKIT_MEMORY_RESOURCE]
+            )
+        };
+    }
+
+    /**
+     * Wraps a build pod config in a batch/v1 Job
+     * @method createJobConfig
+     * @param  {Object}   podConfig             the pod config
+     * @param  {Object}   config                A configuration object
+     * @param  {Integer}  config.buildId        ID for the build
+     * @param  {Object}   [config.annotations]  Annotations of the build
+     * @return {Object}   Job config
+     */
+    createJobConfig(podConfig, config) {
+        const buildTimeout = this.getBuildTimeout(
+            this.parseAnnotations(hoek.reach(config, 'annotations', { default: {} }))
+        );
+        const { name, labels, annotations } = podConfig.metadata;
+        const templateMetadata = { labels };
+
+        if (annotations) {
+            templateMetadata.annotations = annotations;
+        }
+
+        return {
+            apiVersion: 'batch/v1',
+            kind: 'Job',
+            metadata: { name, labels },
+            spec: {
+                backoffLimit: this.jobBackoffLimit,
+                activeDeadlineSeconds: buildTimeout * 60 + JOB_DEADLINE_BUFFER_SECONDS,
+                ttlSecondsAfterFinished: this.jobTtlSecondsAfterFinished,
+                podFailurePolicy: {
+                    rules: [
+                        // pod was disrupted (e.g.: node drain, eviction, preemption), recreate it
+                        { action: 'Ignore', onPodConditions: [{ type: 'DisruptionTarget' }] },
+                        {
+                            action: 'FailJob',
+                            onExitCodes: {
+                                containerName: `${this.prefix}${config.buildId}`,
+                                operator: 'NotIn',
+                                values: [0]
+                            }
+                        }
+                    ]
+                },
+                template: {
+                    metadata: templateMetadata,
+                    spec: podConfig.spec
+                }
+            }
+        };
+    }
+
+    /**
+     * creates the pod config
+     * @method createPodConfig
+     * @param  {Object}   config                A configuration object
+     * @param  {Integer}  [config.pipeline.id]    pipelineId for the build
      * @param  {Integer}  [config.jobId]          jobId for the build
      * @param  {Integer}  config.eventId        eventId for the build
      * @param  {String}   config.container      Container for the build to run in
      * @param  {String}   config.token          JWT for the Build
      * @param  {String}   [config.jobName]        jobName for the build
+     * @param  {Number}   [config.podAttempt]     attempt of the build pod, set when it is recreated
      * @return {Object}   podConfig the pod config object
      */
     createPodConfig(config) {
-        const { buildId, eventId, container, token, prNum } = config;
+        const { buildId, eventId, container, token, prNum, podAttempt } = config;
         let jobId = hoek.reach(config, 'jobId', { default: '' });
         const pipelineId = hoek.reach(config, 'pipeline.id', { default: '' });
         const pipelineName = hoek.reach(config, 'pipeline.name', { default: '' });
@@ -561,14 +1621,6 @@ class K8sExecutor extends Executor {
         const templateVersion = hoek.reach(config, 'template.version', { default: '' });
         const annotations = this.parseAnnotations(hoek.reach(config, 'annotations', { default: {} }));
 
-        const cpuValues = {
-            MAX: this.maxCpu,
-            TURBO: this.turboCpu,
-            HIGH: this.highCpu,
-            LOW: this.lowCpu,
-            MICRO: this.microCpu
-        };
-
         // for PRs - set pipeline, job cache volume readonly and job cache dir to parent job cache dir
         const matched = PR_JOBNAME_REGEX_PATTERN.exec(jobName);
         let volumeReadOnly = false;
@@ -580,71 +1632,40 @@ class K8sExecutor extends Executor {
             jobId = hoek.reach(decodedToken.payload, 'prParentJobId', { default: jobId });
         }
 
-        const cpuConfig = annotations[CPU_RESOURCE];
-        let cpu = cpuConfig in cpuValues ? cpuValues[cpuConfig] * 1000 : cpuValues.LOW * 1000;
-
-        // allow custom cpu value
-        if (Number.isInteger(cpuConfig)) {
-            cpu = Math.min(cpuConfig, this.maxCpu) * 1000;
-        }
-
-        const memValues = {
-            TURBO: this.turboMemory,
-            HIGH: this.highMemory,
-            LOW: this.lowMemory,
-            MICRO: this.microMemory
-        };
-        const memConfig = annotations[RAM_RESOURCE];
-        let memory = memConfig in memValues ? memValues[memConfig] : memValues.LOW;
+        const resources = this.getResources(annotations);
+        const { cpu, memory, cpuRequest, memoryRequest } = resources;
+        const toMebibytes = gigabytes => Math.ceil(gigabytes * 1024);
 
         const diskConfig = annotations[DISK_RESOURCE];
         const disk = ['TURBO', 'HIGH', 'LOW', 'MICRO'].includes(diskConfig) ? diskConfig : 'LOW';
-
-        // allow custom memory value
-        if (Number.isInteger(memConfig)) {
-            memory = Math.min(memConfig, this.maxMemory);
-        }
+        const diskValues = {
+            TURBO: this.turboDisk,
+            HIGH: this.highDisk,
+            LOW: this.lowDisk,
+            MICRO: this.microDisk
+        };
+        // no ephemeral storage limit unless configured by cluster admin
+        const ephemeralStorage = diskValues[disk];
 
         // for dind container
         const dockerEnabledConfig = annotations[DOCKER_ENABLED_KEY];
         const DOCKER_ENABLED = this.dockerFeatureEnabled && dockerEnabledConfig === true;
 
-        const dockerCpuConfig = annotations[DOCKER_CPU_RESOURCE];
-        const DOCKER_CPU = dockerCpuConfig in cpuValues ? cpuValues[dockerCpuConfig] * 1000 : cpuValues.LOW * 1000;
-
-        const dockerMemoryConfig = annotations[DOCKER_MEMORY_RESOURCE];
-        const DOCKER_RAM = dockerMemoryConfig in memValues ? memValues[dockerMemoryConfig] : memValues.LOW;
-
         // for buildkit container
         const rootlessBuildkitEnabledConfig = annotations[ROOTLESS_BUILDKIT_ENABLED_KEY];
         const ROOTLESS_BUILDKIT_ENABLED = this.rootlessBuildkitFeatureEnabled && rootlessBuildkitEnabledConfig === true;
 
-        const buildkitCpuConfig = annotations[BUILDKIT_CPU_RESOURCE];
-        const BUILDKIT_CPU =
-            buildkitCpuConfig in cpuValues ? cpuValues[buildkitCpuConfig] * 1000 : cpuValues.LOW * 1000;
-
-        const buildkitMemoryConfig = annotations[BUILDKIT_MEMORY_RESOURCE];
-        const BUILDKIT_RAM = buildkitMemoryConfig in memValues ? memValues[buildkitMemoryConfig] : memValues.LOW;
-
         const random = randomstring.generate({
             length: 5,
             charset: 'alphanumeric',
             capitalization: 'lowercase'
         });
-        const buildTimeout = annotations[ANNOTATE_BUILD_TIMEOUT]
-            ? Math.min(annotations[ANNOTATE_BUILD_TIMEOUT], this.maxBuildTimeout)
-            : this.buildTimeout;
+        const buildTimeout = this.getBuildTimeout(annotations);
 
-        const templateSourcePath = path.resolve(__dirname, './config/pod.yaml.hbs');
-        const source = fs.readFileSync(templateSourcePath, 'utf8');
-        const template = handlebars.compile(source);
         let diskCacheEnabled = false;
 
         if (this.cachePath && this.cacheStrategy === DISK_CACHE_STRATEGY) {
             diskCacheEnabled = true;
-            if (this.prefix) {
-                this.cachePath = this.cachePath.concat('/').concat(this.prefix);
-            }
         }
 
         const buildContainerName = `${this.prefix}${buildId}`;
@@ -655,11 +1676,16 @@ class K8sExecutor extends Executor {
         const secretsDisabled = this.secrets.length === 1 && Object.keys(this.secrets[0]).length === 0;
         const secretsFileDisabled = this.secretsFile.length === 1 && Object.keys(this.secretsFile[0]).length === 0;
 
-        const podTemplate = template({
+        const podYaml = this.podTemplate({
             runtimeClass: this.runtimeClass,
             imagePullSecretName: this.imagePullSecretName,
             cpu,
             memory,
+            cpu_request: cpuRequest,
+            memory_limit: toMebibytes(memory),
+            memory_request: toMebibytes(memoryRequest),
+            guaranteed_qos: this.guaranteedQos,
+            ephemeral_storage: ephemeralStorage,
             pod_name: `${buildContainerName}-${random}`,
             privileged: this.privileged,
             build_id_with_prefix: buildContainerName,
@@ -694,13 +1720,19 @@ class K8sExecutor extends Executor {
             termination_grace_period_seconds: terminationGracePeriod,
             docker: {
                 enabled: DOCKER_ENABLED,
-                cpu: DOCKER_CPU,
-                memory: DOCKER_RAM
+                cpu: resources.docker.cpu,
+                memory: resources.docker.memory,
+                memory_limit: toMebibytes(resources.docker.memory),
+                cpu_request: resources.docker.cpuRequest,
+                memory_request: toMebibytes(resources.docker.memoryRequest)
             },
             rootlessbuildkit: {
                 enabled: ROOTLESS_BUILDKIT_ENABLED,
-                cpu: BUILDKIT_CPU,
-                memory: BUILDKIT_RAM
+                cpu: resources.buildkit.cpu,
+                memory: resources.buildkit.memory,
+                memory_limit: toMebibytes(resources.buildkit.memory),
+                cpu_request: resources.buildkit.cpuRequest,
+                memory_request: toMebibytes(resources.buildkit.memoryRequest)
             },
             dns_policy: this.dnsPolicy,
             image_pull_policy: this.imagePullPolicy,
@@ -713,11 +1745,29 @@ class K8sExecutor extends Executor {
                 disabled: secretsFileDisabled,
                 secrets: this.secretsFile
             },
-            sd_hab_enabled: this.sdHabEnabled
+            sd_hab_enabled: this.sdHabEnabled,
+            // not used by config/pod.yaml.hbs, for custom templates
+            annotations: hoek.reach(config, 'annotations', { default: {} }),
+            resources,
+            disk,
+            pr_num: prNum,
+            pipeline_name: pipelineName,
+            template_full_name: templateFullName,
+            template_version: templateVersion,
+            pod_attempt: podAttempt
         });
-        const podConfig = yaml.load(podTemplate);
+        const podConfig = yaml.load(podYaml);
         const nodeSelectors = {};
 
+        // invalid services were reported by checkAnnotations and are left out
+        podConfig.spec.containers.push(
+            ...services.createContainers(
+                { [services.SERVICES_ANNOTATION]: annotations.services },
+                this.kubernetes.services,
+                this.imagePullPolicy
+            )
+        );
+
         if (this.diskSpeedLabel) {
             const diskSpeedConfig = (annotations[DISK_SPEED_RESOURCE] || '').toLowerCase();
             const diskSpeedSelectors = diskSpeedConfig ? { [this.diskSpeedLabel]: diskSpeedConfig } : {};
@@ -738,38 +1788,71 @@ class K8sExecutor extends Executor {
             prNum,
             cpu,
             memory,
-            disk
+            cpuRequest,
+            memoryRequest,
+            disk,
+            podAttempt
         });
         setLifecycleHooks(podConfig, this.lifecycleHooks, buildContainerName);
+        setPriorityClassName(podConfig, this.getPriorityClassName(config, annotations, Boolean(matched)));
+        securityProfiles.apply(podConfig, this.getSecurityProfile(annotations), buildContainerName);
 
-        return podConfig;
+        return podPatches.apply(podConfig, this.podPatches, config);
     }
 
     /**
      * Stop a k8s build
      * @method stop
-     * @param  {Object}   config            A configuration object
-     * @param  {Integer}  config.buildId    ID for the build
+     * @param  {Object}   config                  A configuration object
+     * @param  {Integer}  config.buildId          ID for the build
+     * @param  {Array}    [config.freezeWindows]  Freeze windows of the job, its build may be frozen when set
      * @return {Promise}
      */
     async _stop(config) {
-        const options = {
-            url: this.podsUrl,
-            method: 'DELETE',
-            searchParams: {
-                labelSelector: `sdbuild=${this.prefix}${config.buildId}`
-            },
-            headers: {
-                Authorization: `Bearer ${this.token}`
-            },
-            https: { rejectUnauthorized: false }
-        };
+        // frozen builds wait for the freeze windows to end in a Job on host, even with clusters
+        if (!_.isEmpty(config.freezeWindows)) {
+            await this.deleteJobs(`tier=frozen,sdbuild=${this.prefix}${config.buildId}`);
+        }
 
-        try {
-            const resp = await this.breaker.runCommand(options);
+        return _.isEmpty(this.clusters) ? this.stopBuild(config) : this.stopOnClusters(config);
+    }
 
-            if (resp.statusCode !== 200) {
-                throw new Error(`Failed to delete pod:${JSON.stringify(resp.body)}`);
+    /**
+     * Deletes the pods of a build, and its Jobs when builds run as Jobs
+     * @method stopBuild
+     * @param  {Object}   config            A configuration object
+     * @param  {Integer}  config.buildId    ID for the build
+     * @return {Promise}                    resolves to null
+     */
+    async stopBuild(config) {
+        const labelSelector = `sdbuild=${this.prefix}${config.buildId}`;
+
+        try {
+            const namespaces = await this.getBuildNamespaces(config);
+
+            await this.reportStoppedPod(config, namespaces);
+            await Promise.all(
+                namespaces.map(async namespace => {
+                    const resp = await this.breaker.runCommand({
+                        url: this.getPodsUrl(namespace),
+                        method: 'DELETE',
+                        searchParams: {
+                            labelSelector
+                        },
+                        headers: {
+                            Authorization: `Bearer ${this.token}`
+                        },
+                        https: this.k8sHttpsOptions
+                    });
+
+                    if (resp.statusCode !== 200) {
+                        throw new Error(`Failed to delete pod:${JSON.stringify(resp.body)}`);
+                    }
+                })
+            );
+
+            if (this.workloadKind === JOB_WORKLOAD_KIND) {
+                await Promise.all(namespaces.map(namespace => this.deleteJobs(labelSelector, namespace)));
             }
 
             return null;
@@ -780,6 +1863,111 @@ class K8sExecutor extends Executor {
         }
     }
 
+    /**
+     * Get a build from the Screwdriver API
+     * @method getBuild
+     * @param  {Integer} buildId  ID of the build
+     * @param  {String}  token    JWT of the build
+     * @return {Promise}          build
+     */
+    async getBuild(buildId, token) {
+        const resp = await request({
+            url: `${this.ecosystem.api}/v4/builds/${buildId}`,
+            method: 'GET',
+            headers: { Authorization: `Bearer ${token}` },
+            https: this.apiHttpsOptions,
+            throwHttpErrors: false
+        });
+
+        if (resp.statusCode !== 200) {
+            throw new Error(`Failed to get build ${buildId}:${JSON.stringify(resp.body)}`);
+        }
+
+        return resp.body;
+    }
+
+    /**
+     * Records why Kubernetes stopped the pod of a build before it is deleted, e.g.: when its build container
+     * ran out of memory, as verify only reports failures of builds which did not start.
+     * Nothing is recorded when no pod failed, or when the build already finished, e.g.: aborted by a user.
+     * @method reportStoppedPod
+     * @param  {Object}  config         build config
+     * @param  {Integer} config.buildId ID for the build
+     * @param  {String}  [config.token] build token, nothing is recorded without it
+     * @param  {Array}   namespaces     namespaces of the build
+     * @return {Promise}
+     */
+    async reportStoppedPod(config, namespaces) {
+        const { buildId, token } = config;
+
+        if (!token) {
+            return;
+        }
+
+        try {
+            const pods = _.flatten(await Promise.all(namespaces.map(namespace => this.getPods(buildId, namespace))));
+            const pod = pods.find(p => hoek.reach(p, 'status.phase') !== 'Succeeded' && getPodFailureMessage(p));
+
+            if (!pod || FINISHED_BUILD_STATUSES.includes((await this.getBuild(buildId, token)).status)) {
+                return;
+            }
+
+            const failure = await this.getFailureSummary(pod, hoek.reach(pod, 'metadata.namespace'));
+
+            await this.updateBuild({
+                apiUri: this.ecosystem.api,
+                buildId,
+                token,
+                statusMessage: _.compact([getPodFailureMessage(pod), failure.summary]).join(' '),
+                stats: _.isEmpty(failure.stats) ? undefined : failure.stats
+            });
+        } catch (err) {
+            logger.warn(`Failed to record why the pod of build ${buildId} stopped: ${err.message}`);
+        }
+    }
+
+    /**
+     * Get the namespaces a build may run in: the resolved namespace, and the namespaces its pods
+     * were found in, in case the namespace mapping changed after the build started
+     * @method getBuildNamespaces
+     * @param  {Object}   config            A configuration object
+     * @param  {Integer}  config.buildId    ID for the build
+     * @return {Promise}                    array of namespaces
+     */
+    async getBuildNamespaces(config) {
+        const namespace = this.namespaceResolver.resolve(config);
+
+        if (!this.namespaceResolver.isEnabled()) {
+            return [namespace];
+        }
+
+        try {
+            const resp = await request({
+                url: `${this.apiUrl}/api/v1/pods`,
+                method: 'GET',
+                headers: { Authorization: `Bearer ${this.token}` },
+                https: this.k8sHttpsOptions,
+                searchParams: {
+                    labelSelector: `sdbuild=${this.prefix}${config.buildId}`
+                },
+                throwHttpErrors: false
+            });
+
+            if (resp.statusCode !== 200) {
+                throw new Error(JSON.stringify(resp.body));
+            }
+
+            return _.union(
+                [namespace],
+                resp.body.items.map(pod => pod.metadata.namespace)
+            );
+        } catch (err) {
+            logger.warn(`Failed to find pods of buildId: ${config.buildId} in all namespaces: ${err.message}`);
+
+            return [namespace];
+        }
+    }
+
     /**
      * checks for pod status and waiting reason
      * and returns error message
@@ -788,57 +1976,91 @@ class K8sExecutor extends Executor {
      * @returns {Object} the failure message
      */
     async _verify(config) {
+        if (!_.isEmpty(this.clusters)) {
+            return this.verifyOnCluster(config);
+        }
+
         const { buildId, token } = config;
-        const pods = await this.getPods(buildId);
+        const namespace = this.namespaceResolver.resolve(config);
+
+        let pods = await this.getPods(buildId, namespace);
 
         logger.info(`Fetched pod list for: ${buildId}, count: ${pods.length}`);
 
         let message = '';
-        let waitingReason;
-        let nodeName;
+        let jobs = [];
 
-        pods.forEach(p => {
-            const status = (hoek.reach(p, 'status.phase') || '').toLowerCase();
+        if (this.workloadKind === JOB_WORKLOAD_KIND) {
+            jobs = await this.getJobs(buildId, namespace);
+            const jobFailureMessage = await this.getJobFailureMessage(jobs, config);
 
-            nodeName = hoek.reach(p, 'spec.nodeName');
-            waitingReason = hoek.reach(p, CONTAINER_WAITING_REASON_PATH);
+            if (jobFailureMessage) {
+                logger.info(`BuildId: ${buildId}, verification result: ${jobFailureMessage}`);
 
-            // Check for immediate failure statuses
-            if (status === 'failed' || status === 'unknown') {
-                message = `Failed to create pod. Pod status is: ${status}`;
+                return jobFailureMessage;
             }
 
-            // Check for container-level failures
-            if (
-                ['CrashLoopBackOff', 'CreateContainerConfigError', 'CreateContainerError', 'StartError'].includes(
-                    waitingReason
-                )
-            ) {
-                message = 'Build failed to start. Please reach out to your cluster admin for help.';
+            // failed pods of a running Job are replaced by the Job controller, except for disk evictions
+            // and containers running out of memory which would only repeat
+            pods = pods.filter(
+                p =>
+                    (hoek.reach(p, 'status.phase') || '').toLowerCase() !== 'failed' ||
+                    getDiskEvictionMessage(p) ||
+                    hoek.reach(podStatus.getTerminationCause(p), 'reason') === 'OOMKilled'
+            );
+        }
+
+        if (pods.length === 0) {
+            // builds waiting for quota have no pod or Job yet, they may have been started by another replica
+            // or before a restart
+            if (jobs.length === 0) {
+                return this.startWaitingBuild(config, namespace);
             }
 
-            if (['ErrImagePull', 'ImagePullBackOff', 'InvalidImageName'].includes(waitingReason)) {
-                message = 'Build failed to start. Please check if your image is valid.';
+            logger.info(`Job pod not created yet for buildId: ${buildId}. Will retry.`);
+            message = 'waiting';
+        }
+
+        const jobName = hoek.reach(_.last(jobs), 'metadata.name');
+
+        // pods replaced by a later attempt may still be terminating
+        const latestAttempt = _.max(pods.map(getPodAttempt));
+
+        pods = pods.filter(p => getPodAttempt(p) === latestAttempt);
+
+        const evaluated = this.evaluatePods(pods, buildId);
+        const { nodeName, pendingPod, failedPod } = evaluated;
+
+        message = evaluated.message || message;
+
+        if (failedPod && this.canRecreatePod(failedPod)) {
+            return this.recreatePod(failedPod, message, config, namespace);
+        }
+
+        if (failedPod && !['waiting', 'initializing'].includes(message)) {
+            message = await this.reportPodFailure(failedPod, message, config, namespace);
+        }
+
+        if (['waiting', 'initializing'].includes(message) && pendingPod) {
+            const deadlineMessage = await this.stopPastPendingDeadline(pendingPod, config, namespace);
+
+            if (deadlineMessage) {
+                return deadlineMessage;
             }
+        }
 
-            // check if pod is still not ready
-            if (status === 'pending' && !message) {
-                if (!nodeName) {
-                    // Pod not scheduled yet - K8s hasn't assigned a node
-                    logger.info(
-                        `Pod waiting to be scheduled for buildId: ${buildId}. node not assigned yet. Will retry.`
-                    );
-                    message = 'waiting';
-                } else {
-                    // Pod is still initializing and started image pull
-                    logger.info(
-                        `Pod is still initializing for buildId: ${buildId} on node ${nodeName}. ` +
-                            `Allowing more time for image pull and container start.`
-                    );
-                    message = 'initializing';
-                }
+        if (message === 'waiting') {
+            try {
+                await this.updateBuild({
+                    apiUri: this.ecosystem.api,
+                    buildId,
+                    token,
+                    statusMessage: await this.getPendingMessage({ pod: pendingPod, jobName, namespace })
+                });
+            } catch (err) {
+                logger.warn(`Failed to update build ${buildId} with pending reason during verify: ${err.message}`);
             }
-        });
+        }
 
         if (nodeName && !message) {
             try {
@@ -866,17 +2088,28 @@ class K8sExecutor extends Executor {
     /**
      *
      * @param {String} buildId the build id
-     * @param {String} token the jwt token
+     * @param {String} [namespace] namespace of the pods
      * @returns {Array} array of pods
      */
-    async getPods(buildId) {
+    async getPods(buildId, namespace = this.jobsNamespace) {
+        const cachedPods = this.isPodCacheSynced(namespace)
+            ? this.podWatcher.getPodsByBuild(`${this.prefix}${buildId}`)
+            : [];
+
+        // pods may not have reached the watch cache yet right after creation
+        if (cachedPods.length) {
+            logger.info(`Get pods from watch cache for buildId: ${buildId}`);
+
+            return cachedPods;
+        }
+
         logger.info(`Get pod status for and buildId: ${buildId}`);
 
         const statusOptions = {
-            url: this.podsUrl,
+            url: this.getPodsUrl(namespace),
             method: 'GET',
             headers: { Authorization: `Bearer ${this.token}` },
-            https: { rejectUnauthorized: false },
+            https: this.k8sHttpsOptions,
             searchParams: {
                 labelSelector: `sdbuild=${this.prefix}${buildId}`
             }
@@ -900,39 +2133,1186 @@ class K8sExecutor extends Executor {
     }
 
     /**
-     * Starts a new periodic build in an executor
-     * @method _startPeriodic
-     * @return {Promise}  Resolves to null since it's not supported
+     *
+     * @param {String} buildId the build id
+     * @param {String} [namespace] namespace of the Jobs
+     * @returns {Array} array of Jobs
      */
-    _startPeriodic() {
-        return Promise.resolve(null);
+    async getJobs(buildId, namespace) {
+        const options = {
+            url: this.getJobsUrl(namespace),
+            method: 'GET',
+            headers: { Authorization: `Bearer ${this.token}` },
+            https: this.k8sHttpsOptions,
+            searchParams: {
+                labelSelector: `sdbuild=${this.prefix}${buildId}`
+            }
+        };
+
+        try {
+            const resp = await request(options);
+
+            if (resp.statusCode !== 200) {
+                throw new Error(`Failed to get job status:${JSON.stringify(resp.body)}`);
+            }
+
+            return resp.body.items;
+        } catch (err) {
+            logger.error(`Failed to getJobs for buildId:${buildId}: ${err.message}`);
+
+            throw err;
+        }
     }
 
     /**
-     * Stops a new periodic build in an executor
-     * @method _stopPeriodic
-     * @return {Promise}  Resolves to null since it's not supported
+     * Get the events of a pod or Job
+     * @method getEvents
+     * @param  {String} name         name of the pod or Job
+     * @param  {String} kind         Pod or Job
+     * @param  {String} [namespace]  namespace of the pod or Job
+     * @return {Promise}             array of events, empty if they cannot be read
+     */
+    async getEvents(name, kind, namespace = this.jobsNamespace) {
+        try {
+            const resp = await request({
+                url: `${this.apiUrl}/api/v1/namespaces/${namespace}/events`,
+                method: 'GET',
+                headers: { Authorization: `Bearer ${this.token}` },
+                https: this.k8sHttpsOptions,
+                searchParams: {
+                    fieldSelector: `involvedObject.name=${name},involvedObject.kind=${kind}`
+                },
+                throwHttpErrors: false
+            });
+
+            if (resp.statusCode !== 200) {
+                throw new Error(JSON.stringify(resp.body));
+            }
+
+            return resp.body.items;
+        } catch (err) {
+            logger.warn(`Failed to get events of ${kind} ${name}: ${err.message}`);
+
+            return [];
+        }
+    }
+
+    /**
+     * Explains why the pod of a build is not running on a node yet
+     * @method getPendingMessage
+     * @param  {Object}  config              A configuration object
+     * @param  {Object}  [config.pod]        k8s pod, not set if the Job controller has not created it yet
+     * @param  {String}  [config.jobName]    name of the Job of the build, for its events when there is no pod
+     * @param  {String}  [config.namespace]  namespace of the build
+     * @return {Promise}                     user readable status message
      */
-    _stopPeriodic() {
-        return Promise.resolve(null);
+    async getPendingMessage({ pod, jobName, namespace }) {
+        let events = [];
+
+        if (pod || jobName) {
+            events = await this.getEvents(pod ? pod.metadata.name : jobName, pod ? 'Pod' : 'Job', namespace);
+        }
+
+        return podStatus.getSchedulingMessage(pod, events) || podStatus.DEFAULT_PENDING_MESSAGE;
     }
 
     /**
-     * Starts a new frozen build in an executor
-     * @method _startFrozen
-     * @return {Promise}  Resolves to null since it's not supported
+     * Explains why a build Job failed, recording the reason in the build stats when it ran past its deadline
+     * @method getJobFailureMessage
+     * @param  {Array}   jobs     k8s Jobs of the build
+     * @param  {Object}  config   build config with buildId, token and annotations
+     * @return {Promise}          user readable message, or empty string if no Job failed
      */
-    _startFrozen() {
-        return Promise.resolve(null);
+    async getJobFailureMessage(jobs, config) {
+        const { buildId, token } = config;
+        const failedCondition = jobs
+            .map(job => (hoek.reach(job, 'status.conditions') || []).find(c => c.type === 'Failed'))
+            .find(c => c && c.status === 'True');
+
+        if (!failedCondition) {
+            return '';
+        }
+
+        if (failedCondition.reason !== 'DeadlineExceeded') {
+            return `Failed to run job. Job status is: failed, reason: ${failedCondition.reason}`;
+        }
+
+        try {
+            await this.updateBuild({
+                apiUri: this.ecosystem.api,
+                buildId,
+                token,
+                stats: { terminationReason: failedCondition.reason }
+            });
+        } catch (err) {
+            logger.warn(`Failed to update build ${buildId} with failure details during verify: ${err.message}`);
+        }
+
+        return podStatus.getDeadlineMessage(
+            this.getBuildTimeout(this.parseAnnotations(hoek.reach(config, 'annotations', { default: {} })))
+        );
     }
 
     /**
-     * Stops a new frozen build in an executor
-     * @method _stopFrozen
-     * @return {Promise}  Resolves to null since it's not supported
+     * Adds the details of a failed pod to its failure message, and records them in the build stats
+     * @method reportPodFailure
+     * @param  {Object}  pod          k8s pod
+     * @param  {String}  message      failure message
+     * @param  {Object}  config       build config with buildId and token
+     * @param  {String}  [namespace]  namespace of the pod
+     * @return {Promise}              failure message with the summary of the failed container
+     */
+    async reportPodFailure(pod, message, config, namespace) {
+        const { buildId, token } = config;
+        const failure = await this.getFailureSummary(pod, namespace);
+
+        if (!_.isEmpty(failure.stats)) {
+            try {
+                await this.updateBuild({
+                    apiUri: this.ecosystem.api,
+                    buildId,
+                    token,
+                    stats: failure.stats
+                });
+            } catch (err) {
+                logger.warn(`Failed to update build ${buildId} with failure details during verify: ${err.message}`);
+            }
+        }
+
+        return failure.summary ? `${message} ${failure.summary}` : message;
+    }
+
+    /**
+     * Verifies a build on the cluster it runs on, looking it up on all candidate clusters when not recorded
+     * @method verifyOnCluster
+     * @param  {Object}  config  build config
+     * @return {Promise}         result of verify on the cluster
+     */
+    async verifyOnCluster(config) {
+        const names = this.getBuildClusters(config);
+        const name = names.length > 1 ? (await this.findBuildCluster(config, names)) || names[0] : names[0];
+
+        return this.clusters[name]._verify(config);
+    }
+
+    /**
+     * Stops a build on the cluster it runs on, or on all candidate clusters when its pods are not found
+     * @method stopOnClusters
+     * @param  {Object}  config  build config
+     * @return {Promise}         resolves to null
+     */
+    async stopOnClusters(config) {
+        let names = this.getBuildClusters(config);
+
+        if (names.length > 1) {
+            const name = await this.findBuildCluster(config, names);
+
+            names = name ? [name] : names;
+        }
+
+        const results = await Promise.allSettled(names.map(name => this.clusters[name].stopBuild(config)));
+        const failures = results.filter(result => result.status === 'rejected');
+
+        results.forEach((result, i) => {
+            if (result.status === 'rejected') {
+                logger.warn(`Failed to stop build ${config.buildId} on cluster ${names[i]}: ${result.reason.message}`);
+            }
+        });
+        // the build was not found on any cluster, it may only have run on one of them
+        if (failures.length === results.length) {
+            throw failures[0].reason;
+        }
+
+        this.buildClusters.delete(`${config.buildId}`);
+
+        return null;
+    }
+
+    /**
+     * Finds the cluster a build runs on from its pods, for builds started by another executor instance,
+     * and records it
+     * @method findBuildCluster
+     * @param  {Object}  config  build config
+     * @param  {Array}   names   candidate cluster names
+     * @return {Promise}         cluster name, undefined when no cluster has pods of the build
+     */
+    async findBuildCluster(config, names) {
+        const pods = await Promise.all(
+            names.map(name =>
+                this.clusters[name]
+                    .getPods(config.buildId, this.clusters[name].namespaceResolver.resolve(config))
+                    .catch(err => {
+                        logger.warn(`Failed to look up build ${config.buildId} on cluster ${name}: ${err.message}`);
+
+                        return [];
+                    })
+            )
+        );
+        const name = names[pods.findIndex(p => !_.isEmpty(p))];
+
+        if (name) {
+            this.recordBuildCluster(config.buildId, name);
+        }
+
+        return name;
+    }
+
+    /**
+     * Evaluates the pods of a build, the first failure or pending state found wins
+     * @method evaluatePods
+     * @param  {Array}   pods     k8s pods of the build
+     * @param  {String}  buildId  the build id
+     * @return {Object}           message ('waiting', 'initializing', a failure or empty string), node name,
+     *                            and the pending or failed pod the message is about
+     */
+    evaluatePods(pods, buildId) {
+        let message = '';
+        let nodeName;
+        let pendingPod;
+        let failedPod;
+
+        pods.forEach(p => {
+            const status = (hoek.reach(p, 'status.phase') || '').toLowerCase();
+            const failureMessage = getPodFailureMessage(p);
+
+            nodeName = hoek.reach(p, 'spec.nodeName');
+
+            // Check for immediate failure statuses
+            if (status === 'failed' || status === 'unknown') {
+                message = failureMessage || `Failed to create pod. Pod status is: ${status}`;
+                failedPod = p;
+            } else if (failureMessage) {
+                // Check for failures of any init, build or sidecar container, and pods being disrupted
+                message = failureMessage;
+                failedPod = p;
+            }
+
+            // check if pod is still not ready
+            if (status === 'pending' && !message) {
+                if (!nodeName) {
+                    // Pod not scheduled yet - K8s hasn't assigned a node
+                    logger.info(
+                        `Pod waiting to be scheduled for buildId: ${buildId}. node not assigned yet. Will retry.`
+                    );
+                    message = 'waiting';
+                    pendingPod = p;
+                } else {
+                    // Pod is still initializing and started image pull
+                    logger.info(
+                        `Pod is still initializing for buildId: ${buildId} on node ${nodeName}. ` +
+                            `Allowing more time for image pull and container start.`
+                    );
+                    message = 'initializing';
+                    pendingPod = p;
+                }
+            }
+        });
+
+        return { message, nodeName, pendingPod, failedPod };
+    }
+
+    /**
+     * Stops a build whose pending pod is past the deadline to be scheduled, or to start on its node
+     * @method stopPastPendingDeadline
+     * @param  {Object}  pod          k8s pod which is pending
+     * @param  {Object}  config       build config, as passed to stop
+     * @param  {String}  [namespace]  namespace of the pod
+     * @return {Promise}              user readable message, or empty string if no deadline passed
+     */
+    async stopPastPendingDeadline(pod, config, namespace) {
+        const { buildId } = config;
+        const message = await this.getPendingDeadlineMessage(pod, config, namespace);
+
+        if (!message) {
+            return '';
+        }
+
+        logger.info(`BuildId: ${buildId}, verification result: ${message}`);
+
+        try {
+            await this.stopBuild(config);
+        } catch (err) {
+            logger.error(`Failed to stop build ${buildId} past its pending deadline: ${err.message}`);
+        }
+
+        return message;
+    }
+
+    /**
+     * Explains why a pending build pod is past the deadline to be scheduled, or to start on its node
+     * Scheduling is measured from the creation of the pod, starting from its PodScheduled condition
+     * @method getPendingDeadlineMessage
+     * @param  {Object}  pod          k8s pod which is pending
+     * @param  {Object}  config       build config with buildId
+     * @param  {String}  [namespace]  namespace of the pod
+     * @return {Promise}              user readable message, or empty string if no deadline passed
      */
-    _stopFrozen() {
-        return Promise.resolve(null);
+    async getPendingDeadlineMessage(pod, config, namespace) {
+        const nodeName = hoek.reach(pod, 'spec.nodeName');
+        const createdAt = hoek.reach(pod, 'metadata.creationTimestamp');
+
+        if (!nodeName) {
+            if (!this.unscheduledTimeout || !(getMinutesSince(createdAt) >= this.unscheduledTimeout)) {
+                return '';
+            }
+
+            const pendingMessage = await this.getPendingMessage({ pod, namespace });
+
+            return `Build could not be scheduled within ${this.unscheduledTimeout} minutes and was stopped. ${pendingMessage}`;
+        }
+
+        const scheduledCondition = (hoek.reach(pod, 'status.conditions') || []).find(
+            c => c.type === 'PodScheduled' && c.status === 'True'
+        );
+        const scheduledAt = hoek.reach(scheduledCondition, 'lastTransitionTime') || createdAt;
+
+        if (!this.initializationTimeout || !(getMinutesSince(scheduledAt) >= this.initializationTimeout)) {
+            return '';
+        }
+
+        const waiting = podStatus
+            .getContainerStatuses(pod)
+            .filter(containerStatus => hoek.reach(containerStatus, 'state.waiting'))
+            .map(containerStatus => `${containerStatus.name} (${containerStatus.state.waiting.reason})`);
+
+        return (
+            `Build did not start within ${this.initializationTimeout} minutes on node ${nodeName} and was stopped. ` +
+            `${waiting.length > 0 ? `Containers still waiting: ${waiting.join(', ')}. ` : ''}` +
+            'Please check that the images of the build can be pulled, or reach out to your cluster admin for help.'
+        );
+    }
+
+    /**
+     * Returns true when a failed build pod may be replaced with a new pod
+     * @method canRecreatePod
+     * @param  {Object}  pod  k8s pod which failed
+     * @return {Boolean}
+     */
+    canRecreatePod(pod) {
+        // Jobs replace their lost pods themselves
+        return (
+            this.workloadKind !== JOB_WORKLOAD_KIND &&
+            podStatus.isLostBeforeBuildStarted(pod) &&
+            getPodAttempt(pod) <= this.podRetries
+        );
+    }
+
+    /**
+     * Replaces a build pod which was lost before the build started with a copy of it
+     * @method recreatePod
+     * @param  {Object}  pod          k8s pod which was lost
+     * @param  {String}  message      why the pod was lost
+     * @param  {Object}  config       build config with buildId and token
+     * @param  {String}  [namespace]  namespace of the pod
+     * @return {Promise}              'waiting' when the new pod was created, otherwise the failure message
+     */
+    async recreatePod(pod, message, config, namespace) {
+        const { buildId, token } = config;
+        const podName = hoek.reach(pod, 'metadata.name');
+        const podAttempt = getPodAttempt(pod) + 1;
+        const reason = hoek.reach(podStatus.getTerminationCause(pod), 'reason') || 'NodeLost';
+        const random = randomstring.generate({
+            length: 5,
+            charset: 'alphanumeric',
+            capitalization: 'lowercase'
+        });
+
+        logger.info(`Recreating pod ${podName} of build ${buildId} (attempt ${podAttempt}): ${message}`);
+
+        try {
+            await this.breaker.runCommand({
+                url: `${this.getPodsUrl(namespace)}/${podName}`,
+                method: 'DELETE',
+                headers: { Authorization: `Bearer ${this.token}` },
+                https: this.k8sHttpsOptions
+            });
+
+            const resp = await this.breaker.runCommand({
+                url: this.getPodsUrl(namespace),
+                method: 'POST',
+                json: cloneLostPod(pod, `${this.prefix}${buildId}-${random}`, podAttempt),
+                headers: { Authorization: `Bearer ${this.token}` },
+                https: this.k8sHttpsOptions
+            });
+
+            if (resp.statusCode !== 201) {
+                throw new Error(`Failed to create pod:${JSON.stringify(resp.body)}`);
+            }
+        } catch (err) {
+            logger.error(`Failed to recreate pod ${podName} of build ${buildId}: ${err.message}`);
+
+            return message;
+        }
+
+        try {
+            await this.updateBuild({
+                apiUri: this.ecosystem.api,
+                buildId,
+                token,
+                statusMessage: `${message} Recreated the build pod (attempt ${podAttempt} of ${this.podRetries + 1}).`,
+                stats: { podAttempts: podAttempt, terminationReason: reason }
+            });
+        } catch (err) {
+            logger.warn(`Failed to update build ${buildId} with pod attempt during verify: ${err.message}`);
+        }
+
+        return 'waiting';
+    }
+
+    /**
+     * Get the last log lines of a container of a pod
+     * @method getContainerLogs
+     * @param  {String}  podName      name of the pod
+     * @param  {String}  container    name of the container
+     * @param  {String}  [namespace]  namespace of the pod
+     * @param  {Boolean} [previous]   read the logs of the previous run of a restarted container
+     * @return {Promise}              logs, empty if they cannot be read
+     */
+    async getContainerLogs(podName, container, namespace = this.jobsNamespace, previous = false) {
+        try {
+            const resp = await request({
+                url: `${this.getPodsUrl(namespace)}/${podName}/log`,
+                method: 'GET',
+                headers: { Authorization: `Bearer ${this.token}` },
+                https: this.k8sHttpsOptions,
+                searchParams: {
+                    container,
+                    tailLines: this.failureLogLines,
+                    ...(previous ? { previous: true } : {})
+                },
+                responseType: 'text',
+                throwHttpErrors: false
+            });
+
+            if (resp.statusCode !== 200) {
+                throw new Error(resp.body);
+            }
+
+            return typeof resp.body === 'string' ? resp.body : '';
+        } catch (err) {
+            logger.warn(`Failed to get logs of container ${container} of pod ${podName}: ${err.message}`);
+
+            return '';
+        }
+    }
+
+    /**
+     * Summarizes why a container of a failed pod failed, with its last log lines
+     * @method getFailureSummary
+     * @param  {Object}  pod          k8s pod
+     * @param  {String}  [namespace]  namespace of the pod
+     * @return {Promise}              summary for the status message (empty if no container failed) and build stats
+     */
+    async getFailureSummary(pod, namespace) {
+        const containerStatus = podStatus.getFailedContainer(pod);
+        const terminationCause = podStatus.getTerminationCause(pod);
+        const stats = terminationCause ? { terminationReason: terminationCause.reason } : {};
+
+        if (!containerStatus) {
+            return { summary: '', stats };
+        }
+
+        const details = podStatus.getFailureDetails(containerStatus);
+        // a restarting container is waiting, its logs are the ones of the previous run
+        const previous = !hoek.reach(containerStatus, 'state.terminated');
+        // containers which failed to be created have no logs
+        const logs =
+            this.failureLogLines > 0 && details.exitCode !== undefined
+                ? await this.getContainerLogs(hoek.reach(pod, 'metadata.name'), details.container, namespace, previous)
+                : '';
+
+        return {
+            summary: podStatus.formatFailureSummary(details, logs),
+            stats: _.omitBy(
+                {
+                    ...stats,
+                    failedContainer: details.container,
+                    failureReason: details.reason || details.waitingReason,
+                    failureExitCode: details.exitCode,
+                    failureMessage: details.message ? _.truncate(details.message, { length: 200 }) : undefined
+                },
+                _.isUndefined
+            )
+        };
+    }
+
+    /**
+     * Creates the pod template of a CronJob or Job that starts a build through the Screwdriver API.
+     * It only takes the labels, node selectors and service account of build pods, as its single container
+     * runs curl rather than the build.
+     * @method createTriggerPodTemplate
+     * @param  {Object}   config                A configuration object
+     * @param  {Object}   config.pipeline       Pipeline of the job
+     * @param  {Integer}  config.jobId          ID of the job to start
+     * @param  {String}   config.jobName        Name of the job to start
+     * @param  {Integer}  [config.buildId]      ID of the build, used for the sdbuild label and to start frozen builds
+     * @param  {String}   [config.apiUri]       Screwdriver API uri
+     * @param  {Date}     [config.startTime]    Time to wait for before starting the build
+     * @param  {String}   config.causeMessage   Cause message of the event
+     * @param  {String}   config.tier           Value for the tier label
+     * @return {Object}   pod template spec
+     */
+    createTriggerPodTemplate(config) {
+        const { pipeline, jobId, jobName, causeMessage, tier, startTime } = config;
+        // like the queue scheduler, frozen builds are started by their build ID
+        const event = _.omitBy(
+            {
+                buildId: config.buildId,
+                pipelineId: pipeline.id,
+                startFrom: jobName,
+                causeMessage,
+                creator: {
+                    name: 'Screwdriver scheduler',
+                    username: 'sd:scheduler'
+                }
+            },
+            _.isUndefined
+        );
+        const env = [
+            { name: 'SD_API_URI', value: config.apiUri || this.ecosystem.api },
+            { name: 'SD_EVENT', value: JSON.stringify(event) },
+            {
+                name: 'SD_TOKEN',
+                valueFrom: { secretKeyRef: { name: this.triggerTokenSecretName, key: 'token' } }
+            }
+        ];
+
+        if (startTime) {
+            env.push({ name: 'SD_START_TIME', value: `${Math.floor(startTime.getTime() / 1000)}` });
+        }
+
+        const podConfig = {
+            metadata: {},
+            spec: {
+                serviceAccountName: this.serviceAccount,
+                restartPolicy: 'OnFailure',
+                containers: [
+                    {
+                        name: TRIGGER_CONTAINER_NAME,
+                        image: this.triggerImage,
+                        imagePullPolicy: this.imagePullPolicy,
+                        resources: {
+                            limits: { cpu: '100m', memory: '128Mi' }
+                        },
+                        env,
+                        command: ['/bin/sh', '-c', startTime ? DELAYED_TRIGGER_COMMAND : TRIGGER_COMMAND]
+                    }
+                ]
+            }
+        };
+
+        setNodeSelector(podConfig, this.nodeSelectors);
+        setPreferredNodeSelector(podConfig, this.preferredNodeSelectors);
+        setLabels(podConfig, this.podLabels, {
+            buildContainerName: `${this.prefix}${config.buildId || `${tier}-${jobId}`}`,
+            jobName,
+            pipelineName: pipeline.name
+        });
+        podConfig.metadata.labels.tier = tier;
+
+        return podConfig;
+    }
+
+    /**
+     * Creates the CronJob config of a periodic job
+     * @method createCronJobConfig
+     * @param  {Object}   config                A configuration object
+     * @param  {Object}   config.pipeline       Pipeline of the job
+     * @param  {Object}   config.job            Job with the screwdriver.cd/buildPeriodically annotation
+     * @param  {String}   [config.apiUri]       Screwdriver API uri
+     * @return {Object}   CronJob config
+     */
+    createCronJobConfig(config) {
+        const { job } = config;
+        const annotations = hoek.reach(job, 'permutations.0.annotations', { default: {} });
+        const timeZone = getAnnotation(annotations, PERIODIC_TIMEZONE_ANNOTATION);
+        let concurrencyPolicy = getAnnotation(annotations, PERIODIC_CONCURRENCY_ANNOTATION) || 'Forbid';
+
+        if (!CONCURRENCY_POLICIES.includes(concurrencyPolicy)) {
+            logger.warn(`Invalid concurrency policy ${concurrencyPolicy} for job ${job.id}, using Forbid`);
+            concurrencyPolicy = 'Forbid';
+        }
+
+        const spec = {
+            schedule: cron.transform(getAnnotation(annotations, PERIODIC_CRON_ANNOTATION), job.id),
+            concurrencyPolicy,
+            successfulJobsHistoryLimit: 1,
+            failedJobsHistoryLimit: 1,
+            jobTemplate: {
+                spec: {
+                    backoffLimit: 2,
+                    template: this.createTriggerPodTemplate({
+                        pipeline: config.pipeline,
+                        jobId: job.id,
+                        jobName: job.name,
+                        apiUri: config.apiUri,
+                        causeMessage: 'Started by periodic build scheduler',
+                        tier: 'periodic'
+                    })
+                }
+            }
+        };
+
+        if (timeZone) {
+            spec.timeZone = timeZone;
+        }
+
+        return {
+            apiVersion: 'batch/v1',
+            kind: 'CronJob',
+            metadata: {
+                name: this.getScheduledName('periodic', job.id),
+                labels: {
+                    app: 'screwdriver',
+                    tier: 'periodic',
+                    'screwdriver.cd/jobId': `${job.id}`
+                }
+            },
+            spec
+        };
+    }
+
+    /**
+     * Name of a CronJob scheduled for a job
+     * @method getScheduledName
+     * @param  {String}   kind    periodic or frozen
+     * @param  {Integer}  jobId   ID of the job
+     * @return {String}   valid k8s object name
+     */
+    getScheduledName(kind, jobId) {
+        return `${this.prefix}${kind}-${jobId}`.toLowerCase().replace(/[^a-z0-9.-]/g, '-');
+    }
+
+    /**
+     * Creates a CronJob, or replaces it if it already exists
+     * @method applyCronJob
+     * @param  {Object}   cronJob   CronJob config
+     * @return {Promise}
+     */
+    async applyCronJob(cronJob) {
+        const { name } = cronJob.metadata;
+        const options = {
+            url: this.cronJobsUrl,
+            method: 'POST',
+            json: cronJob,
+            headers: {
+                Authorization: `Bearer ${this.token}`
+            },
+            https: this.k8sHttpsOptions,
+            throwHttpErrors: false
+        };
+        let resp = await this.breaker.runCommand(options);
+
+        if (resp.statusCode === 409) {
+            resp = await this.breaker.runCommand({ ...options, url: `${this.cronJobsUrl}/${name}`, method: 'PUT' });
+        }
+
+        if (![200, 201].includes(resp.statusCode)) {
+            throw new Error(`Failed to apply cronjob ${name}:${JSON.stringify(resp.body)}`);
+        }
+
+        logger.info(`CronJob ${name} applied with schedule ${cronJob.spec.schedule}`);
+    }
+
+    /**
+     * Deletes a CronJob and its pods
+     * @method deleteCronJob
+     * @param  {String}   name   CronJob name
+     * @return {Promise}
+     */
+    async deleteCronJob(name) {
+        const resp = await this.breaker.runCommand({
+            url: `${this.cronJobsUrl}/${name}`,
+            method: 'DELETE',
+            json: { propagationPolicy: 'Background' },
+            headers: {
+                Authorization: `Bearer ${this.token}`
+            },
+            https: this.k8sHttpsOptions,
+            throwHttpErrors: false
+        });
+
+        if (![200, 202, 404].includes(resp.statusCode)) {
+            throw new Error(`Failed to delete cronjob ${name}:${JSON.stringify(resp.body)}`);
+        }
+    }
+
+    /**
+     * Starts a new periodic build in an executor by creating or updating a CronJob
+     * @method _startPeriodic
+     * @param  {Object}   config                A configuration object
+     * @param  {Object}   config.pipeline       Pipeline of the job
+     * @param  {Object}   config.job            Job with the screwdriver.cd/buildPeriodically annotation
+     * @param  {String}   [config.apiUri]       Screwdriver API uri
+     * @return {Promise}  Resolves to null
+     */
+    async _startPeriodic(config) {
+        const { job } = config;
+        const annotations = hoek.reach(job, 'permutations.0.annotations', { default: {} });
+
+        if (!getAnnotation(annotations, PERIODIC_CRON_ANNOTATION) || job.state !== 'ENABLED' || job.archived) {
+            return this._stopPeriodic({ jobId: job.id });
+        }
+
+        try {
+            await this.applyCronJob(this.createCronJobConfig(config));
+
+            return null;
+        } catch (err) {
+            logger.error(`Failed to start periodic build for job ${job.id}: ${err.message}`);
+
+            throw err;
+        }
+    }
+
+    /**
+     * Stops a periodic build in an executor by deleting its CronJob
+     * @method _stopPeriodic
+     * @param  {Object}   config           A configuration object
+     * @param  {Integer}  config.jobId     ID of the job
+     * @return {Promise}  Resolves to null
+     */
+    async _stopPeriodic(config) {
+        try {
+            await this.deleteCronJob(this.getScheduledName('periodic', config.jobId));
+
+            return null;
+        } catch (err) {
+            logger.error(`Failed to stop periodic build for job ${config.jobId}: ${err.message}`);
+
+            throw err;
+        }
+    }
+
+    /**
+     * Creates the config of a Job that waits for the freeze windows to end, then starts the job
+     * @method createFrozenJobConfig
+     * @param  {Object}   config                A configuration object
+     * @param  {Integer}  config.buildId        ID of the frozen build
+     * @param  {Integer}  config.jobId          ID of the job
+     * @param  {String}   config.jobName        Name of the job
+     * @param  {Object}   config.pipeline       Pipeline of the job
+     * @param  {Array}    config.freezeWindows  Cron expressions of the freeze windows
+     * @param  {String}   [config.apiUri]       Screwdriver API uri
+     * @return {Object}   Job config
+     */
+    createFrozenJobConfig(config) {
+        const { jobId, freezeWindows } = config;
+        const startTime = cron.timeOutOfWindows(freezeWindows, new Date());
+        const template = this.createTriggerPodTemplate({
+            ...config,
+            causeMessage: 'Started by freeze window scheduler',
+            tier: 'frozen',
+            startTime
+        });
+
+        return {
+            apiVersion: 'batch/v1',
+            kind: 'Job',
+            metadata: {
+                name: `${this.getScheduledName('frozen', jobId)}-${Math.floor(startTime.getTime() / 1000)}`,
+                labels: {
+                    app: 'screwdriver',
+                    tier: 'frozen',
+                    sdbuild: template.metadata.labels.sdbuild,
+                    'screwdriver.cd/jobId': `${jobId}`
+                },
+                annotations: {
+                    'screwdriver.cd/startTime': startTime.toISOString()
+                }
+            },
+            spec: {
+                backoffLimit: 2,
+                ttlSecondsAfterFinished: FROZEN_JOB_TTL_SECONDS,
+                template
+            }
+        };
+    }
+
+    /**
+     * Creates a Job
+     * @method createJob
+     * @param  {Object}   job   Job config
+     * @return {Promise}
+     */
+    async createJob(job) {
+        const resp = await this.breaker.runCommand({
+            url: this.jobsUrl,
+            method: 'POST',
+            json: job,
+            headers: {
+                Authorization: `Bearer ${this.token}`
+            },
+            https: this.k8sHttpsOptions,
+            throwHttpErrors: false
+        });
+
+        if (resp.statusCode !== 201) {
+            throw new Error(`Failed to create job ${job.metadata.name}:${JSON.stringify(resp.body)}`);
+        }
+    }
+
+    /**
+     * Deletes Jobs and their pods
+     * @method deleteJobs
+     * @param  {String}   labelSelector   label selector of the Jobs to delete
+     * @param  {String}   [namespace]     namespace of the Jobs
+     * @return {Promise}
+     */
+    async deleteJobs(labelSelector, namespace) {
+        const resp = await this.breaker.runCommand({
+            url: this.getJobsUrl(namespace),
+            method: 'DELETE',
+            searchParams: {
+                labelSelector
+            },
+            json: { propagationPolicy: 'Background' },
+            headers: {
+                Authorization: `Bearer ${this.token}`
+            },
+            https: this.k8sHttpsOptions,
+            throwHttpErrors: false
+        });
+
+        if (resp.statusCode !== 200) {
+            throw new Error(`Failed to delete jobs:${JSON.stringify(resp.body)}`);
+        }
+    }
+
+    /**
+     * Starts a new frozen build in an executor by creating a Job that
+     * starts the job once the freeze windows end
+     * @method _startFrozen
+     * @param  {Object}   config                A configuration object
+     * @param  {Integer}  config.buildId        ID of the frozen build
+     * @param  {Integer}  config.jobId          ID of the job
+     * @param  {String}   config.jobName        Name of the job
+     * @param  {Object}   config.pipeline       Pipeline of the job
+     * @param  {Array}    config.freezeWindows  Cron expressions of the freeze windows
+     * @return {Promise}  Resolves to null
+     */
+    async _startFrozen(config) {
+        const { jobId } = config;
+
+        try {
+            const frozenJob = this.createFrozenJobConfig(config);
+
+            // only the latest frozen build of a job is started
+            await this.deleteJobs(`tier=frozen,screwdriver.cd/jobId=${jobId}`);
+            await this.createJob(frozenJob);
+
+            logger.info(
+                `Frozen build for job ${jobId} will start at ${frozenJob.metadata.annotations['screwdriver.cd/startTime']}`
+            );
+
+            return null;
+        } catch (err) {
+            logger.error(`Failed to start frozen build for job ${jobId}: ${err.message}`);
+
+            throw err;
+        }
+    }
+
+    /**
+     * Stops a frozen build in an executor by deleting its Job
+     * @method _stopFrozen
+     * @param  {Object}   config           A configuration object
+     * @param  {Integer}  config.jobId     ID of the job
+     * @return {Promise}  Resolves to null
+     */
+    async _stopFrozen(config) {
+        try {
+            await this.deleteJobs(`tier=frozen,screwdriver.cd/jobId=${config.jobId}`);
+
+            return null;
+        } catch (err) {
+            logger.error(`Failed to stop frozen build for job ${config.jobId}: ${err.message}`);
+
+            throw err;
+        }
+    }
+
+    /**
+     * Collects garbage every gc.interval minutes, on each cluster when clusters are set
+     * @method scheduleGarbageCollection
+     */
+    scheduleGarbageCollection() {
+        if (!(this.gc.interval > 0)) {
+            return;
+        }
+
+        this.gcTimer = setInterval(
+            () => this.collectGarbage().catch(err => logger.error(`Failed to collect garbage: ${err.message}`)),
+            this.gc.interval * 60000
+        );
+        this.gcTimer.unref();
+    }
+
+    /**
+     * Deletes build pods which outlived their build: pods of finished builds, and pods older than gc.maxPodAge.
+     * Pods of build Jobs are deleted with their Job. Optionally runs hostPath cleanup pods on the build nodes.
+     * @method collectGarbage
+     * @return {Promise}  names of the deleted pods
+     */
+    async collectGarbage() {
+        if (!_.isEmpty(this.clusters)) {
+            const deleted = await Promise.all(Object.values(this.clusters).map(cluster => cluster.collectGarbage()));
+
+            return _.flatten(deleted);
+        }
+
+        const pods = await this.listBuildPods();
+        const isOrphaned = await _.chunk(pods, GC_BATCH_SIZE).reduce(
+            async (checked, batch) => [
+                ...(await checked),
+                ...(await Promise.all(batch.map(pod => this.isOrphanedPod(pod))))
+            ],
+            Promise.resolve([])
+        );
+        const orphaned = pods.filter((pod, i) => isOrphaned[i]);
+        const results = await Promise.allSettled(orphaned.map(pod => this.deleteBuildPod(pod)));
+        const deleted = orphaned.filter((pod, i) => results[i].status === 'fulfilled').map(pod => pod.metadata.name);
+
+        results
+            .filter(result => result.status === 'rejected')
+            .forEach(result => logger.error(`Failed to delete orphaned build pod: ${result.reason.message}`));
+        logger.info(`Garbage collection deleted ${deleted.length} of ${pods.length} build pods`);
+
+        if (this.gc.hostPathCleanup) {
+            await this.runHostPathCleanup();
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Lists the build pods of all namespaces builds may run in
+     * @method listBuildPods
+     * @return {Promise}  k8s pods
+     */
+    async listBuildPods() {
+        const resp = await request({
+            // pods may be in any namespace when builds are routed to namespaces
+            url: this.namespaceResolver.isEnabled() ? `${this.apiUrl}/api/v1/pods` : this.getPodsUrl(),
+            method: 'GET',
+            headers: { Authorization: `Bearer ${this.token}` },
+            https: this.k8sHttpsOptions,
+            searchParams: { labelSelector: 'app=screwdriver,tier=builds' },
+            throwHttpErrors: false
+        });
+
+        if (resp.statusCode !== 200) {
+            throw new Error(`Failed to list build pods:${JSON.stringify(resp.body)}`);
+        }
+
+        return resp.body.items;
+    }
+
+    /**
+     * Returns true when a build pod is older than gc.maxPodAge, or its build finished or was removed
+     * @method isOrphanedPod
+     * @param  {Object}  pod  k8s pod
+     * @return {Promise}      Boolean
+     */
+    async isOrphanedPod(pod) {
+        const sdbuild = _.get(pod, ['metadata', 'labels', 'sdbuild'], '');
+        const buildId = Number(sdbuild.slice(this.prefix.length));
+
+        // pods of other Screwdriver installations sharing the cluster have another prefix
+        if (!sdbuild.startsWith(this.prefix) || !buildId) {
+            return false;
+        }
+        if (getMinutesSince(hoek.reach(pod, 'metadata.creationTimestamp')) > this.gc.maxPodAge) {
+            return true;
+        }
+        if (!this.gc.token) {
+            return false;
+        }
+
+        try {
+            const resp = await request({
+                url: `${this.ecosystem.api}/v4/builds/${buildId}`,
+                method: 'GET',
+                headers: { Authorization: `Bearer ${this.gc.token}` },
+                https: this.apiHttpsOptions,
+                throwHttpErrors: false
+            });
+
+            if (resp.statusCode === 404) {
+                return true;
+            }
+            if (resp.statusCode !== 200) {
+                throw new Error(JSON.stringify(resp.body));
+            }
+
+            return FINISHED_BUILD_STATUSES.includes(resp.body.status);
+        } catch (err) {
+            logger.warn(`Failed to get status of build ${buildId} for garbage collection: ${err.message}`);
+
+            return false;
+        }
+    }
+
+    /**
+     * Deletes a build pod, or the build Job owning it
+     * @method deleteBuildPod
+     * @param  {Object}  pod  k8s pod
+     * @return {Promise}
+     */
+    async deleteBuildPod(pod) {
+        const { name, namespace, labels } = pod.metadata;
+        const isJobPod = (pod.metadata.ownerReferences || []).some(owner => owner.kind === 'Job');
+
+        logger.info(`Deleting orphaned build pod ${name} in ${namespace}`);
+
+        if (isJobPod) {
+            return this.deleteJobs(`sdbuild=${labels.sdbuild}`, namespace);
+        }
+
+        const resp = await this.breaker.runCommand({
+            url: `${this.getPodsUrl(namespace)}/${name}`,
+            method: 'DELETE',
+            headers: { Authorization: `Bearer ${this.token}` },
+            https: this.k8sHttpsOptions
+        });
+
+        if (![200, 202, 404].includes(resp.statusCode)) {
+            throw new Error(`Failed to delete pod ${name}:${JSON.stringify(resp.body)}`);
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Runs a pod on each build node that removes build temp directories older than gc.maxPodAge
+     * and, with the disk cache strategy, event caches older than gc.eventCacheRetention.
+     * Finished cleanup pods of the previous run are deleted first.
+     * @method runHostPathCleanup
+     * @return {Promise}  number of cleanup pods created
+     */
+    async runHostPathCleanup() {
+        const headers = { Authorization: `Bearer ${this.token}` };
+
+        const deleteResp = await request({
+            url: this.getPodsUrl(),
+            method: 'DELETE',
+            headers,
+            https: this.k8sHttpsOptions,
+            searchParams: {
+                labelSelector: `app=screwdriver,tier=${GC_TIER}`,
+                fieldSelector: 'status.phase!=Pending,status.phase!=Running'
+            },
+            throwHttpErrors: false
+        });
+
+        // do not pile up cleanup pods when the finished ones cannot be deleted
+        if (deleteResp.statusCode !== 200) {
+            throw new Error(`Failed to delete hostPath cleanup pods:${JSON.stringify(deleteResp.body)}`);
+        }
+
+        const resp = await request({
+            url: `${this.apiUrl}/api/v1/nodes`,
+            method: 'GET',
+            headers,
+            https: this.k8sHttpsOptions,
+            searchParams: _.isEmpty(this.nodeSelectors)
+                ? {}
+                : { labelSelector: _.map(this.nodeSelectors, (value, key) => `${key}=${value}`).join(',') },
+            throwHttpErrors: false
+        });
+
+        if (resp.statusCode !== 200) {
+            throw new Error(`Failed to list nodes:${JSON.stringify(resp.body)}`);
+        }
+
+        const results = await Promise.allSettled(
+            resp.body.items.map(node =>
+                request({
+                    url: this.getPodsUrl(),
+                    method: 'POST',
+                    json: this.createCleanupPodConfig(node.metadata.name),
+                    headers,
+                    https: this.k8sHttpsOptions
+                })
+            )
+        );
+        const created = results.filter(result => result.status === 'fulfilled').length;
+
+        logger.info(`Created ${created} of ${results.length} hostPath cleanup pods`);
+
+        return created;
+    }
+
+    /**
+     * Creates the config of a pod removing stale build temp directories and event caches from a node
+     * @method createCleanupPodConfig
+     * @param  {String}  nodeName  name of the node
+     * @return {Object}            k8s pod config
+     */
+    createCleanupPodConfig(nodeName) {
+        const diskCacheEnabled = this.cacheStrategy === DISK_CACHE_STRATEGY;
+        const commands = [
+            `find /opt/screwdriver -mindepth 1 -maxdepth 1 -name 'tmp_*' -mmin +${this.gc.maxPodAge} -exec rm -rf {} +`
+        ];
+        const volumeMounts = [{ name: 'screwdriver', mountPath: '/opt/screwdriver' }];
+        const volumes = [{ name: 'screwdriver', hostPath: { path: '/opt/screwdriver', type: 'DirectoryOrCreate' } }];
+
+        if (diskCacheEnabled) {
+            // event caches are in <cache path>/events/<pipeline ID>/<event ID>
+            commands.push(
+                `find /sdeventcache -mindepth 2 -maxdepth 2 -mmin +${this.gc.eventCacheRetention} -exec rm -rf {} +`
+            );
+            volumeMounts.push({ name: 'sd-event-cache', mountPath: '/sdeventcache' });
+            volumes.push({
+                name: 'sd-event-cache',
+                hostPath: { path: `${this.cachePath}/events`, type: 'DirectoryOrCreate' }
+            });
+        }
+
+        const podConfig = {
+            apiVersion: 'v1',
+            kind: 'Pod',
+            metadata: {
+                generateName: `${this.prefix}gc-`,
+                labels: { app: 'screwdriver', tier: GC_TIER }
+            },
+            spec: {
+                nodeName,
+                restartPolicy: 'Never',
+                activeDeadlineSeconds: GC_CLEANUP_DEADLINE_SECONDS,
+                containers: [
+                    {
+                        name: GC_CLEANUP_CONTAINER_NAME,
+                        image: this.gc.cleanupImage,
+                        imagePullPolicy: this.imagePullPolicy,
+                        command: ['/bin/sh', '-c', commands.join('; ')],
+                        resources: { limits: { cpu: '100m', memory: '128Mi' } },
+                        volumeMounts
+                    }
+                ],
+                volumes
+            }
+        };
+
+        // tolerate the taints of the build nodes
+        setNodeSelector(podConfig, this.nodeSelectors);
+
+        return podConfig;
+    }
+
+    /**
+     * Stops the pod watches
+     * @method _cleanUp
+     * @return {Promise}
+     */
+    async _cleanUp() {
+        if (this.podWatcher) {
+            this.podWatcher.stop();
+        }
+
+        clearInterval(this.gcTimer);
+
+        await Promise.all(Object.values(this.clusters).map(cluster => cluster._cleanUp()));
     }
 
     /**
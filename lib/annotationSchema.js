@@ -0,0 +1,260 @@
+'use strict';
+
+const _ = require('lodash');
+const cron = require('./cron');
+const quantity = require('./quantity');
+const services = require('./services');
+
+const CPU_TIERS = ['MAX', 'TURBO', 'HIGH', 'LOW', 'MICRO'];
+const TIERS = ['TURBO', 'HIGH', 'LOW', 'MICRO'];
+const CONCURRENCY_POLICIES = ['Allow', 'Forbid', 'Replace'];
+const QUANTITIES = {
+    cpu: { parse: quantity.parseCpu, min: 'minCpu', max: 'maxCpu', description: 'cores, e.g.: 1.5 or 500m' },
+    memory: { parse: quantity.parseMemory, min: 'minMemory', max: 'maxMemory', description: 'GB, e.g.: 1.5 or 512Mi' }
+};
+
+/**
+ * Rules of the screwdriver.cd annotations read by the executor:
+ * - tiers:    accepted tiers, case insensitive
+ * - integer:  accepts whole numbers from min (default 1), capped by the limit of that name if any
+ * - quantity: accepts cpu or memory quantities, in cores or GB, within the minCpu and maxCpu (or memory) limits
+ * - type:     boolean or string
+ * - values:   accepted values
+ * - allowed:  name of the limit holding the accepted values, an allowlist of the cluster admin
+ * - check:    function throwing an error for invalid values, called with the value and the limits
+ * - fallback: what the executor uses instead of an invalid value
+ */
+const SCHEMA = {
+    cpu: { tiers: CPU_TIERS, quantity: 'cpu', fallback: 'LOW' },
+    ram: { tiers: TIERS, quantity: 'memory', fallback: 'LOW' },
+    disk: { tiers: TIERS, fallback: 'LOW' },
+    diskSpeed: { type: 'string', fallback: 'no disk speed' },
+    dockerEnabled: { type: 'boolean', fallback: 'false' },
+    dockerCpu: { tiers: CPU_TIERS, quantity: 'cpu', fallback: 'LOW' },
+    dockerRam: { tiers: TIERS, quantity: 'memory', fallback: 'LOW' },
+    rootlessBuildkitEnabled: { type: 'boolean', fallback: 'false' },
+    buildkitCpu: { tiers: CPU_TIERS, quantity: 'cpu', fallback: 'LOW' },
+    buildkitRam: { tiers: TIERS, quantity: 'memory', fallback: 'LOW' },
+    timeout: { integer: 'maxBuildTimeout', fallback: 'the default timeout' },
+    terminationGracePeriodSeconds: { integer: null, min: 0, fallback: 'the default grace period' },
+    buildCluster: { type: 'string', fallback: 'any cluster' },
+    priority: { allowed: 'priorities', fallback: 'the default priority' },
+    securityProfile: { allowed: 'securityProfiles', fallback: 'the default security profile' },
+    buildPeriodically: { type: 'string', check: value => cron.transform(value, 0), fallback: 'no periodic builds' },
+    buildPeriodicallyTimeZone: {
+        type: 'string',
+        check: timeZone => new Intl.DateTimeFormat('en-US', { timeZone }),
+        fallback: 'the cluster time zone'
+    },
+    buildPeriodicallyConcurrencyPolicy: { values: CONCURRENCY_POLICIES, fallback: 'Forbid' },
+    services: {
+        check: (value, limits) => services.createContainers({ [services.SERVICES_ANNOTATION]: value }, limits.services),
+        fallback: 'no services'
+    }
+};
+const NAMES = Object.keys(SCHEMA);
+
+/**
+ * Reads a screwdriver.cd annotation, with or without the beta. prefix
+ * @param  {Object} annotations  raw annotations
+ * @param  {String} name         annotation name without the screwdriver.cd/ prefix
+ * @return {*}                   annotation value
+ */
+function read(annotations, name) {
+    const value = _.get(annotations, [`screwdriver.cd/${name}`]);
+
+    return value === undefined ? _.get(annotations, [`beta.screwdriver.cd/${name}`]) : value;
+}
+
+/**
+ * Get the rule of an annotation, with the values of its allowlist if any
+ * @param  {String} name    annotation name without the screwdriver.cd/ prefix
+ * @param  {Object} limits  limits and allowlists, by name
+ * @return {Object}         rule of the schema
+ */
+function getRule(name, limits) {
+    const rule = SCHEMA[name];
+
+    return rule.allowed ? { ...rule, values: limits[rule.allowed] || [] } : rule;
+}
+
+/**
+ * Describes what a rule accepts
+ * @param  {Object} rule  rule of the schema
+ * @return {String}       e.g.: one of TURBO, HIGH, LOW, MICRO or a whole number
+ */
+function describe(rule) {
+    const accepted = rule.tiers || rule.values;
+
+    if (rule.type) {
+        return rule.type === 'boolean' ? 'true or false' : `a ${rule.type}`;
+    }
+    if (!accepted) {
+        return `a whole number from ${rule.min === undefined ? 1 : rule.min}`;
+    }
+    if (!accepted.length) {
+        return 'allowed by the cluster admin';
+    }
+
+    if (rule.quantity) {
+        return `one of ${accepted.join(', ')} or ${QUANTITIES[rule.quantity].description}`;
+    }
+
+    return `one of ${accepted.join(', ')}${'integer' in rule ? ' or a whole number' : ''}`;
+}
+
+/**
+ * Checks a whole number value against the range of its rule
+ * @param  {Object} rule    rule of the schema
+ * @param  {Number} value   whole number
+ * @param  {Object} limits  limits of whole number values, by name
+ * @return {Object}         see checkValue
+ */
+function checkInteger(rule, value, limits) {
+    const min = rule.min === undefined ? 1 : rule.min;
+    const max = rule.integer ? limits[rule.integer] : undefined;
+
+    if (value < min) {
+        return { invalid: true, reason: `must be at least ${min}` };
+    }
+
+    return max !== undefined && value > max ? { value: max, capped: true, max } : { value };
+}
+
+/**
+ * Checks a cpu or memory quantity against the range of its rule
+ * @param  {Object} rule    rule of the schema
+ * @param  {*}      value   annotation value
+ * @param  {Object} limits  limits of quantities, by name
+ * @return {Object}         see checkValue, with { raised, min } for values under their minimum
+ */
+function checkQuantity(rule, value, limits) {
+    const { parse, min: minName, max: maxName } = QUANTITIES[rule.quantity];
+    const parsed = parse(value);
+    const min = limits[minName];
+    const max = limits[maxName];
+
+    if (parsed === undefined) {
+        return { invalid: true, reason: `is not ${describe(rule)}` };
+    }
+    if (parsed <= 0) {
+        return { invalid: true, reason: 'must be more than 0' };
+    }
+    if (max !== undefined && parsed > max) {
+        return { value: max, capped: true, max };
+    }
+    if (min !== undefined && parsed < min) {
+        return { value: min, raised: true, min };
+    }
+
+    return { value: parsed };
+}
+
+/**
+ * Checks the value of an annotation against its rule
+ * @param  {Object} rule    rule of the schema
+ * @param  {*}      value   annotation value
+ * @param  {Object} limits  limits of numeric values and allowlists, by name, e.g.: { maxCpu: 12 }
+ * @return {Object}         { value } with the value to use, { capped, max } for values over their limit,
+ *                          or { invalid, reason } for invalid values
+ */
+function checkValue(rule, value, limits) {
+    // e.g.: timeout: "60"
+    const integer = _.isString(value) && /^-?[0-9]+$/.test(value.trim()) ? parseInt(value, 10) : value;
+
+    if (rule.tiers && _.isString(value) && rule.tiers.includes(value.toUpperCase())) {
+        return { value: value.toUpperCase() };
+    }
+    if (rule.quantity) {
+        return checkQuantity(rule, value, limits);
+    }
+    if ('integer' in rule && Number.isInteger(integer)) {
+        return checkInteger(rule, integer, limits);
+    }
+    if (rule.type === 'boolean' && [true, false, 'true', 'false'].includes(value)) {
+        return { value: value === true || value === 'true' };
+    }
+    if ((rule.type === 'string' && _.isString(value)) || (rule.values && rule.values.includes(value))) {
+        return { value };
+    }
+    if (rule.check && !rule.type && !rule.values) {
+        return { value };
+    }
+
+    return { invalid: true, reason: `is not ${describe(rule)}` };
+}
+
+/**
+ * Validates the screwdriver.cd annotations read by the executor
+ * @param  {Object} annotations  raw annotations of the job
+ * @param  {Object} limits       limits of numeric values and allowlists, e.g.: { minCpu: 0.5, maxCpu: 12, priorities: ['low'] },
+ *                               and the services options of the executor
+ * @return {Object}              annotations: valid or capped values by short name, invalid ones left out,
+ *                               issues: [{ annotation, value, severity, message }], severity is warning or error
+ */
+function validate(annotations, limits) {
+    const valid = {};
+    const issues = [];
+
+    NAMES.forEach(name => {
+        const rule = getRule(name, limits);
+        const value = read(annotations, name);
+
+        if (value === undefined || value === null || value === '') {
+            return;
+        }
+
+        const annotation = `screwdriver.cd/${name}`;
+        const display = _.isObjectLike(value) ? JSON.stringify(value) : value;
+        const result = checkValue(rule, value, limits);
+        let { reason } = result;
+
+        if (!result.invalid && rule.check) {
+            try {
+                rule.check(result.value, limits);
+            } catch (err) {
+                reason = `is invalid: ${err.message}`;
+            }
+        }
+
+        if (result.invalid || reason) {
+            issues.push({
+                annotation,
+                value,
+                severity: 'error',
+                message: `${name} ${display} ${reason}, using ${rule.fallback}`
+            });
+
+            return;
+        }
+
+        if (result.capped || result.raised) {
+            issues.push({
+                annotation,
+                value,
+                severity: 'warning',
+                message: result.capped
+                    ? `${name} ${value} exceeds max ${result.max}, capped`
+                    : `${name} ${value} is below min ${result.min}, raised`
+            });
+        }
+        valid[name] = result.value;
+    });
+
+    return { annotations: valid, issues };
+}
+
+/**
+ * Formats annotation issues for the status message of a build
+ * @param  {Array}  issues  issues from validate
+ * @return {String}         e.g.: Invalid annotations: cpu 40 exceeds max 12, capped.
+ */
+function formatIssues(issues) {
+    return issues.length ? `Invalid annotations: ${issues.map(i => i.message).join('; ')}.` : '';
+}
+
+module.exports = {
+    NAMES,
+    validate,
+    formatIssues
+};
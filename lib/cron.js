@@ -0,0 +1,268 @@
+'use strict';
+
+const _ = require('lodash');
+const stringHash = require('string-hash');
+
+const FIELD_RANGES = [
+    [0, 59],
+    [0, 23],
+    [1, 31],
+    [1, 12],
+    [0, 6]
+];
+const FIELD_NAMES = [
+    [],
+    [],
+    [],
+    ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'],
+    ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT']
+];
+const HASH_RANGE_REGEX_PATTERN = /^H\((\d+)-(\d+)\)$/;
+const MAX_DAYS_OUT_OF_WINDOWS = 366;
+// each step skips at least a minute, and usually an hour, day or month of a freeze window
+const MAX_STEPS_OUT_OF_WINDOWS = 10000;
+
+/**
+ * Splits a cron expression into its fields
+ * @param  {String} cronExp  cron expression
+ * @return {Array}           array of 5 fields
+ */
+function split(cronExp) {
+    const fields = _.toString(cronExp).trim().split(/\s+/);
+
+    if (fields.length !== FIELD_RANGES.length) {
+        throw new Error(`${cronExp} does not have exactly ${FIELD_RANGES.length} fields`);
+    }
+
+    return fields;
+}
+
+/**
+ * Replaces the H symbols of a cron field with a value hashed from the job id
+ * @param  {String} field  cron field, e.g.: H, H/5, H(0-5) or 1,H
+ * @param  {Number} index  position of the field in the expression
+ * @param  {Number} hash   hash of the job id
+ * @return {String}        standard cron field
+ */
+function transformField(field, index, hash) {
+    const [rangeMin, rangeMax] = FIELD_RANGES[index];
+    const evaluate = (min, max) => (hash % (max + 1 - min)) + min;
+
+    return field
+        .split(',')
+        .map(value => {
+            const matched = HASH_RANGE_REGEX_PATTERN.exec(value);
+
+            if (value === 'H' || /^H\/\d+$/.test(value)) {
+                return value.replace('H', evaluate(rangeMin, rangeMax));
+            }
+            if (!matched) {
+                return value;
+            }
+
+            const min = parseInt(matched[1], 10);
+            const max = parseInt(matched[2], 10);
+
+            if (min < rangeMin || max > rangeMax || min > max) {
+                throw new Error(`${value} has an invalid range, expected range ${rangeMin}-${rangeMax}`);
+            }
+
+            return `${evaluate(min, max)}`;
+        })
+        .join(',');
+}
+
+/**
+ * Converts a Screwdriver cron expression to a standard one the same way as the API scheduler:
+ * the minute is always hashed from the job id unless it is a H range, and H symbols are
+ * replaced with values hashed from the job id
+ * @param  {String} cronExp  cron expression, e.g.: H H(0-5) * * *
+ * @param  {String} jobId    job id to hash
+ * @return {String}          standard cron expression
+ */
+function transform(cronExp, jobId) {
+    const hash = stringHash(`${jobId}`);
+    const fields = split(cronExp);
+
+    // spreads periodic builds over the hour
+    if (!HASH_RANGE_REGEX_PATTERN.test(fields[0])) {
+        fields[0] = 'H';
+    }
+
+    return fields.map((field, i) => transformField(field, i, hash)).join(' ');
+}
+
+/**
+ * Checks if a value matches a single cron field
+ * @param  {String} field  cron field, e.g.: *, 1-5, MON-FRI, 0/15, 1,3
+ * @param  {Number} index  position of the field in the expression
+ * @param  {Number} value  value to check
+ * @return {Boolean}
+ */
+function matchField(field, index, value) {
+    const [rangeMin, rangeMax] = FIELD_RANGES[index];
+    const toNumber = token => {
+        const nameIndex = FIELD_NAMES[index].indexOf(token.toUpperCase());
+
+        if (nameIndex > -1) {
+            return nameIndex + FIELD_RANGES[index][0];
+        }
+
+        // 7 is also Sunday for day of week
+        return index === 4 && token === '7' ? 0 : parseInt(token, 10);
+    };
+
+    return field.split(',').some(part => {
+        const [range, stepToken] = part.split('/');
+        const step = stepToken ? parseInt(stepToken, 10) : 1;
+        let min = rangeMin;
+        let max = rangeMax;
+
+        if (range !== '*' && range !== '?') {
+            const [start, end] = range.split('-');
+
+            min = toNumber(start);
+            // a/n runs from a to the end of the range
+            if (end !== undefined) {
+                max = toNumber(end);
+            } else if (!stepToken) {
+                max = min;
+            }
+        }
+
+        return value >= min && value <= max && (value - min) % step === 0;
+    });
+}
+
+/**
+ * Checks if a date matches the fields of a cron expression (evaluated in UTC)
+ * @param  {Array} fields  cron fields
+ * @param  {Date}  date    date to check
+ * @return {Boolean}
+ */
+function matchFields(fields, date) {
+    const values = [
+        date.getUTCMinutes(),
+        date.getUTCHours(),
+        date.getUTCDate(),
+        date.getUTCMonth() + 1,
+        date.getUTCDay()
+    ];
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((field, i) => matchField(field, i, values[i]));
+    const anyDay = field => field === '*' || field === '?';
+    let day = dayOfMonth && dayOfWeek;
+
+    // same as cron, day of month or day of week matches when both are restricted
+    if (!anyDay(fields[2]) && !anyDay(fields[4])) {
+        day = dayOfMonth || dayOfWeek;
+    }
+
+    return minute && hour && month && day;
+}
+
+/**
+ * Get the unit of time a cron expression keeps matching for once it matches a date: the month when it
+ * matches any minute of any day, the day when it matches any minute of its days, the hour when it
+ * matches any minute of its hours, otherwise the minute
+ * @param  {Array}  fields  cron fields
+ * @return {String}         month, day, hour or minute
+ */
+function getMatchingUnit(fields) {
+    const [minute, hour, dayOfMonth, , dayOfWeek] = fields.map((field, i) =>
+        _.range(FIELD_RANGES[i][0], FIELD_RANGES[i][1] + 1).every(value => matchField(field, i, value))
+    );
+
+    if (!minute) {
+        return 'minute';
+    }
+    if (!hour) {
+        return 'hour';
+    }
+
+    return dayOfMonth && dayOfWeek ? 'month' : 'day';
+}
+
+/**
+ * Get the start of the next unit of time after a date
+ * @param  {Date}   date  date, at the start of a minute
+ * @param  {String} unit  month, day, hour or minute
+ * @return {Number}       timestamp of the start of the next unit
+ */
+function startOfNext(date, unit) {
+    const next = new Date(date.getTime());
+
+    if (unit === 'month') {
+        next.setUTCMonth(next.getUTCMonth() + 1, 1);
+        next.setUTCHours(0, 0);
+    } else if (unit === 'day') {
+        next.setUTCHours(24, 0);
+    } else if (unit === 'hour') {
+        next.setUTCMinutes(60);
+    } else {
+        next.setUTCMinutes(next.getUTCMinutes() + 1);
+    }
+
+    return next.getTime();
+}
+
+/**
+ * Get the freeze windows matching a date
+ * @param  {Array}  windows  freeze windows: { fields, unit }
+ * @param  {Date}   date     date to check
+ * @return {Array}           matching freeze windows
+ */
+function getMatchingWindows(windows, date) {
+    return windows.filter(w => matchFields(w.fields, date));
+}
+
+/**
+ * Skips to the first date at which none of the freeze windows matching a date may still match
+ * @param  {Array}  matching  freeze windows matching the date
+ * @param  {Date}   date      date to skip from
+ * @return {Date}             start of the latest next unit of time of the freeze windows
+ */
+function skipWindows(matching, date) {
+    return new Date(Math.max(...matching.map(({ unit }) => startOfNext(date, unit))));
+}
+
+/**
+ * Finds the first minute at or after a date which is outside of all freeze windows.
+ * Skips the rest of the hour, day or month matched by a freeze window at once.
+ * @param  {Array}  freezeWindows  cron expressions of freeze windows
+ * @param  {Date}   date           date to start from
+ * @return {Date}                  first date outside of the freeze windows
+ */
+function timeOutOfWindows(freezeWindows, date) {
+    const windows = (freezeWindows || []).map(freezeWindow => {
+        const fields = split(freezeWindow);
+
+        return { fields, unit: getMatchingUnit(fields) };
+    });
+    const maxTime = date.getTime() + MAX_DAYS_OUT_OF_WINDOWS * 24 * 60 * 60 * 1000;
+    let time = new Date(date.getTime());
+    let steps = 0;
+
+    time.setUTCSeconds(0, 0);
+
+    for (let matching = getMatchingWindows(windows, time); matching.length;) {
+        if (time.getTime() > maxTime) {
+            throw new Error(`No time outside of freeze windows ${freezeWindows.join(', ')} within a year`);
+        }
+        if (steps >= MAX_STEPS_OUT_OF_WINDOWS) {
+            throw new Error(
+                `No time outside of freeze windows ${freezeWindows.join(', ')} found until ${time.toISOString()}`
+            );
+        }
+
+        time = skipWindows(matching, time);
+        matching = getMatchingWindows(windows, time);
+        steps += 1;
+    }
+
+    return time;
+}
+
+module.exports = {
+    transform,
+    timeOutOfWindows
+};
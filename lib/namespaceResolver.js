@@ -0,0 +1,83 @@
+'use strict';
+
+const handlebars = require('handlebars');
+const hoek = require('@hapi/hoek');
+const _ = require('lodash');
+
+const NAMESPACE_ANNOTATION = 'namespace';
+const MAX_NAMESPACE_LENGTH = 63;
+
+class NamespaceResolver {
+    /**
+     * Resolves the namespace of a build from admin configured mappings
+     * Namespaces may be templates, e.g.: sd-{{pipeline_id}} or sd-{{scm_org}}
+     * @method constructor
+     * @param  {Object}  config                Configuration
+     * @param  {String}  config.defaultNamespace Namespace used when nothing matches
+     * @param  {Object}  [config.pipelines]    Namespaces keyed by pipeline ID
+     * @param  {Object}  [config.scmOrgs]      Namespaces keyed by SCM organization
+     * @param  {Object}  [config.annotations]  Namespaces keyed by value of the screwdriver.cd/namespace annotation
+     * @param  {String}  [config.template]     Namespace used when no mapping matches
+     */
+    constructor(config) {
+        const compile = mapping => _.mapValues(mapping || {}, namespace => handlebars.compile(`${namespace}`));
+
+        this.defaultNamespace = config.defaultNamespace;
+        this.pipelines = compile(config.pipelines);
+        this.scmOrgs = compile(config.scmOrgs);
+        this.annotations = compile(config.annotations);
+        this.template = config.template ? handlebars.compile(config.template) : null;
+    }
+
+    /**
+     * Returns true when any mapping or template is configured
+     * @method isEnabled
+     * @return {Boolean}
+     */
+    isEnabled() {
+        return Boolean(
+            this.template || !_.isEmpty(this.pipelines) || !_.isEmpty(this.scmOrgs) || !_.isEmpty(this.annotations)
+        );
+    }
+
+    /**
+     * Resolves the namespace of a build
+     * Pipeline mappings take precedence over annotation, SCM organization and template
+     * @method resolve
+     * @param  {Object}  config                 build config
+     * @param  {Object}  [config.pipeline]      pipeline with id and name (e.g.: org/repo)
+     * @param  {Number}  [config.pipelineId]    pipeline ID when pipeline is not set
+     * @param  {Number}  [config.jobId]         job ID
+     * @param  {Object}  [config.annotations]   raw annotations
+     * @return {String}                         namespace
+     */
+    resolve(config) {
+        const pipelineId = hoek.reach(config, 'pipeline.id') || hoek.reach(config, 'pipelineId');
+        const pipelineName = hoek.reach(config, 'pipeline.name') || '';
+        const scmOrg = pipelineName.includes('/') ? pipelineName.split('/')[0] : '';
+        const annotations = hoek.reach(config, 'annotations') || {};
+        const annotation =
+            annotations[`screwdriver.cd/${NAMESPACE_ANNOTATION}`] ||
+            annotations[`beta.screwdriver.cd/${NAMESPACE_ANNOTATION}`];
+        const template =
+            this.pipelines[pipelineId] || this.annotations[annotation] || this.scmOrgs[scmOrg] || this.template;
+
+        if (!template) {
+            return this.defaultNamespace;
+        }
+
+        const namespace = template({
+            pipeline_id: pipelineId || '',
+            job_id: hoek.reach(config, 'jobId') || '',
+            scm_org: scmOrg
+        })
+            .toLowerCase()
+            .replace(/[^a-z0-9-]+/g, '-')
+            .slice(0, MAX_NAMESPACE_LENGTH)
+            .replace(/^-+|-+$/g, '');
+
+        return namespace || this.defaultNamespace;
+    }
+}
+
+module.exports = NamespaceResolver;
@@ -0,0 +1,193 @@
+'use strict';
+
+const jsonPatch = require('fast-json-patch');
+const _ = require('lodash');
+const { PR_JOBNAME_REGEX_PATTERN } = require('./prJobs');
+
+const PATCH_TYPES = ['merge', 'json'];
+const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+// lists of the pod spec merged by the name of their items, like kubectl strategic merge patches do
+const MERGED_LIST_KEYS = ['containers', 'initContainers', 'env', 'volumes', 'volumeMounts'];
+const BETA_ANNOTATION_PREFIX_REGEX_PATTERN = /^beta\./;
+
+/**
+ * Get the first line of the message of a fast-json-patch error, without the operation and document it dumps
+ * @param  {Error}  err  error
+ * @return {String}
+ */
+function getErrorMessage(err) {
+    return err.message.split('\n')[0];
+}
+
+/**
+ * Applies a JSON Patch (RFC 6902) to a copy of a document
+ * @param  {Object} doc         document
+ * @param  {Array}  operations  patch operations, e.g.: [{ op: 'add', path: '/spec/initContainers/-', value: {} }]
+ * @return {Object}             patched copy of the document
+ */
+function applyJsonPatch(doc, operations) {
+    try {
+        return jsonPatch.applyPatch(doc, operations, true, false).newDocument;
+    } catch (err) {
+        const { op, path } = err.operation || {};
+
+        throw new Error(`operation ${err.index} (${op} ${path}) failed: ${getErrorMessage(err)}`);
+    }
+}
+
+/**
+ * Returns true for lists of objects identified by their name, e.g.: containers, env, volumes
+ * @param  {*}       value  value to check
+ * @return {Boolean}
+ */
+function isNamedList(value) {
+    return (
+        Array.isArray(value) && value.length > 0 && value.every(item => _.isPlainObject(item) && _.isString(item.name))
+    );
+}
+
+/**
+ * Merges a patch value into a document value, merging the lists of MERGED_LIST_KEYS by name
+ * @param  {*}       value  document value
+ * @param  {*}       patch  patch value
+ * @param  {String}  [key]  key of the values in their parent object
+ * @return {*}              patched copy of the value
+ */
+function mergeValue(value, patch, key) {
+    if (MERGED_LIST_KEYS.includes(key) && isNamedList(value) && isNamedList(patch)) {
+        const merged = value.map(item => {
+            const itemPatch = patch.find(p => p.name === item.name);
+
+            return itemPatch ? mergeValue(item, itemPatch) : _.cloneDeep(item);
+        });
+
+        return merged.concat(
+            patch.filter(p => !value.some(item => item.name === p.name)).map(p => mergeValue(undefined, p))
+        );
+    }
+    if (!_.isPlainObject(patch)) {
+        return _.cloneDeep(patch);
+    }
+
+    const result = _.isPlainObject(value) ? { ...value } : {};
+
+    Object.keys(patch).forEach(k => {
+        if (patch[k] === null) {
+            delete result[k];
+        } else {
+            result[k] = mergeValue(result[k], patch[k], k);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Applies a merge patch to a copy of a document: like a JSON Merge Patch (RFC 7386), null removes a field,
+ * but as in a strategic merge patch, the containers, initContainers, env, volumes and volumeMounts lists
+ * are merged by name instead of replaced
+ * @param  {Object} doc    document
+ * @param  {Object} patch  merge patch
+ * @return {Object}        patched copy of the document
+ */
+function applyMergePatch(doc, patch) {
+    return mergeValue(doc, patch);
+}
+
+/**
+ * Checks the pod patches of the executor options and compiles their selectors
+ * @param  {Array}  patches  pod patches, e.g.: [{ selector: { jobName: '^deploy' }, type: 'merge', patch: {} }]
+ * @return {Array}           normalized pod patches
+ */
+function normalize(patches) {
+    if (!Array.isArray(patches)) {
+        throw new Error('kubernetes.podPatches must be a list');
+    }
+
+    return patches.map((podPatch, i) => {
+        const { selector = {}, type = 'merge', patch } = podPatch || {};
+        const invalid = reason => new Error(`kubernetes.podPatches[${i}] ${reason}`);
+
+        if (!PATCH_TYPES.includes(type)) {
+            throw invalid(`has an unknown type ${type}, expected one of ${PATCH_TYPES.join(', ')}`);
+        }
+        if (type === 'merge' && !_.isPlainObject(patch)) {
+            throw invalid('must have an object as merge patch');
+        }
+        if (type === 'json') {
+            const error = Array.isArray(patch) ? jsonPatch.validate(patch) : new Error('not a list');
+
+            if (error) {
+                throw invalid(
+                    `must have a list of ${JSON_PATCH_OPERATIONS.join(', ')} operations as JSON patch: ` +
+                        `${getErrorMessage(error)}`
+                );
+            }
+        }
+
+        return {
+            selector: {
+                pipelineIds: selector.pipelineIds ? [].concat(selector.pipelineIds).map(String) : undefined,
+                jobName: selector.jobName ? new RegExp(selector.jobName) : undefined,
+                pr: selector.pr,
+                annotations: _.mapValues(selector.annotations, values => [].concat(values).map(String))
+            },
+            type,
+            patch
+        };
+    });
+}
+
+/**
+ * Returns true when a build matches all the conditions of a selector
+ * @param  {Object}  selector                normalized selector
+ * @param  {Object}  config                  build config
+ * @param  {Object}  [config.pipeline]       pipeline of the build
+ * @param  {String}  [config.jobName]        name of the job
+ * @param  {Object}  [config.annotations]    annotations of the job
+ * @return {Boolean}
+ */
+function matches(selector, config) {
+    const jobName = _.get(config, 'jobName', '');
+    const annotations = _.mapKeys(_.get(config, 'annotations', {}), (value, key) =>
+        key.replace(BETA_ANNOTATION_PREFIX_REGEX_PATTERN, '')
+    );
+
+    return (
+        (!selector.pipelineIds || selector.pipelineIds.includes(String(_.get(config, 'pipeline.id')))) &&
+        (!selector.jobName || selector.jobName.test(jobName)) &&
+        (selector.pr === undefined || selector.pr === PR_JOBNAME_REGEX_PATTERN.test(jobName)) &&
+        Object.keys(selector.annotations).every(
+            key => key in annotations && selector.annotations[key].includes(String(annotations[key]))
+        )
+    );
+}
+
+/**
+ * Applies the pod patches whose selector matches the build, in order
+ * @param  {Object} podConfig  pod config
+ * @param  {Array}  patches    normalized pod patches
+ * @param  {Object} config     build config
+ * @return {Object}            patched pod config
+ */
+function apply(podConfig, patches, config) {
+    return patches.reduce((current, { selector, type, patch }, i) => {
+        if (!matches(selector, config)) {
+            return current;
+        }
+
+        try {
+            return type === 'json' ? applyJsonPatch(current, patch) : applyMergePatch(current, patch);
+        } catch (err) {
+            throw new Error(`Failed to apply kubernetes.podPatches[${i}]: ${err.message}`);
+        }
+    }, podConfig);
+}
+
+module.exports = {
+    applyJsonPatch,
+    applyMergePatch,
+    normalize,
+    matches,
+    apply
+};
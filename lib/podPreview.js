@@ -0,0 +1,151 @@
+'use strict';
+
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const yaml = require('js-yaml');
+const _ = require('lodash');
+const K8sExecutor = require('../index');
+const { PR_JOBNAME_REGEX_PATTERN } = require('./prJobs');
+
+const BUILD_CONFIG_DEFAULTS = {
+    buildId: 1,
+    eventId: 1,
+    jobId: 1,
+    jobName: 'main',
+    container: 'node:22',
+    token: '',
+    annotations: {},
+    pipeline: { id: 1, name: 'screwdriver-cd/preview' }
+};
+// the pod name ends with a random suffix
+const IGNORED_DIFF_PATHS = ['metadata.name'];
+
+/**
+ * Reads a YAML or JSON file
+ * @param  {String} filePath  path of the file
+ * @return {Object}
+ */
+function loadFile(filePath) {
+    return yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+}
+
+/**
+ * Creates an executor which only renders pods: no pod watch and no garbage collection
+ * @param  {Object} options  executor options
+ * @return {K8sExecutor}
+ */
+function createExecutor(options) {
+    const kubernetes = _.get(options, 'kubernetes', {});
+
+    return new K8sExecutor({
+        ...options,
+        kubernetes: { ...kubernetes, watchPods: false, gc: { ...kubernetes.gc, interval: 0 } }
+    });
+}
+
+/**
+ * Renders the pod of a build without contacting any cluster
+ * @param  {Object} options              executor options, as in the executor section of the API config
+ * @param  {Object} buildConfig          build config, as passed to start
+ * @param  {Object} [renderOptions]
+ * @param  {String} [renderOptions.cluster]  name of the cluster of config.kubernetes.clusters to render for
+ * @return {Object}                      pod config
+ */
+function renderPod(options, buildConfig, { cluster } = {}) {
+    const config = { ...BUILD_CONFIG_DEFAULTS, ...buildConfig };
+    let executor = createExecutor(options);
+
+    if (PR_JOBNAME_REGEX_PATTERN.test(config.jobName) && !jwt.decode(config.token)) {
+        throw new Error(`token must be a build JWT for PR job ${config.jobName}, it holds the parent job ID`);
+    }
+
+    if (cluster) {
+        if (!executor.clusters[cluster]) {
+            throw new Error(`Cluster ${cluster} is not one of: ${Object.keys(executor.clusters).join(', ')}`);
+        }
+        executor = executor.clusters[cluster];
+    }
+
+    return executor.createPodConfig(config);
+}
+
+/**
+ * Dumps a pod config as YAML
+ * @param  {Object} podConfig  pod config
+ * @return {String}
+ */
+function toYaml(podConfig) {
+    return yaml.dump(podConfig, { noRefs: true, lineWidth: -1 });
+}
+
+/**
+ * Flattens an object into a map of paths to leaf values, e.g.: spec.containers[0].image
+ * @param  {*}      value   object to flatten
+ * @param  {String} prefix  path of the object
+ * @param  {Object} result  map to add the paths to
+ * @return {Object}
+ */
+function flatten(value, prefix = '', result = {}) {
+    if (_.isArray(value) || _.isPlainObject(value)) {
+        _.forEach(value, (child, key) => {
+            const childPath = _.isArray(value) ? `${prefix}[${key}]` : `${prefix}${prefix ? '.' : ''}${key}`;
+
+            flatten(child, childPath, result);
+        });
+
+        if (_.isEmpty(value) && prefix) {
+            result[prefix] = value;
+        }
+    } else {
+        result[prefix] = value;
+    }
+
+    return result;
+}
+
+/**
+ * Compares two pod configs
+ * @param  {Object} before  pod config rendered with the current executor config
+ * @param  {Object} after   pod config rendered with the new executor config
+ * @return {Array}          changed paths, as { path, before, after }, with undefined for added or removed paths
+ */
+function diffPods(before, after) {
+    const beforePaths = flatten(before);
+    const afterPaths = flatten(after);
+
+    return _.union(Object.keys(beforePaths), Object.keys(afterPaths))
+        .filter(p => !IGNORED_DIFF_PATHS.includes(p) && !_.isEqual(beforePaths[p], afterPaths[p]))
+        .map(p => ({ path: p, before: beforePaths[p], after: afterPaths[p] }));
+}
+
+/**
+ * Formats changed paths as lines of removed (-) and added (+) values
+ * @param  {Array}  changes  changes from diffPods
+ * @return {String}
+ */
+function formatDiff(changes) {
+    const format = value => JSON.stringify(value);
+
+    return changes
+        .map(({ path, before, after }) => {
+            const lines = [];
+
+            if (before !== undefined) {
+                lines.push(`- ${path}: ${format(before)}`);
+            }
+            if (after !== undefined) {
+                lines.push(`+ ${path}: ${format(after)}`);
+            }
+
+            return lines.join('\n');
+        })
+        .join('\n');
+}
+
+module.exports = {
+    loadFile,
+    renderPod,
+    toYaml,
+    diffPods,
+    formatDiff
+};
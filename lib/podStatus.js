@@ -0,0 +1,475 @@
+'use strict';
+
+const hoek = require('@hapi/hoek');
+const _ = require('lodash');
+const quota = require('./quota');
+const { CONTAINER_NAME_PREFIX: SERVICE_CONTAINER_PREFIX } = require('./services');
+
+const DEFAULT_PENDING_MESSAGE = 'Waiting for resources to be available.';
+const SCHEDULING_EVENT_REASONS = ['FailedScheduling', 'FailedCreate'];
+// e.g.: 0/5 nodes are available: 2 Insufficient cpu, 3 node(s) had untolerated taint {gpu: true}. preemption: ...
+const NODES_AVAILABLE_REGEX_PATTERN = /^0\/(\d+) nodes are available: (.*?)\.?(?: preemption:.*)?$/;
+const NODE_REASON_REGEX_PATTERN = /^(\d+) (.+)$/;
+const SCHEDULING_REASONS = [
+    [/^Insufficient (\S+)/, ([, resource]) => `with not enough free ${resource}`],
+    [/untolerated taint/, () => 'reserved for other workloads (taints)'],
+    [/didn't match Pod's node affinity\/selector/, () => "not matching the build's node selectors"],
+    [/didn't match pod (anti-)?affinity rules/, () => 'not matching pod affinity rules'],
+    [/unschedulable/, () => 'cordoned'],
+    [/Too many pods/, () => 'at their pod limit'],
+    [/volume node affinity conflict/, () => 'in another zone than the volumes of the build'],
+    [/didn't have free ports/, () => 'without free ports'],
+    [/not ready|NotReady/, () => 'not ready']
+];
+const FAILED_WAITING_REASONS = [
+    'CrashLoopBackOff',
+    'CreateContainerConfigError',
+    'CreateContainerError',
+    'RunContainerError',
+    'StartError'
+];
+const IMAGE_PULL_REASONS = ['ErrImagePull', 'ImagePullBackOff', 'InvalidImageName'];
+const SIDECAR_ROLES = ['dind', 'buildkit', 'service'];
+const MEMORY_ANNOTATIONS = { build: 'ram', dind: 'dockerRam', buildkit: 'buildkitRam', service: 'services' };
+const PREEMPTION_REASONS = ['Preempting', 'PreemptionByScheduler', 'PreemptionByKubeScheduler'];
+const INFRASTRUCTURE_TERMINATION_REASONS = ['NodeLost', 'Evicted', 'Preempted', 'Disrupted'];
+const MAX_SUMMARY_LENGTH = 1000;
+const OTHER_REASONS = [
+    [/unbound (immediate )?PersistentVolumeClaims/, () => 'Waiting for a volume claim of the build to be bound.'],
+    [/exceeded quota/, message => quota.describeExceededQuota(message) || `${quota.WAITING_MESSAGE_PREFIX} ${message}`]
+];
+
+/**
+ * Turns the scheduler message of a node into a readable reason
+ * @param  {String} reason  e.g.: Insufficient cpu
+ * @return {String}         e.g.: with not enough free cpu
+ */
+function describeNodeReason(reason) {
+    const known = SCHEDULING_REASONS.find(([pattern]) => pattern.test(reason));
+
+    return known ? known[1](known[0].exec(reason)) : reason;
+}
+
+/**
+ * Get the latest warning event about scheduling or creating a pod
+ * @param  {Array}  events  k8s events of the pod or its Job
+ * @return {Object}         the event, or undefined
+ */
+function getLatestSchedulingEvent(events) {
+    return _.maxBy(
+        (events || []).filter(e => e.type === 'Warning' && SCHEDULING_EVENT_REASONS.includes(e.reason)),
+        e => e.lastTimestamp || e.eventTime || hoek.reach(e, 'metadata.creationTimestamp') || ''
+    );
+}
+
+/**
+ * Explains why a pod is not running on a node yet, from its PodScheduled condition and events
+ * @param  {Object} [pod]     k8s pod, not set if the Job controller has not created it yet
+ * @param  {Array}  [events]  k8s events of the pod, or of its Job
+ * @return {String}           user readable message, or empty string if there is no reason known
+ */
+function getSchedulingMessage(pod, events) {
+    const condition = (hoek.reach(pod, 'status.conditions') || []).find(
+        c => c.type === 'PodScheduled' && c.status === 'False'
+    );
+    const event = getLatestSchedulingEvent(events);
+    const message = _.trim(hoek.reach(event, 'message') || hoek.reach(condition, 'message') || '');
+    const reason = hoek.reach(condition, 'reason');
+
+    if (!message) {
+        return reason === 'SchedulingGated' ? 'Waiting for scheduling gates of the build pod to be removed.' : '';
+    }
+
+    const known = OTHER_REASONS.find(([pattern]) => pattern.test(message));
+    const matched = NODES_AVAILABLE_REGEX_PATTERN.exec(message);
+
+    if (known) {
+        return known[1](message);
+    }
+
+    if (matched) {
+        const nodes = matched[2].split(', ').map(part => {
+            const [, count, nodeReason] = NODE_REASON_REGEX_PATTERN.exec(part) || [null, '', part];
+
+            return `${count ? `${count} ` : ''}${describeNodeReason(nodeReason)}`;
+        });
+
+        return `Waiting for a node to run the build, none of the ${matched[1]} nodes fit: ${nodes.join(', ')}.`;
+    }
+
+    return `${DEFAULT_PENDING_MESSAGE} ${message}`;
+}
+
+/**
+ * Get the statuses of the init containers and containers of a pod
+ * @param  {Object} pod  k8s pod
+ * @return {Array}       container statuses, init containers first
+ */
+function getContainerStatuses(pod) {
+    return [
+        ...(hoek.reach(pod, 'status.initContainerStatuses') || []).map(status => ({ ...status, init: true })),
+        ...(hoek.reach(pod, 'status.containerStatuses') || [])
+    ];
+}
+
+/**
+ * Get the last termination of a container
+ * @param  {Object} containerStatus  k8s container status
+ * @return {Object}                  terminated state, or undefined
+ */
+function getTermination(containerStatus) {
+    return hoek.reach(containerStatus, 'state.terminated') || hoek.reach(containerStatus, 'lastState.terminated');
+}
+
+/**
+ * Get the role of a container of a build pod from its name
+ * @param  {Object} containerStatus  k8s container status, with init set for init containers
+ * @return {String}                  launcher, dind, buildkit, service or build
+ */
+function getContainerRole(containerStatus) {
+    const name = containerStatus.name || '';
+
+    if (containerStatus.init && name.startsWith('launcher-')) {
+        return 'launcher';
+    }
+    if (name === 'dind') {
+        return 'dind';
+    }
+    if (!containerStatus.init && name.startsWith(SERVICE_CONTAINER_PREFIX)) {
+        return 'service';
+    }
+
+    return name === 'buildkitd' ? 'buildkit' : 'build';
+}
+
+/**
+ * Returns true when a container status is the one of the build container, and it terminated
+ * @param  {Object}  containerStatus  k8s container status
+ * @return {Boolean}
+ */
+function isBuildTermination(containerStatus) {
+    return (
+        getContainerRole(containerStatus) === 'build' &&
+        !containerStatus.init &&
+        Boolean(hoek.reach(containerStatus, 'state.terminated'))
+    );
+}
+
+/**
+ * Returns true when the build container of a pod terminated
+ * @param  {Object}  pod  k8s pod
+ * @return {Boolean}
+ */
+function isBuildTerminated(pod) {
+    return getContainerStatuses(pod).some(isBuildTermination);
+}
+
+/**
+ * Returns true when a container failed to start, or stopped with an error
+ * Sidecars stopped while the pod is torn down, i.e.: deleted or done with its build, did not fail
+ * @param  {Object}  containerStatus  k8s container status
+ * @param  {Object}  [pod]            k8s pod of the container
+ * @return {Boolean}
+ */
+function isContainerFailed(containerStatus, pod) {
+    const waitingReason = hoek.reach(containerStatus, 'state.waiting.reason');
+    const terminated = hoek.reach(containerStatus, 'state.terminated');
+
+    if (FAILED_WAITING_REASONS.includes(waitingReason)) {
+        return true;
+    }
+    if (!terminated || terminated.exitCode === 0) {
+        return false;
+    }
+
+    return (
+        !SIDECAR_ROLES.includes(getContainerRole(containerStatus)) ||
+        !(hoek.reach(pod, 'metadata.deletionTimestamp') || isBuildTerminated(pod))
+    );
+}
+
+/**
+ * Finds the failed container of a pod: the build container when it terminated with an error,
+ * otherwise the first failed container, init containers first
+ * @param  {Object} pod  k8s pod
+ * @return {Object}      container status, or undefined
+ */
+function getFailedContainer(pod) {
+    const failed = getContainerStatuses(pod).filter(status => isContainerFailed(status, pod));
+
+    return failed.find(isBuildTermination) || failed[0];
+}
+
+/**
+ * Explains why the first failed container of a pod failed, init containers first
+ * The termination of the build container is left to the pod phase
+ * @param  {Object} pod  k8s pod
+ * @return {String}      user readable message, or empty string if no container failed
+ */
+function getContainerFailureMessage(pod) {
+    const failedContainer = getFailedContainer(pod);
+
+    // a failed build container outweighs the failures it caused in other containers
+    if (failedContainer && isBuildTermination(failedContainer)) {
+        return '';
+    }
+
+    const containerStatus = getContainerStatuses(pod).find(status => {
+        const isImagePullFailure = IMAGE_PULL_REASONS.includes(hoek.reach(status, 'state.waiting.reason'));
+        const isBuildStepTermination =
+            getContainerRole(status) === 'build' && Boolean(hoek.reach(status, 'state.terminated'));
+
+        return isImagePullFailure || (isContainerFailed(status, pod) && !isBuildStepTermination);
+    });
+
+    if (!containerStatus) {
+        return '';
+    }
+
+    const { name } = containerStatus;
+    const waitingReason = hoek.reach(containerStatus, 'state.waiting.reason');
+    const reason = waitingReason || hoek.reach(containerStatus, 'state.terminated.reason') || 'Error';
+    const isImagePullFailure = IMAGE_PULL_REASONS.includes(waitingReason);
+
+    switch (getContainerRole(containerStatus)) {
+        case 'launcher':
+            return (
+                `Build failed to start, the launcher init container ${name} failed (${reason}). ` +
+                'Please reach out to your cluster admin for help.'
+            );
+        case 'dind':
+            return (
+                `Docker in Docker sidecar container ${name} of the build failed (${reason}). ` +
+                `Please ${isImagePullFailure ? '' : 'check the dockerCpu and dockerRam annotations of the job or '}` +
+                'reach out to your cluster admin for help.'
+            );
+        case 'buildkit':
+            return (
+                `BuildKit sidecar container ${name} of the build failed (${reason}). ` +
+                `Please ${isImagePullFailure ? '' : 'check the buildkitCpu and buildkitRam annotations of the job or '}` +
+                'reach out to your cluster admin for help.'
+            );
+        case 'service':
+            return (
+                `Service container ${name} of the build failed (${reason}). Please check the ${
+                    isImagePullFailure ? 'image' : 'image, env and tier'
+                } of the ${name.slice(SERVICE_CONTAINER_PREFIX.length)} service in the ` +
+                'screwdriver.cd/services annotation of the job.'
+            );
+        default:
+            return isImagePullFailure
+                ? 'Build failed to start. Please check if your image is valid.'
+                : 'Build failed to start. Please reach out to your cluster admin for help.';
+    }
+}
+
+/**
+ * Get the details of a failed container
+ * @param  {Object} containerStatus  k8s container status
+ * @return {Object}                  container name, termination reason, exit code and message
+ */
+function getFailureDetails(containerStatus) {
+    const terminated = getTermination(containerStatus);
+    const message = terminated ? terminated.message : hoek.reach(containerStatus, 'state.waiting.message');
+
+    return {
+        container: containerStatus.name,
+        init: Boolean(containerStatus.init),
+        waitingReason: hoek.reach(containerStatus, 'state.waiting.reason'),
+        reason: hoek.reach(terminated, 'reason'),
+        exitCode: hoek.reach(terminated, 'exitCode'),
+        message: _.trim(message || '')
+    };
+}
+
+/**
+ * Get the memory limit of a container from the pod spec
+ * @param  {Object} pod   k8s pod
+ * @param  {String} name  name of the container
+ * @return {String}       memory limit, e.g.: 2Gi, or undefined
+ */
+function getMemoryLimit(pod, name) {
+    const containers = [
+        ...(hoek.reach(pod, 'spec.initContainers') || []),
+        ...(hoek.reach(pod, 'spec.containers') || [])
+    ];
+
+    return hoek.reach(
+        containers.find(c => c.name === name),
+        'resources.limits.memory'
+    );
+}
+
+/**
+ * Explains that a build ran past its deadline
+ * @param  {Number} [minutes]  deadline of the build
+ * @return {String}            user readable message
+ */
+function getDeadlineMessage(minutes) {
+    return (
+        `Build ran past its deadline${minutes ? ` of ${minutes} minutes` : ''} and was stopped. ` +
+        'Please speed up the build or raise its screwdriver.cd/timeout annotation.'
+    );
+}
+
+/**
+ * Explains why a pod was killed or stopped by Kubernetes rather than by the build itself
+ * Recognizes containers killed for running out of memory, evicted and preempted pods,
+ * other disruptions and pods which ran past their deadline
+ * @param  {Object} pod  k8s pod
+ * @return {Object}      reason (OOMKilled, NodeLost, Evicted, Preempted, Disrupted or DeadlineExceeded) and
+ *                       user readable message suggesting what to do next, undefined if not known
+ */
+function getTerminationCause(pod) {
+    const podReason = hoek.reach(pod, 'status.reason');
+    const podMessage = _.trim(hoek.reach(pod, 'status.message') || '');
+    const disruption = (hoek.reach(pod, 'status.conditions') || []).find(
+        c => c.type === 'DisruptionTarget' && c.status === 'True'
+    );
+    const oomKilled = getContainerStatuses(pod).find(
+        containerStatus => hoek.reach(getTermination(containerStatus), 'reason') === 'OOMKilled'
+    );
+
+    if (oomKilled) {
+        const role = getContainerRole(oomKilled);
+        const limit = getMemoryLimit(pod, oomKilled.name);
+        const annotation = MEMORY_ANNOTATIONS[role];
+        const nextStep = annotation
+            ? 'Please reduce the memory usage of the build or request more memory with the ' +
+              `screwdriver.cd/${annotation} annotation.`
+            : 'Please reach out to your cluster admin for help.';
+
+        return {
+            reason: 'OOMKilled',
+            message: `Container ${oomKilled.name} of the build ran out of memory${
+                limit ? ` (limit: ${limit})` : ''
+            } and was killed. ${nextStep}`
+        };
+    }
+
+    if (podReason === 'NodeLost') {
+        return {
+            reason: 'NodeLost',
+            message: 'Build pod was lost with its node. Please restart the build.'
+        };
+    }
+
+    if (podReason === 'DeadlineExceeded') {
+        const deadline = hoek.reach(pod, 'spec.activeDeadlineSeconds');
+
+        return {
+            reason: 'DeadlineExceeded',
+            message: getDeadlineMessage(deadline && Math.round(deadline / 60))
+        };
+    }
+
+    if (PREEMPTION_REASONS.includes(podReason) || PREEMPTION_REASONS.includes(hoek.reach(disruption, 'reason'))) {
+        const priorityClassName = hoek.reach(pod, 'spec.priorityClassName');
+
+        return {
+            reason: 'Preempted',
+            message: priorityClassName
+                ? `Build was preempted to make room for a workload of higher priority than its priority class ` +
+                  `${priorityClassName} on its node. Please restart the build, or ask your cluster admin about ` +
+                  'the priority of the build if this happens again.'
+                : 'Build was preempted to make room for a higher priority workload on its node. ' +
+                  'Please restart the build.'
+        };
+    }
+
+    if (podReason === 'Evicted') {
+        return {
+            reason: 'Evicted',
+            message:
+                `Build was evicted from its node${podMessage ? `: ${podMessage}` : '.'} ` +
+                'Please restart the build, or reduce its resource usage if this happens again.'
+        };
+    }
+
+    if (disruption) {
+        const details = _.trim(`${disruption.reason || ''} ${disruption.message || ''}`);
+
+        return {
+            reason: 'Disrupted',
+            message:
+                `Build pod was disrupted by the cluster${details ? ` (${details})` : ''}. ` +
+                'Please restart the build.'
+        };
+    }
+
+    return undefined;
+}
+
+/**
+ * Returns true when a pod was lost to node failure, eviction, preemption or another disruption
+ * before its build container started, so recreating it does not run any step of the build twice
+ * @param  {Object}  pod  k8s pod
+ * @return {Boolean}
+ */
+function isLostBeforeBuildStarted(pod) {
+    const reason = hoek.reach(getTerminationCause(pod), 'reason');
+    const isLost =
+        INFRASTRUCTURE_TERMINATION_REASONS.includes(reason) ||
+        (hoek.reach(pod, 'status.phase') || '').toLowerCase() === 'unknown';
+    const hasBuildStarted = getContainerStatuses(pod).some(
+        containerStatus =>
+            getContainerRole(containerStatus) === 'build' &&
+            Boolean(
+                hoek.reach(containerStatus, 'state.running') || hoek.reach(getTermination(containerStatus), 'startedAt')
+            )
+    );
+
+    return isLost && !hasBuildStarted;
+}
+
+/**
+ * Summarizes a container failure and its last log lines, trimmed to fit in a build status message
+ * @param  {Object} details   failure details from getFailureDetails
+ * @param  {String} [logs]    last log lines of the container
+ * @return {String}           summary
+ */
+function formatFailureSummary(details, logs) {
+    const { container, reason, exitCode, message, waitingReason } = details;
+    let summary = `Container ${container}`;
+
+    if (exitCode !== undefined) {
+        summary += ` terminated with exit code ${exitCode}${reason ? ` (${reason})` : ''}`;
+    } else {
+        summary += ` failed${reason || waitingReason ? ` (${reason || waitingReason})` : ''}`;
+    }
+    if (message) {
+        summary += `: ${message}`;
+    }
+
+    const trimmedLogs = _.trim(logs);
+
+    if (!trimmedLogs) {
+        return _.truncate(summary, { length: MAX_SUMMARY_LENGTH });
+    }
+
+    summary = _.truncate(summary, { length: MAX_SUMMARY_LENGTH / 2 });
+    summary += '. Last log lines:\n';
+
+    // keep the end of the logs, where the error usually is
+    const logsLength = MAX_SUMMARY_LENGTH - summary.length;
+
+    return trimmedLogs.length > logsLength
+        ? `${summary}...${trimmedLogs.slice(-(logsLength - 3))}`
+        : `${summary}${trimmedLogs}`;
+}
+
+module.exports = {
+    DEFAULT_PENDING_MESSAGE,
+    FAILED_WAITING_REASONS,
+    IMAGE_PULL_REASONS,
+    getSchedulingMessage,
+    getContainerStatuses,
+    getContainerRole,
+    getFailedContainer,
+    getContainerFailureMessage,
+    getDeadlineMessage,
+    getTerminationCause,
+    isLostBeforeBuildStarted,
+    getFailureDetails,
+    formatFailureSummary
+};
@@ -0,0 +1,51 @@
+'use strict';
+
+const fs = require('fs');
+const { createRequire } = require('module');
+const path = require('path');
+const handlebars = require('handlebars');
+const _ = require('lodash');
+
+// loads the helpers module configured by the cluster admin
+const loadModule = createRequire(__filename);
+
+/**
+ * Get the Handlebars helpers of the pod template
+ * @param  {Object|String} helpers  helpers by name, or path of a module exporting them
+ * @return {Object}                 helpers by name
+ */
+function loadHelpers(helpers) {
+    return typeof helpers === 'string' ? loadModule(path.resolve(helpers)) : helpers;
+}
+
+/**
+ * Compiles the pod template with its custom helpers and partials, registered in a Handlebars environment of its own
+ * The template and partials are parsed right away, so that invalid ones fail the creation of the executor
+ * @param  {Object}        options                     kubernetes options of the executor
+ * @param  {String}        [options.podTemplatePath]   path of the pod template
+ * @param  {Object|String} [options.templateHelpers]   helpers by name, or path of a module exporting them
+ * @param  {Object}        [options.templatePartials]  paths of the partials by partial name
+ * @param  {String}        defaultPath                 path of the default pod template
+ * @return {Function}                                  compiled pod template
+ */
+function compile(options, defaultPath) {
+    const { podTemplatePath = defaultPath, templateHelpers = {}, templatePartials = {} } = options;
+    const hbs = handlebars.create();
+    const source = fs.readFileSync(podTemplatePath, 'utf8');
+
+    hbs.registerHelper(loadHelpers(templateHelpers));
+    _.forEach(templatePartials, (partialPath, name) => {
+        const partial = fs.readFileSync(partialPath, 'utf8');
+
+        hbs.parse(partial);
+        hbs.registerPartial(name, partial);
+    });
+    hbs.parse(source);
+
+    return hbs.compile(source);
+}
+
+module.exports = {
+    loadHelpers,
+    compile
+};
@@ -0,0 +1,232 @@
+'use strict';
+
+const readline = require('readline');
+const request = require('screwdriver-request');
+const logger = require('screwdriver-logger');
+
+const DEFAULT_LABEL_SELECTOR = 'app=screwdriver';
+const DEFAULT_RECONNECT_DELAY_MS = 1000;
+const WATCH_TIMEOUT_SECONDS = 300;
+const HTTP_GONE = 410;
+
+class PodWatcher {
+    /**
+     * Keeps an in-memory cache of build pods using the Kubernetes list/watch API
+     * @method constructor
+     * @param  {Object}  config                             Configuration
+     * @param  {String}  config.podsUrl                     Pods url of the namespace to watch
+     * @param  {String}  config.token                       Kubernetes API token
+     * @param  {Object}  config.httpsOptions                TLS options for the Kubernetes API
+     * @param  {String}  [config.labelSelector=app=screwdriver] Label selector for the pods to watch
+     * @param  {Number}  [config.reconnectDelay=1000]       Number of milliseconds to wait before reconnecting
+     */
+    constructor(config) {
+        this.podsUrl = config.podsUrl;
+        this.token = config.token;
+        this.httpsOptions = config.httpsOptions;
+        this.labelSelector = config.labelSelector || DEFAULT_LABEL_SELECTOR;
+        this.reconnectDelay = config.reconnectDelay || DEFAULT_RECONNECT_DELAY_MS;
+        this.pods = new Map();
+        this.resourceVersion = '';
+        this.synced = false;
+        this.stopped = true;
+        this.stream = null;
+        this.reconnectTimer = null;
+    }
+
+    /**
+     * Starts listing and watching pods
+     * @method start
+     * @return {Promise}  resolves once the first sync attempt is done, the cache is synced once the watch is established
+     */
+    start() {
+        if (!this.stopped) {
+            return Promise.resolve();
+        }
+
+        this.stopped = false;
+
+        return this._sync();
+    }
+
+    /**
+     * Stops watching pods
+     * @method stop
+     */
+    stop() {
+        this.stopped = true;
+        this.synced = false;
+        clearTimeout(this.reconnectTimer);
+
+        if (this.stream) {
+            const { stream } = this;
+
+            this.stream = null;
+            stream.destroy();
+        }
+    }
+
+    /**
+     * Get a pod from the cache
+     * @method getPod
+     * @param  {String} podName  the pod name
+     * @return {Object}          the pod, or undefined if it is not in the cache
+     */
+    getPod(podName) {
+        return this.pods.get(podName);
+    }
+
+    /**
+     * Get the pods of a build from the cache
+     * @method getPodsByBuild
+     * @param  {String} buildContainerName  value of the sdbuild label
+     * @return {Array}                      array of pods
+     */
+    getPodsByBuild(buildContainerName) {
+        return [...this.pods.values()].filter(pod => (pod.metadata.labels || {}).sdbuild === buildContainerName);
+    }
+
+    /**
+     * Lists pods if there is no resourceVersion to resume from, then starts watching
+     * @method _sync
+     * @return {Promise}
+     */
+    async _sync() {
+        try {
+            if (!this.resourceVersion) {
+                await this._list();
+            }
+
+            if (!this.stopped) {
+                this._watch();
+            }
+        } catch (err) {
+            logger.error(`Failed to list pods for ${this.labelSelector}: ${err.message}`);
+            this._scheduleReconnect();
+        }
+    }
+
+    /**
+     * Replaces the cache with a full list of pods
+     * @method _list
+     * @return {Promise}
+     */
+    async _list() {
+        const resp = await request({
+            url: this.podsUrl,
+            method: 'GET',
+            headers: { Authorization: `Bearer ${this.token}` },
+            https: this.httpsOptions,
+            searchParams: {
+                labelSelector: this.labelSelector
+            }
+        });
+
+        if (resp.statusCode !== 200) {
+            throw new Error(`Failed to list pods:${JSON.stringify(resp.body)}`);
+        }
+
+        this.pods = new Map(resp.body.items.map(pod => [pod.metadata.name, pod]));
+        this.resourceVersion = resp.body.metadata.resourceVersion;
+
+        logger.info(`Listed ${this.pods.size} pods for ${this.labelSelector} at version ${this.resourceVersion}`);
+    }
+
+    /**
+     * Watches pods starting from the last seen resourceVersion
+     * @method _watch
+     */
+    _watch() {
+        const stream = request.stream(this.podsUrl, {
+            headers: { Authorization: `Bearer ${this.token}` },
+            https: this.httpsOptions,
+            searchParams: {
+                watch: true,
+                allowWatchBookmarks: true,
+                labelSelector: this.labelSelector,
+                resourceVersion: this.resourceVersion,
+                timeoutSeconds: WATCH_TIMEOUT_SECONDS
+            }
+        });
+
+        this.stream = stream;
+
+        // the API server ends the watch after timeoutSeconds, the stream then emits end but not always close
+        const onDisconnect = () => {
+            if (this.stream === stream) {
+                this.stream = null;
+                this.synced = false;
+                this._scheduleReconnect();
+            }
+        };
+
+        // once the watch is established, it resumes from the last seen resourceVersion, so the cache is up to date
+        stream.on('response', response => {
+            if (this.stream === stream && response.statusCode === 200) {
+                this.synced = true;
+            }
+        });
+        readline.createInterface({ input: stream }).on('line', line => this._handleEvent(line));
+        stream.on('error', err => logger.warn(`Pod watch for ${this.labelSelector} failed: ${err.message}`));
+        stream.on('end', onDisconnect);
+        stream.on('close', onDisconnect);
+    }
+
+    /**
+     * Applies a watch event to the cache
+     * @method _handleEvent
+     * @param  {String} line  a single JSON encoded watch event
+     */
+    _handleEvent(line) {
+        let event;
+
+        try {
+            event = JSON.parse(line);
+        } catch (err) {
+            logger.warn(`Failed to parse pod watch event: ${err.message}`);
+
+            return;
+        }
+
+        const { type, object } = event;
+
+        if (type === 'ERROR') {
+            logger.warn(`Pod watch for ${this.labelSelector} returned error: ${JSON.stringify(object)}`);
+
+            // resourceVersion is too old to resume from, relist on reconnect
+            if (object && object.code === HTTP_GONE) {
+                this.resourceVersion = '';
+            }
+
+            if (this.stream) {
+                this.stream.destroy();
+            }
+
+            return;
+        }
+
+        this.resourceVersion = object.metadata.resourceVersion;
+
+        if (type === 'DELETED') {
+            this.pods.delete(object.metadata.name);
+        } else if (type === 'ADDED' || type === 'MODIFIED') {
+            this.pods.set(object.metadata.name, object);
+        }
+    }
+
+    /**
+     * Schedules a new sync after the reconnect delay
+     * @method _scheduleReconnect
+     */
+    _scheduleReconnect() {
+        if (this.stopped) {
+            return;
+        }
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this._sync(), this.reconnectDelay);
+        this.reconnectTimer.unref();
+    }
+}
+
+module.exports = PodWatcher;
@@ -0,0 +1,8 @@
+'use strict';
+
+// names of PR jobs, e.g.: PR-15 or PR-15:main, with the PR number as first group
+const PR_JOBNAME_REGEX_PATTERN = /^PR-([0-9]+)(?::[\w-]+)?$/i;
+
+module.exports = {
+    PR_JOBNAME_REGEX_PATTERN
+};
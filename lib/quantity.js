@@ -0,0 +1,67 @@
+'use strict';
+
+const BINARY_SUFFIXES = { Ki: 2 ** 10, Mi: 2 ** 20, Gi: 2 ** 30, Ti: 2 ** 40, Pi: 2 ** 50, Ei: 2 ** 60 };
+const DECIMAL_SUFFIXES = { n: 1e-9, u: 1e-6, m: 1e-3, '': 1, k: 1e3, M: 1e6, G: 1e9, T: 1e12, P: 1e15, E: 1e18 };
+// e.g.: 500m, 1.5, 512Mi, 1e3
+const QUANTITY_REGEX_PATTERN =
+    /^([+-]?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][+-]?[0-9]+)?)(Ki|Mi|Gi|Ti|Pi|Ei|[numkMGTPE])?$/;
+const GIBIBYTE = 2 ** 30;
+
+/**
+ * Parses a Kubernetes quantity
+ * @param  {String|Number} quantity  e.g.: 500m, 512Mi, 2
+ * @return {Object}                  { value, suffix } with value in base units (cores, bytes), or undefined if invalid
+ */
+function parse(quantity) {
+    if (typeof quantity === 'number') {
+        return Number.isFinite(quantity) ? { value: quantity, suffix: '' } : undefined;
+    }
+
+    const matched = QUANTITY_REGEX_PATTERN.exec(String(quantity).trim());
+
+    if (!matched) {
+        return undefined;
+    }
+
+    const suffix = matched[2] || '';
+
+    return { value: parseFloat(matched[1]) * (BINARY_SUFFIXES[suffix] || DECIMAL_SUFFIXES[suffix]), suffix };
+}
+
+/**
+ * Parses a cpu annotation value in cores, whole or decimal numbers, or millicores
+ * @param  {String|Number} value  e.g.: 2, 1.5, "500m"
+ * @return {Number}               cores rounded to millicores, or undefined if invalid
+ */
+function parseCpu(value) {
+    const parsed = parse(value);
+
+    if (!parsed || parsed.suffix in BINARY_SUFFIXES) {
+        return undefined;
+    }
+
+    return Math.round(parsed.value * 1000) / 1000;
+}
+
+/**
+ * Parses a memory annotation value in GB (GiB) for numbers without suffix, or with a memory suffix
+ * @param  {String|Number} value  e.g.: 4, 1.5, "512Mi", "2G"
+ * @return {Number}               GiB rounded up to MiB, or undefined if invalid
+ */
+function parseMemory(value) {
+    const parsed = parse(value);
+
+    if (!parsed || ['n', 'u', 'm'].includes(parsed.suffix)) {
+        return undefined;
+    }
+
+    const gibibytes = parsed.suffix ? parsed.value / GIBIBYTE : parsed.value;
+
+    return Math.ceil(gibibytes * 1024) / 1024;
+}
+
+module.exports = {
+    parse,
+    parseCpu,
+    parseMemory
+};
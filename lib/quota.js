@@ -0,0 +1,286 @@
+'use strict';
+
+const hoek = require('@hapi/hoek');
+const _ = require('lodash');
+const quantity = require('./quantity');
+
+const WAITING_MESSAGE_PREFIX = 'Waiting for namespace quota:';
+const WAITING_MESSAGE_SUFFIX = 'The build will start when enough quota is free.';
+// e.g.: pods "beta_15" is forbidden: exceeded quota: builds, requested: limits.cpu=2, used: limits.cpu=7, limited: limits.cpu=8
+const QUOTA_EXCEEDED_REGEX_PATTERN =
+    /exceeded quota: ([^,]+), requested: ([^\s"]+), used: ([^\s"]+), limited: ([^\s"]+)/;
+const COMPUTE_RESOURCES = ['cpu', 'memory', 'ephemeral-storage'];
+const GIBIBYTE = 2 ** 30;
+const MEBIBYTE = 2 ** 20;
+
+/**
+ * Get the first value which is set
+ * @param  {Array} values  candidate values
+ * @return {*}             the value, or undefined
+ */
+function firstDefined(...values) {
+    return values.find(value => value !== undefined && value !== null);
+}
+
+/**
+ * Parses a quantity of a resource quota or limit range
+ * @param  {String|Number} value  e.g.: 500m or 2Gi
+ * @return {Number}               value in base units (cores, bytes), or undefined
+ */
+function toNumber(value) {
+    return hoek.reach(quantity.parse(value), 'value');
+}
+
+/**
+ * Formats a quantity of a resource for messages
+ * @param  {String} resource  e.g.: requests.cpu
+ * @param  {Number} value     value in base units
+ * @return {String}           e.g.: 500m, 1.5 or 512Mi
+ */
+function format(resource, value) {
+    if (/cpu$/.test(resource)) {
+        return value < 1 ? `${Math.round(value * 1000)}m` : `${_.round(value, 3)}`;
+    }
+    if (/(memory|storage)$/.test(resource)) {
+        return value < GIBIBYTE ? `${Math.ceil(value / MEBIBYTE)}Mi` : `${_.round(value / GIBIBYTE, 2)}Gi`;
+    }
+
+    return `${value}`;
+}
+
+/**
+ * Get the default requests and limits of containers from the limit ranges of a namespace
+ * @param  {Array}  limitRanges  k8s LimitRanges
+ * @return {Object}              { defaultRequest, default } by resource name
+ */
+function getContainerDefaults(limitRanges) {
+    const limits = _.flatMap(limitRanges, lr => hoek.reach(lr, 'spec.limits') || []).filter(
+        l => l.type === 'Container'
+    );
+
+    return {
+        defaultRequest: Object.assign({}, ...limits.map(l => l.defaultRequest)),
+        default: Object.assign({}, ...limits.map(l => l.default))
+    };
+}
+
+/**
+ * Get the requests and limits of a container once admitted, with the defaults of the limit ranges
+ * @param  {Object} container  k8s container
+ * @param  {Object} defaults   see getContainerDefaults
+ * @return {Object}            { requests, limits } in base units by resource name
+ */
+function getContainerResources(container, defaults) {
+    const resources = { requests: {}, limits: {} };
+
+    COMPUTE_RESOURCES.forEach(name => {
+        const limit = firstDefined(hoek.reach(container, ['resources', 'limits', name]), defaults.default[name]);
+        const request = firstDefined(
+            hoek.reach(container, ['resources', 'requests', name]),
+            hoek.reach(container, ['resources', 'limits', name]),
+            defaults.defaultRequest[name],
+            limit
+        );
+
+        if (limit !== undefined) {
+            resources.limits[name] = toNumber(limit);
+        }
+        if (request !== undefined) {
+            resources.requests[name] = toNumber(request);
+        }
+    });
+
+    return resources;
+}
+
+/**
+ * Get the resources a pod is charged in resource quotas: the sum of its containers,
+ * or its largest init container when more
+ * @param  {Object} podConfig    k8s pod
+ * @param  {Array}  limitRanges  k8s LimitRanges of the namespace
+ * @return {Object}              usage by quota resource name, e.g.: { pods: 1, 'requests.cpu': 2 }
+ */
+function getPodUsage(podConfig, limitRanges) {
+    const defaults = getContainerDefaults(limitRanges);
+    const containers = (hoek.reach(podConfig, 'spec.containers') || []).map(c => getContainerResources(c, defaults));
+    const initContainers = (hoek.reach(podConfig, 'spec.initContainers') || []).map(c =>
+        getContainerResources(c, defaults)
+    );
+    const usage = { pods: 1, 'count/pods': 1 };
+
+    ['requests', 'limits'].forEach(kind => {
+        COMPUTE_RESOURCES.forEach(name => {
+            const sum = _.sumBy(containers, c => c[kind][name] || 0);
+            const value = Math.max(sum, ...initContainers.map(c => c[kind][name] || 0));
+
+            if (value > 0) {
+                usage[`${kind}.${name}`] = value;
+            }
+        });
+    });
+    // e.g.: cpu is requests.cpu
+    COMPUTE_RESOURCES.forEach(name => {
+        if (usage[`requests.${name}`]) {
+            usage[name] = usage[`requests.${name}`];
+        }
+    });
+
+    return usage;
+}
+
+/**
+ * Checks the containers of a pod against the min and max of the limit ranges of a namespace
+ * @param  {Object} podConfig    k8s pod
+ * @param  {Array}  limitRanges  k8s LimitRanges of the namespace
+ * @return {Array}               violations, e.g.: ["container build has a cpu limit of 6, max 4 (limit range builds)"]
+ */
+function getLimitRangeViolations(podConfig, limitRanges) {
+    const defaults = getContainerDefaults(limitRanges);
+    const containers = [].concat(
+        hoek.reach(podConfig, 'spec.initContainers') || [],
+        hoek.reach(podConfig, 'spec.containers') || []
+    );
+    const violations = [];
+
+    (limitRanges || []).forEach(lr => {
+        (hoek.reach(lr, 'spec.limits') || [])
+            .filter(l => l.type === 'Container')
+            .forEach(l => {
+                containers.forEach(container => {
+                    const { requests, limits } = getContainerResources(container, defaults);
+
+                    _.forEach(l.max, (max, name) => {
+                        if (limits[name] > toNumber(max)) {
+                            violations.push(
+                                `container ${container.name} has a ${name} limit of ${format(name, limits[name])}, ` +
+                                    `max ${format(name, toNumber(max))} (limit range ${lr.metadata.name})`
+                            );
+                        }
+                    });
+                    _.forEach(l.min, (min, name) => {
+                        if (requests[name] < toNumber(min)) {
+                            violations.push(
+                                `container ${container.name} has a ${name} request of ` +
+                                    `${format(name, requests[name])}, min ${format(name, toNumber(min))} ` +
+                                    `(limit range ${lr.metadata.name})`
+                            );
+                        }
+                    });
+                });
+            });
+    });
+
+    return violations;
+}
+
+/**
+ * Get the resources a resource quota is short of to admit a pod. Quotas with scopes are not checked.
+ * @param  {Object} usage   see getPodUsage
+ * @param  {Array}  quotas  k8s ResourceQuotas of the namespace
+ * @return {Array}          shortages: [{ quota, resource, requested, used, hard }] in base units
+ */
+function getShortages(usage, quotas) {
+    return _.flatMap(quotas, q => {
+        if (!_.isEmpty(hoek.reach(q, 'spec.scopes')) || hoek.reach(q, 'spec.scopeSelector')) {
+            return [];
+        }
+
+        const hard = hoek.reach(q, 'status.hard') || hoek.reach(q, 'spec.hard') || {};
+        const used = hoek.reach(q, 'status.used') || {};
+
+        return Object.keys(hard)
+            .filter(resource => usage[resource] !== undefined)
+            .map(resource => ({
+                quota: q.metadata.name,
+                resource,
+                requested: usage[resource],
+                used: toNumber(used[resource]) || 0,
+                hard: toNumber(hard[resource])
+            }))
+            .filter(s => s.used + s.requested > s.hard);
+    });
+}
+
+/**
+ * Formats the shortages of resource quotas as a build status message
+ * @param  {Array}  shortages    see getShortages
+ * @param  {String} [namespace]  namespace of the quotas
+ * @return {String}              e.g.: Waiting for namespace quota: quota builds of namespace sd has not enough
+ *                               requests.cpu (the build needs 2, 7 of 8 used). The build will start when enough quota is free.
+ */
+function formatShortages(shortages, namespace) {
+    const quotas = _.map(_.groupBy(shortages, 'quota'), (items, name) => {
+        const resources = items.map(
+            s =>
+                `${s.resource} (the build needs ${format(s.resource, s.requested)}, ` +
+                `${format(s.resource, s.used)} of ${format(s.resource, s.hard)} used)`
+        );
+
+        return `quota ${name}${namespace ? ` of namespace ${namespace}` : ''} has not enough ${resources.join(', ')}`;
+    });
+
+    return `${WAITING_MESSAGE_PREFIX} ${quotas.join('; ')}. ${WAITING_MESSAGE_SUFFIX}`;
+}
+
+/**
+ * Parses the resources of a quota exceeded message, e.g.: limits.cpu=2,limits.memory=2Gi
+ * @param  {String} resources  resources listed in the message
+ * @return {Object}            values in base units by resource name
+ */
+function parseResources(resources) {
+    return _.fromPairs(
+        resources.split(',').map(pair => {
+            const [name, value] = pair.split('=');
+
+            return [name, toNumber(value)];
+        })
+    );
+}
+
+/**
+ * Explains a quota exceeded error of the Kubernetes API, e.g.: from creating a pod
+ * @param  {String} message      error message, or message of a FailedCreate event
+ * @param  {String} [namespace]  namespace of the pod
+ * @return {String}              build status message, or empty string if the message is not about a quota
+ */
+function describeExceededQuota(message, namespace) {
+    const matched = QUOTA_EXCEEDED_REGEX_PATTERN.exec(message || '');
+
+    if (!matched) {
+        return '';
+    }
+
+    const [, name, requested, used, hard] = matched;
+    const usedValues = parseResources(used);
+    const hardValues = parseResources(hard);
+
+    return formatShortages(
+        _.map(parseResources(requested), (value, resource) => ({
+            quota: name,
+            resource,
+            requested: value,
+            used: usedValues[resource] || 0,
+            hard: hardValues[resource] || 0
+        })),
+        namespace
+    );
+}
+
+/**
+ * Returns true when a request to the Kubernetes API was rejected for exceeding a ResourceQuota
+ * @param  {Error}   err  error of the request
+ * @return {Boolean}
+ */
+function isExceededQuotaError(err) {
+    return Boolean(err) && err.statusCode === 403 && describeExceededQuota(err.message) !== '';
+}
+
+module.exports = {
+    WAITING_MESSAGE_PREFIX,
+    getPodUsage,
+    getLimitRangeViolations,
+    getShortages,
+    formatShortages,
+    describeExceededQuota,
+    isExceededQuotaError
+};
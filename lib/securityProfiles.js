@@ -0,0 +1,88 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Get the init containers and containers of a pod
+ * @param  {Object} podConfig  k8s pod config
+ * @return {Array}             k8s containers
+ */
+function getContainers(podConfig) {
+    return [].concat(_.get(podConfig, 'spec.initContainers', []), _.get(podConfig, 'spec.containers', []));
+}
+
+/**
+ * Checks that the default and allowed security profiles of the executor options are configured
+ * @param  {Object} [options]            securityProfiles options of the executor
+ * @param  {Object} [options.profiles]   security profiles by name
+ * @param  {String} [options.default]    security profile of the builds which do not select one
+ * @param  {Array}  [options.allowed]    security profiles the jobs may select
+ * @return {Object}                      options
+ * @throws {Error}  when the default or an allowed security profile is not one of the profiles
+ */
+function validate(options = {}) {
+    const { profiles = {}, default: defaultName, allowed = [] } = options;
+    const missing = name => !_.has(profiles, [name]);
+
+    if (!Array.isArray(allowed)) {
+        throw new Error('kubernetes.securityProfiles.allowed must be a list');
+    }
+    if (defaultName && missing(defaultName)) {
+        throw new Error(`kubernetes.securityProfiles.default is an unknown profile: ${defaultName}`);
+    }
+
+    const unknown = allowed.filter(missing);
+
+    if (unknown.length > 0) {
+        throw new Error(`kubernetes.securityProfiles.allowed lists unknown profiles: ${unknown.join(', ')}`);
+    }
+
+    return options;
+}
+
+/**
+ * Applies a security profile to a build pod: the pod securityContext of the profile to the pod, and its
+ * container securityContext to all containers, i.e. the launcher, build, sidecar and service containers.
+ * The privileged mode of the build container is turned off when the profile does not allow privilege escalation.
+ * @param  {Object} podConfig           k8s pod config
+ * @param  {Object} [profile]           { name, pod, container }, with pod and container securityContexts
+ * @param  {String} buildContainerName  name of the build container
+ * @return {Object}                     podConfig
+ * @throws {Error}  when the profile does not allow a privileged sidecar of the build, e.g.: dind
+ */
+function apply(podConfig, profile, buildContainerName) {
+    if (!profile) {
+        return podConfig;
+    }
+    if (!_.isEmpty(profile.pod)) {
+        _.set(podConfig, 'spec.securityContext', _.merge({}, podConfig.spec.securityContext, profile.pod));
+    }
+    if (_.isEmpty(profile.container)) {
+        return podConfig;
+    }
+
+    getContainers(podConfig).forEach(container => {
+        const privileged = _.get(container, 'securityContext.privileged') === true;
+        const securityContext = _.merge({}, container.securityContext, profile.container);
+        // Kubernetes rejects privileged containers which do not allow privilege escalation
+        const allowsPrivileged = securityContext.privileged && securityContext.allowPrivilegeEscalation !== false;
+
+        if (privileged && !allowsPrivileged && container.name !== buildContainerName) {
+            throw new Error(
+                `Security profile ${profile.name} does not allow the privileged container ${container.name} ` +
+                    'of the build. Turn off the sidecar, or ask your cluster admin for a security profile allowing it.'
+            );
+        }
+        if (!allowsPrivileged && securityContext.privileged) {
+            securityContext.privileged = false;
+        }
+        container.securityContext = securityContext;
+    });
+
+    return podConfig;
+}
+
+module.exports = {
+    validate,
+    apply
+};
@@ -0,0 +1,157 @@
+'use strict';
+
+const yaml = require('js-yaml');
+const _ = require('lodash');
+
+const SERVICES_ANNOTATION = 'screwdriver.cd/services';
+const BETA_SERVICES_ANNOTATION = `beta.${SERVICES_ANNOTATION}`;
+const CONTAINER_NAME_PREFIX = 'svc-';
+const NAME_REGEX_PATTERN = /^[a-z0-9]([-a-z0-9]{0,51}[a-z0-9])?$/;
+const ENV_NAME_REGEX_PATTERN = /^[-._a-zA-Z][-._a-zA-Z0-9]*$/;
+// ports of the dind and buildkitd sidecars
+const RESERVED_PORTS = [1234, 2375, 2376];
+const DEFAULT_TIER = 'LOW';
+const DEFAULTS = {
+    allowedImages: [],
+    maxServices: 3,
+    tiers: {
+        MICRO: { cpu: 0.25, memory: 0.25 },
+        LOW: { cpu: 0.5, memory: 1 },
+        HIGH: { cpu: 2, memory: 4 }
+    }
+};
+
+/**
+ * Returns true when an image matches a pattern of the allowlist, where * matches any characters,
+ * e.g.: postgres:* or registry.example.com/services/*
+ * @param  {String}  image          image of the service
+ * @param  {Array}   allowedImages  image patterns
+ * @return {Boolean}
+ */
+function isImageAllowed(image, allowedImages) {
+    return allowedImages.some(pattern =>
+        new RegExp(`^${pattern.split('*').map(_.escapeRegExp).join('.*')}$`).test(image)
+    );
+}
+
+/**
+ * Reads the services of a job from its annotations
+ * @param  {Object} annotations  annotations of the job
+ * @return {Array}               services, empty if there are none
+ */
+function parse(annotations) {
+    let services = _.get(annotations, [SERVICES_ANNOTATION], _.get(annotations, [BETA_SERVICES_ANNOTATION]));
+
+    if (typeof services === 'string') {
+        try {
+            services = yaml.load(services);
+        } catch (err) {
+            throw new Error(`${SERVICES_ANNOTATION} annotation is not valid YAML or JSON: ${err.message}`);
+        }
+    }
+    if (_.isNil(services)) {
+        return [];
+    }
+    if (!Array.isArray(services) || !services.every(_.isPlainObject)) {
+        throw new Error(`${SERVICES_ANNOTATION} annotation must be a list of services`);
+    }
+
+    return services;
+}
+
+/**
+ * Turns the env of a service into container env vars
+ * @param  {String} name  name of the service
+ * @param  {Object} env   env vars by name
+ * @return {Array}        k8s env vars
+ */
+function toEnv(name, env = {}) {
+    if (!_.isPlainObject(env)) {
+        throw new Error(`Service ${name}: env must be a map of names to values`);
+    }
+
+    return Object.keys(env).map(envName => {
+        if (!ENV_NAME_REGEX_PATTERN.test(envName) || _.isObjectLike(env[envName])) {
+            throw new Error(`Service ${name}: env ${envName} must be a valid name with a plain value`);
+        }
+
+        return { name: envName, value: _.toString(env[envName]) };
+    });
+}
+
+/**
+ * Creates the containers of the services of a job, added to the build pod and reachable on localhost
+ * @param  {Object} annotations              annotations of the job
+ * @param  {Object} [options]                services options of the executor
+ * @param  {Array}  [options.allowedImages]  image patterns services may use
+ * @param  {Number} [options.maxServices]    maximum number of services of a job
+ * @param  {Object} [options.tiers]          cpu (cores) and memory (GB) of the services, by tier
+ * @param  {String} [imagePullPolicy]        image pull policy of the containers
+ * @return {Array}                           k8s containers
+ */
+function createContainers(annotations, options, imagePullPolicy) {
+    const { allowedImages, maxServices, tiers } = _.defaults({}, options, DEFAULTS);
+    const services = parse(annotations);
+    const ports = [];
+
+    if (services.length > maxServices) {
+        throw new Error(`Jobs may have up to ${maxServices} services, got ${services.length}`);
+    }
+
+    return services.map(service => {
+        const { name, image, env, tier = DEFAULT_TIER } = service;
+
+        if (!_.isString(name) || !NAME_REGEX_PATTERN.test(name) || services.filter(s => s.name === name).length > 1) {
+            throw new Error(`Service name ${name} must be unique, lowercase alphanumeric or '-', up to 53 characters`);
+        }
+        if (!_.isString(image) || !isImageAllowed(image, allowedImages)) {
+            throw new Error(
+                `Service ${name}: image ${image} is not allowed${
+                    allowedImages.length ? `, allowed images: ${allowedImages.join(', ')}` : ''
+                }`
+            );
+        }
+        if (!tiers[tier]) {
+            throw new Error(`Service ${name}: tier ${tier} is not one of ${Object.keys(tiers).join(', ')}`);
+        }
+
+        const containerPorts = [].concat(service.ports || []).map(port => {
+            if (!Number.isInteger(port) || port < 1 || port > 65535 || RESERVED_PORTS.includes(port)) {
+                throw new Error(`Service ${name}: port ${port} is invalid or reserved`);
+            }
+            if (ports.includes(port)) {
+                throw new Error(`Service ${name}: port ${port} is already used by another service`);
+            }
+            ports.push(port);
+
+            return { containerPort: port };
+        });
+        // limits and requests are equal, services can not take more than their tier from the node
+        const resources = {
+            cpu: `${Math.round(tiers[tier].cpu * 1000)}m`,
+            memory: `${Math.round(tiers[tier].memory * 1024)}Mi`
+        };
+        const container = {
+            name: `${CONTAINER_NAME_PREFIX}${name}`,
+            image,
+            imagePullPolicy,
+            env: toEnv(name, env),
+            resources: { limits: resources, requests: resources },
+            securityContext: { privileged: false, allowPrivilegeEscalation: false }
+        };
+
+        if (containerPorts.length) {
+            container.ports = containerPorts;
+        }
+
+        return container;
+    });
+}
+
+module.exports = {
+    SERVICES_ANNOTATION,
+    CONTAINER_NAME_PREFIX,
+    isImageAllowed,
+    parse,
+    createContainers
+};
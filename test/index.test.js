@@ -5,6 +5,10 @@ const sinon = require('sinon');
 const mockery = require('mockery');
 const yaml = require('js-yaml');
 const rewire = require('rewire');
+const jwt = require('jsonwebtoken');
+const { PassThrough } = require('stream');
+const fs = require('fs');
+const path = require('path');
 const index = rewire('../index.js');
 const _ = require('lodash');
 
@@ -12,6 +16,7 @@ sinon.assert.expose(assert, { prefix: '' });
 
 const DEFAULT_BUILD_TIMEOUT = 90;
 const MAX_BUILD_TIMEOUT = 120;
+const POD_TEMPLATE = fs.readFileSync(path.resolve(__dirname, '../config/pod.yaml.hbs'), 'utf8');
 const TEST_TIM_YAML = `
 metadata:
   name: {{build_id_with_prefix}}
@@ -30,6 +35,46 @@ command:
 - "/opt/sd/launch {{api_uri}} {{store_uri}} {{token}} {{build_timeout}} {{build_id}}"
 `;
 
+const TEST_KUBECONFIG_YAML = `
+apiVersion: v1
+kind: Config
+current-context: prod
+clusters:
+- name: prod-cluster
+  cluster:
+    server: https://10.0.0.1:6443
+    certificate-authority-data: ${Buffer.from('kubeconfig_ca').toString('base64')}
+- name: dev-cluster
+  cluster:
+    server: https://dev.k8s.example.com/
+    insecure-skip-tls-verify: true
+- name: proxied-cluster
+  cluster:
+    server: https://rancher.example.com/k8s/clusters/c-1/
+contexts:
+- name: prod
+  context:
+    cluster: prod-cluster
+    user: prod-user
+    namespace: sd-builds
+- name: dev
+  context:
+    cluster: dev-cluster
+    user: dev-user
+- name: proxied
+  context:
+    cluster: proxied-cluster
+    user: dev-user
+users:
+- name: prod-user
+  user:
+    client-certificate-data: ${Buffer.from('kubeconfig_cert').toString('base64')}
+    client-key-data: ${Buffer.from('kubeconfig_key').toString('base64')}
+- name: dev-user
+  user:
+    token: dev_token
+`;
+
 const SMALLEST_FLOAT64 = 2.2250738585072014e-308;
 
 describe('index', function () {
@@ -49,6 +94,7 @@ describe('index', function () {
     const testLaunchImage = 'screwdrivercd/launcher';
     const testServiceAccount = 'default';
     const podsUrl = 'https://kubernetes.default/api/v1/namespaces/default/pods';
+    const testHttpsOptions = { rejectUnauthorized: true, certificateAuthority: 'ca_cert' };
     const testSpec = {
         tolerations: [
             {
@@ -141,6 +187,8 @@ describe('index', function () {
         'screwdriver.cd/pr_number': '999',
         'screwdriver.cd/cpu': '2',
         'screwdriver.cd/memory': '2',
+        'screwdriver.cd/cpu-request': '2',
+        'screwdriver.cd/memory-request': '2',
         'screwdriver.cd/disk': 'LOW'
     };
     let executorOptions;
@@ -176,6 +224,8 @@ describe('index', function () {
         fsMock.existsSync.returns(true);
 
         fsMock.readFileSync.withArgs('/var/run/secrets/kubernetes.io/serviceaccount/token').returns('api_key');
+        fsMock.readFileSync.withArgs('/var/run/secrets/kubernetes.io/serviceaccount/ca.crt').returns('ca_cert');
+        fsMock.readFileSync.withArgs('/etc/kube/config').returns(TEST_KUBECONFIG_YAML);
         fsMock.readFileSync.withArgs(sinon.match(/config\/pod.yaml.hbs/)).returns(TEST_TIM_YAML);
 
         mockery.registerMock('fs', fsMock);
@@ -270,6 +320,106 @@ describe('index', function () {
         assert.equal(executor.microMemory, 1);
     });
 
+    it('verifies TLS with the in-cluster CA bundle by default', () => {
+        assert.deepEqual(executor.k8sHttpsOptions, { rejectUnauthorized: true, certificateAuthority: 'ca_cert' });
+        assert.deepEqual(executor.apiHttpsOptions, { rejectUnauthorized: true });
+    });
+
+    it('supports explicit CA, client certificate and TLS opt-out', () => {
+        executor = new Executor({
+            ecosystem: { rejectUnauthorized: false },
+            kubernetes: {
+                ca: 'custom_ca',
+                clientCert: 'client_cert',
+                clientKey: 'client_key',
+                rejectUnauthorized: 'false'
+            }
+        });
+        assert.deepEqual(executor.k8sHttpsOptions, {
+            rejectUnauthorized: false,
+            certificateAuthority: 'custom_ca',
+            certificate: 'client_cert',
+            key: 'client_key'
+        });
+        assert.deepEqual(executor.apiHttpsOptions, { rejectUnauthorized: false });
+    });
+
+    it('loads host, namespace and credentials from kubeconfig current-context', () => {
+        executor = new Executor({ kubernetes: { kubeconfig: '/etc/kube/config' } });
+        assert.equal(executor.host, '10.0.0.1:6443');
+        assert.equal(executor.jobsNamespace, 'sd-builds');
+        assert.equal(executor.token, 'api_key');
+        assert.equal(executor.podsUrl, 'https://10.0.0.1:6443/api/v1/namespaces/sd-builds/pods');
+        assert.deepEqual(executor.k8sHttpsOptions, {
+            rejectUnauthorized: true,
+            certificateAuthority: 'kubeconfig_ca',
+            certificate: 'kubeconfig_cert',
+            key: 'kubeconfig_key'
+        });
+    });
+
+    it('loads the selected kubeconfig context', () => {
+        executor = new Executor({ kubernetes: { kubeconfig: '/etc/kube/config', context: 'dev' } });
+        assert.equal(executor.host, 'dev.k8s.example.com');
+        assert.equal(executor.jobsNamespace, 'default');
+        assert.equal(executor.token, 'dev_token');
+        assert.deepEqual(executor.k8sHttpsOptions, { rejectUnauthorized: false });
+    });
+
+    it('keeps the path of the kubeconfig server', async () => {
+        executor = new Executor({ kubernetes: { kubeconfig: '/etc/kube/config', context: 'proxied' } });
+        assert.equal(executor.host, 'rancher.example.com');
+        assert.equal(executor.podsUrl, 'https://rancher.example.com/k8s/clusters/c-1/api/v1/namespaces/default/pods');
+
+        requestRetryMock.resolves({ statusCode: 200, body: { items: [] } });
+        await executor.getPods(testBuildId, 'sd-1234');
+        assert.calledWith(
+            requestRetryMock,
+            sinon.match({ url: 'https://rancher.example.com/k8s/clusters/c-1/api/v1/namespaces/sd-1234/pods' })
+        );
+    });
+
+    it('throws when kubeconfig context does not exist', () => {
+        assert.throws(
+            () => new Executor({ kubernetes: { kubeconfig: '/etc/kube/config', context: 'missing' } }),
+            'Context missing not found in kubeconfig /etc/kube/config'
+        );
+    });
+
+    it('starts a pod watch when watchPods is enabled', async () => {
+        requestRetryMock.resolves({ statusCode: 200, body: { metadata: { resourceVersion: '1' }, items: [] } });
+        const stream = new PassThrough();
+
+        requestRetryMock.stream = sinon.stub().returns(stream);
+        executor = new Executor({ kubernetes: { watchPods: true } });
+
+        await new Promise(resolve => {
+            setImmediate(resolve);
+        });
+        assert.isFalse(executor.isPodCacheSynced());
+        stream.emit('response', { statusCode: 200 });
+        assert.isTrue(executor.isPodCacheSynced());
+        assert.calledWith(requestRetryMock, sinon.match({ searchParams: { labelSelector: 'app=screwdriver' } }));
+        assert.calledOnce(requestRetryMock.stream);
+
+        await executor.cleanUp();
+        assert.isTrue(executor.podWatcher.stopped);
+    });
+
+    it('only starts the pod watches of the clusters when clusters are set', async () => {
+        requestRetryMock.resolves({ statusCode: 200, body: { metadata: { resourceVersion: '1' }, items: [] } });
+        requestRetryMock.stream = sinon.stub().returns(new PassThrough());
+        executor = new Executor({
+            kubernetes: { watchPods: true, clusters: { east: { host: 'east.k8s.example.com', token: 'east_token' } } }
+        });
+
+        assert.isUndefined(executor.podWatcher);
+        assert.isFalse(executor.clusters.east.podWatcher.stopped);
+
+        await executor.cleanUp();
+        assert.isTrue(executor.clusters.east.podWatcher.stopped);
+    });
+
     it('extends base class', () => {
         assert.isFunction(executor.stop);
         assert.isFunction(executor.start);
@@ -309,7 +459,7 @@ describe('index', function () {
             headers: {
                 Authorization: 'Bearer api_key'
             },
-            https: { rejectUnauthorized: false }
+            https: testHttpsOptions
         };
 
         beforeEach(() => {
@@ -324,10 +474,183 @@ describe('index', function () {
                     jobName: 'main'
                 })
                 .then(() => {
-                    assert.calledWith(requestRetryMock, deleteConfig);
+                    assert.calledWith(requestRetryMock.firstCall, deleteConfig);
                     assert.calledOnce(requestRetryMock);
                 }));
 
+        it('deletes the Jobs of builds running as Jobs or which may be frozen', async () => {
+            const jobsUrl = 'https://kubernetes.default/apis/batch/v1/namespaces/default/jobs';
+
+            await executor.stop({ buildId: testBuildId, apiUri: testApiUri, freezeWindows: ['* * ? * SAT,SUN'] });
+
+            assert.calledWith(requestRetryMock.firstCall, {
+                url: jobsUrl,
+                method: 'DELETE',
+                searchParams: {
+                    labelSelector: `tier=frozen,sdbuild=beta_${testBuildId}`
+                },
+                json: { propagationPolicy: 'Background' },
+                headers: {
+                    Authorization: 'Bearer api_key'
+                },
+                https: testHttpsOptions,
+                throwHttpErrors: false
+            });
+            assert.calledWith(requestRetryMock.secondCall, deleteConfig);
+            assert.calledTwice(requestRetryMock);
+
+            executorOptions.kubernetes.workloadKind = 'job';
+            executor = new Executor(executorOptions);
+            requestRetryMock.resetHistory();
+            requestRetryMock.withArgs(sinon.match({ url: jobsUrl })).resolves({
+                statusCode: 403,
+                body: { reason: 'Forbidden' }
+            });
+
+            try {
+                await executor.stop({ buildId: testBuildId, apiUri: testApiUri, jobName: 'main' });
+                assert.fail('should not get here');
+            } catch (err) {
+                assert.equal(err.message, 'Failed to delete jobs:{"reason":"Forbidden"}');
+            }
+            assert.calledWith(requestRetryMock, sinon.match({ url: jobsUrl, searchParams: deleteConfig.searchParams }));
+        });
+
+        it('records why Kubernetes stopped the build pod before deleting it', async () => {
+            requestRetryMock.withArgs(sinon.match({ method: 'GET' })).resolves({
+                statusCode: 200,
+                body: {
+                    items: [
+                        {
+                            metadata: { name: 'beta_15-abcde' },
+                            spec: { containers: [{ name: 'beta_15', resources: { limits: { memory: '2048Mi' } } }] },
+                            status: {
+                                phase: 'Running',
+                                containerStatuses: [
+                                    {
+                                        name: 'beta_15',
+                                        state: { terminated: { exitCode: 137, reason: 'OOMKilled' } }
+                                    }
+                                ]
+                            }
+                        }
+                    ]
+                }
+            });
+
+            requestRetryMock
+                .withArgs(sinon.match({ method: 'GET', url: `${testApiUri}/v4/builds/${testBuildId}` }))
+                .resolves({ statusCode: 200, body: { status: 'RUNNING' } });
+
+            await executor.stop({ buildId: testBuildId, apiUri: testApiUri, jobName: 'main', token: 'abcdefg' });
+
+            assert.calledWith(
+                requestRetryMock,
+                sinon.match({
+                    method: 'PUT',
+                    url: sinon.match(`/v4/builds/${testBuildId}`),
+                    headers: { Authorization: 'Bearer abcdefg' },
+                    json: {
+                        statusMessage:
+                            'Container beta_15 of the build ran out of memory (limit: 2048Mi) and was killed. Please ' +
+                            'reduce the memory usage of the build or request more memory with the screwdriver.cd/ram ' +
+                            'annotation. Container beta_15 terminated with exit code 137 (OOMKilled)',
+                        stats: {
+                            terminationReason: 'OOMKilled',
+                            failedContainer: 'beta_15',
+                            failureReason: 'OOMKilled',
+                            failureExitCode: 137
+                        }
+                    }
+                })
+            );
+            assert.calledWith(requestRetryMock, deleteConfig);
+        });
+
+        it('does not record why the pod stopped when no pod failed or the build already finished', async () => {
+            const failedPod = {
+                metadata: { name: 'beta_15-abcde' },
+                status: { phase: 'Failed', reason: 'Evicted', message: 'The node was low on resource: memory.' }
+            };
+
+            requestRetryMock
+                .withArgs(sinon.match({ method: 'GET', url: podsUrl }))
+                .resolves({ statusCode: 200, body: { items: [{ ...failedPod, status: { phase: 'Running' } }] } });
+            await executor.stop({ buildId: testBuildId, apiUri: testApiUri, token: 'abcdefg' });
+
+            requestRetryMock
+                .withArgs(sinon.match({ method: 'GET', url: podsUrl }))
+                .resolves({ statusCode: 200, body: { items: [failedPod] } });
+            requestRetryMock
+                .withArgs(sinon.match({ method: 'GET', url: `${testApiUri}/v4/builds/${testBuildId}` }))
+                .resolves({ statusCode: 200, body: { status: 'ABORTED' } });
+            await executor.stop({ buildId: testBuildId, apiUri: testApiUri, token: 'abcdefg' });
+
+            assert.calledOnce(
+                requestRetryMock.withArgs(sinon.match({ url: `${testApiUri}/v4/builds/${testBuildId}` }))
+            );
+            assert.neverCalledWith(requestRetryMock, sinon.match({ method: 'PUT' }));
+            assert.calledWith(requestRetryMock, deleteConfig);
+        });
+
+        it('deletes pods in the resolved namespace and in namespaces the build pods were found in', () => {
+            executorOptions.kubernetes.namespaces = { template: 'sd-{{pipeline_id}}' };
+            executor = new Executor(executorOptions);
+            requestRetryMock.withArgs(sinon.match({ method: 'GET' })).resolves({
+                statusCode: 200,
+                body: { items: [{ metadata: { name: 'beta_15-abcde', namespace: 'team-a' } }] }
+            });
+
+            return executor
+                .stop({
+                    buildId: testBuildId,
+                    apiUri: testApiUri,
+                    pipelineId: 1234
+                })
+                .then(() => {
+                    assert.calledWith(requestRetryMock.firstCall, {
+                        url: 'https://kubernetes.default/api/v1/pods',
+                        method: 'GET',
+                        headers: { Authorization: 'Bearer api_key' },
+                        https: testHttpsOptions,
+                        searchParams: { labelSelector: `sdbuild=beta_${testBuildId}` },
+                        throwHttpErrors: false
+                    });
+                    assert.calledWith(requestRetryMock, {
+                        ...deleteConfig,
+                        url: 'https://kubernetes.default/api/v1/namespaces/sd-1234/pods'
+                    });
+                    assert.calledWith(requestRetryMock, {
+                        ...deleteConfig,
+                        url: 'https://kubernetes.default/api/v1/namespaces/team-a/pods'
+                    });
+                    assert.equal(requestRetryMock.callCount, 3);
+                });
+        });
+
+        it('deletes pods in the resolved namespace when build pods cannot be listed', () => {
+            executorOptions.kubernetes.namespaces = { pipelines: { 1234: 'team-a' } };
+            executor = new Executor(executorOptions);
+            requestRetryMock.withArgs(sinon.match({ method: 'GET' })).resolves({
+                statusCode: 403,
+                body: { reason: 'Forbidden' }
+            });
+
+            return executor
+                .stop({
+                    buildId: testBuildId,
+                    apiUri: testApiUri,
+                    pipelineId: 1234
+                })
+                .then(() => {
+                    assert.calledWith(requestRetryMock.secondCall, {
+                        ...deleteConfig,
+                        url: 'https://kubernetes.default/api/v1/namespaces/team-a/pods'
+                    });
+                    assert.equal(requestRetryMock.callCount, 2);
+                });
+        });
+
         it('returns error when breaker does', () => {
             const error = new Error('error');
 
@@ -413,6 +736,8 @@ describe('index', function () {
                             'screwdriver.cd/pr_number': '999',
                             'screwdriver.cd/cpu': '2',
                             'screwdriver.cd/memory': '2',
+                            'screwdriver.cd/cpu-request': '2',
+                            'screwdriver.cd/memory-request': '2',
                             'screwdriver.cd/disk': 'LOW'
                         }
                     },
@@ -425,7 +750,7 @@ describe('index', function () {
                 headers: {
                     Authorization: 'Bearer api_key'
                 },
-                https: { rejectUnauthorized: false }
+                https: testHttpsOptions
             };
             getConfig = {
                 url: `${podsUrl}/testpod/status`,
@@ -433,7 +758,7 @@ describe('index', function () {
                 headers: {
                     Authorization: 'Bearer api_key'
                 },
-                https: { rejectUnauthorized: false }
+                https: testHttpsOptions
             };
             putConfig = {
                 url: `${testApiUri}/v4/builds/${testBuildId}`,
@@ -442,7 +767,7 @@ describe('index', function () {
                     Authorization: `Bearer ${testToken}`
                 },
                 json: {},
-                https: { rejectUnauthorized: false }
+                https: { rejectUnauthorized: true }
             };
             fakeStartConfig = {
                 annotations: {},
@@ -502,6 +827,120 @@ describe('index', function () {
             });
         });
 
+        it('reads pod status from the watch cache when it is synced', () => {
+            executor.podWatcher = {
+                synced: true,
+                getPod: sinon.stub().returns(fakeGetResponse.body)
+            };
+
+            return executor.start(fakeStartConfig).then(result => {
+                assert.equal(result, true);
+                assert.calledWith(executor.podWatcher.getPod, 'testpod');
+                assert.equal(requestRetryMock.callCount, 2); // POST, PUT
+                assert.neverCalledWith(requestRetryMock, sinon.match({ method: 'GET' }));
+            });
+        });
+
+        it('creates a Job wrapping the pod spec when workloadKind is job', () => {
+            const jobPod = {
+                status: { phase: 'pending' },
+                spec: { nodeName: 'node1.my.k8s.cluster.com' },
+                metadata: { name: 'beta_15-abcde' }
+            };
+
+            executorOptions.kubernetes.workloadKind = 'job';
+            executor = new Executor(executorOptions);
+            requestRetryMock.withArgs(sinon.match({ method: 'GET' })).resolves({
+                statusCode: 200,
+                body: { items: [jobPod] }
+            });
+
+            return executor.start(fakeStartConfig).then(result => {
+                const { url, json } = requestRetryMock.firstCall.args[0];
+
+                assert.equal(result, true);
+                assert.equal(url, 'https://kubernetes.default/apis/batch/v1/namespaces/default/jobs');
+                assert.equal(json.kind, 'Job');
+                assert.deepEqual(json.metadata, {
+                    name: 'beta_15',
+                    labels: postConfig.json.metadata.labels
+                });
+                assert.equal(json.spec.backoffLimit, 1);
+                assert.equal(json.spec.activeDeadlineSeconds, DEFAULT_BUILD_TIMEOUT * 60 + 300);
+                assert.equal(json.spec.ttlSecondsAfterFinished, 3600);
+                assert.deepEqual(json.spec.podFailurePolicy.rules, [
+                    { action: 'Ignore', onPodConditions: [{ type: 'DisruptionTarget' }] },
+                    {
+                        action: 'FailJob',
+                        onExitCodes: { containerName: 'beta_15', operator: 'NotIn', values: [0] }
+                    }
+                ]);
+                assert.deepEqual(json.spec.template, {
+                    metadata: { labels: postConfig.json.metadata.labels },
+                    spec: postConfig.json.spec
+                });
+                assert.calledWith(
+                    requestRetryMock.secondCall,
+                    sinon.match({ url: podsUrl, searchParams: { labelSelector: 'sdbuild=beta_15' } })
+                );
+                assert.match(requestRetryMock.thirdCall.args[0].json.stats.hostname, /node1/);
+            });
+        });
+
+        it('sets Job deadline and limits from config and build timeout', () => {
+            executorOptions.kubernetes.workloadKind = 'job';
+            executorOptions.kubernetes.jobBackoffLimit = 3;
+            executorOptions.kubernetes.jobTtlSecondsAfterFinished = 60;
+            executor = new Executor(executorOptions);
+            fakeStartConfig.annotations = { 'beta.screwdriver.cd/timeout': 45 };
+            requestRetryMock
+                .withArgs(sinon.match({ method: 'GET' }))
+                .resolves({ statusCode: 200, body: { items: [] } });
+            // Jobs are named like the build pods
+            requestRetryMock
+                .withArgs(sinon.match({ method: 'POST' }))
+                .resolves({ statusCode: 201, body: { metadata: { name: 'beta_15-abcde' } } });
+
+            return executor.start(fakeStartConfig).then(result => {
+                const { json } = requestRetryMock.firstCall.args[0];
+
+                // Job pod not created yet
+                assert.equal(result, false);
+                assert.equal(json.spec.backoffLimit, 3);
+                assert.equal(json.spec.activeDeadlineSeconds, 45 * 60 + 300);
+                assert.equal(json.spec.ttlSecondsAfterFinished, 60);
+                assert.calledWith(
+                    requestRetryMock,
+                    sinon.match({
+                        url: 'https://kubernetes.default/api/v1/namespaces/default/events',
+                        searchParams: { fieldSelector: 'involvedObject.name=beta_15-abcde,involvedObject.kind=Job' }
+                    })
+                );
+                assert.equal(
+                    requestRetryMock.lastCall.args[0].json.statusMessage,
+                    'Waiting for resources to be available.'
+                );
+            });
+        });
+
+        it('creates the pod in the resolved namespace', () => {
+            executorOptions.kubernetes.namespaces = { scmOrgs: { d2lam: 'sd-{{scm_org}}' } };
+            executor = new Executor(executorOptions);
+            fakeStartConfig.pipeline.name = 'd2lam/test';
+            postConfig.json.metadata.labels['screwdriver.cd/pipeline'] = 'd2lam.test';
+
+            return executor.start(fakeStartConfig).then(() => {
+                assert.calledWith(requestRetryMock.firstCall, {
+                    ...postConfig,
+                    url: 'https://kubernetes.default/api/v1/namespaces/sd-d2lam/pods'
+                });
+                assert.calledWith(requestRetryMock.secondCall, {
+                    ...getConfig,
+                    url: 'https://kubernetes.default/api/v1/namespaces/sd-d2lam/pods/testpod/status'
+                });
+            });
+        });
+
         it('returns true when pod is created successfully and updates build status', () => {
             return executor.start(fakeStartConfig).then(result => {
                 assert.equal(result, true);
@@ -540,6 +979,7 @@ describe('index', function () {
             postConfig.json.metadata.cpu = 2000;
             postConfig.json.metadata.memory = 12;
             postConfig.json.metadata.labels['screwdriver.cd/memory'] = '12';
+            postConfig.json.metadata.labels['screwdriver.cd/memory-request'] = '12';
             fakeStartConfig.annotations['beta.screwdriver.cd/ram'] = 'HIGH';
 
             return executor.start(fakeStartConfig).then(() => {
@@ -575,6 +1015,7 @@ describe('index', function () {
             postConfig.json.metadata.cpu = 2000;
             postConfig.json.metadata.memory = 1;
             postConfig.json.metadata.labels['screwdriver.cd/memory'] = '1';
+            postConfig.json.metadata.labels['screwdriver.cd/memory-request'] = '1';
             fakeStartConfig.annotations['beta.screwdriver.cd/ram'] = 'MICRO';
 
             return executor.start(fakeStartConfig).then(() => {
@@ -586,6 +1027,7 @@ describe('index', function () {
             postConfig.json.metadata.cpu = 2000;
             postConfig.json.metadata.memory = 16;
             postConfig.json.metadata.labels['screwdriver.cd/memory'] = '16';
+            postConfig.json.metadata.labels['screwdriver.cd/memory-request'] = '16';
             fakeStartConfig.annotations['beta.screwdriver.cd/ram'] = 64;
 
             return executor.start(fakeStartConfig).then(() => {
@@ -597,6 +1039,7 @@ describe('index', function () {
             postConfig.json.metadata.cpu = 6000;
             postConfig.json.metadata.memory = 2;
             postConfig.json.metadata.labels['screwdriver.cd/cpu'] = '6';
+            postConfig.json.metadata.labels['screwdriver.cd/cpu-request'] = '6';
             fakeStartConfig.annotations['beta.screwdriver.cd/cpu'] = 'HIGH';
 
             return executor.start(fakeStartConfig).then(() => {
@@ -608,6 +1051,7 @@ describe('index', function () {
             postConfig.json.metadata.cpu = 500;
             postConfig.json.metadata.memory = 2;
             postConfig.json.metadata.labels['screwdriver.cd/cpu'] = '0.5';
+            postConfig.json.metadata.labels['screwdriver.cd/cpu-request'] = '0.5';
             fakeStartConfig.annotations['beta.screwdriver.cd/cpu'] = 'MICRO';
 
             return executor.start(fakeStartConfig).then(() => {
@@ -615,6 +1059,213 @@ describe('index', function () {
             });
         });
 
+        it('sets the cpu and memory appropriately when they are set to quantities', () => {
+            postConfig.json.metadata.cpu = 1500;
+            postConfig.json.metadata.memory = 0.5;
+            postConfig.json.metadata.labels['screwdriver.cd/cpu'] = '1.5';
+            postConfig.json.metadata.labels['screwdriver.cd/cpu-request'] = '1.5';
+            postConfig.json.metadata.labels['screwdriver.cd/memory'] = '0.5';
+            postConfig.json.metadata.labels['screwdriver.cd/memory-request'] = '0.5';
+            fakeStartConfig.annotations['screwdriver.cd/cpu'] = '1500m';
+            fakeStartConfig.annotations['screwdriver.cd/ram'] = '512Mi';
+
+            return executor.start(fakeStartConfig).then(() => {
+                assert.calledWith(requestRetryMock.firstCall, postConfig);
+            });
+        });
+
+        it('sets cpu and memory requests apart from limits', () => {
+            executorOptions.kubernetes.resources = {
+                cpu: { requestRatio: 0.25 },
+                memory: { request: { low: 1 } }
+            };
+            executor = new Executor(executorOptions);
+            postConfig.json.metadata.labels['screwdriver.cd/cpu-request'] = '0.5';
+            postConfig.json.metadata.labels['screwdriver.cd/memory-request'] = '1';
+
+            return executor.start(fakeStartConfig).then(() => {
+                assert.calledWith(requestRetryMock.firstCall, postConfig);
+                assert.deepInclude(requestRetryMock.thirdCall.args[0].json.stats, {
+                    cpuLimit: 2,
+                    cpuRequest: 0.5,
+                    memoryLimit: 2,
+                    memoryRequest: 1
+                });
+            });
+        });
+
+        it('reports invalid annotations and uses the defaults instead', async () => {
+            postConfig.json.metadata.cpu = 12000;
+            postConfig.json.metadata.labels['screwdriver.cd/cpu'] = '12';
+            postConfig.json.metadata.labels['screwdriver.cd/cpu-request'] = '12';
+            postConfig.json.command = [
+                `/opt/sd/launch http://api:8080 http://store:8080 abcdefg ${DEFAULT_BUILD_TIMEOUT} 15`
+            ];
+            fakeStartConfig.annotations = {
+                'screwdriver.cd/cpu': 40,
+                'screwdriver.cd/disk': 'FAST',
+                'screwdriver.cd/timeout': 'an hour'
+            };
+
+            await executor.start(fakeStartConfig);
+
+            assert.calledWith(requestRetryMock.firstCall, postConfig);
+            assert.calledWith(
+                requestRetryMock,
+                sinon.match({
+                    method: 'PUT',
+                    json: {
+                        statusMessage:
+                            'Invalid annotations: cpu 40 exceeds max 12, capped; disk FAST is not one of TURBO, ' +
+                            'HIGH, LOW, MICRO, using LOW; timeout an hour is not a whole number from 1, using ' +
+                            'the default timeout.'
+                    }
+                })
+            );
+        });
+
+        it('fails builds rejected by a ResourceQuota without quota check', async () => {
+            const err = new Error(
+                '403 Reason "pods "beta_15" is forbidden: exceeded quota: builds, requested: ' +
+                    'requests.memory=2Gi, used: requests.memory=15Gi, limited: requests.memory=16Gi"'
+            );
+
+            err.statusCode = 403;
+            requestRetryMock.withArgs(sinon.match({ method: 'POST' })).rejects(err);
+
+            try {
+                await executor.start(fakeStartConfig);
+                assert.fail('should not get here');
+            } catch (e) {
+                assert.strictEqual(e, err);
+                assert.calledOnce(requestRetryMock.withArgs(sinon.match({ method: 'POST' })));
+            }
+        });
+
+        it('rejects builds with invalid annotations when configured to', async () => {
+            executorOptions.kubernetes.rejectInvalidAnnotations = true;
+            executor = new Executor(executorOptions);
+            fakeStartConfig.annotations = { 'screwdriver.cd/cpu': 40 };
+
+            await executor.start(fakeStartConfig);
+            fakeStartConfig.annotations = { 'screwdriver.cd/ram': 'LARGE' };
+
+            try {
+                await executor.start(fakeStartConfig);
+                assert.fail('should not get here');
+            } catch (err) {
+                assert.equal(
+                    err.message,
+                    'Build rejected. Invalid annotations: ram LARGE is not one of TURBO, HIGH, LOW, MICRO or GB, ' +
+                        'e.g.: 1.5 or 512Mi, using LOW.'
+                );
+                assert.calledOnce(requestRetryMock.withArgs(sinon.match({ method: 'POST' })));
+            }
+        });
+        describe('with quota check', () => {
+            const quotasUrl = 'https://kubernetes.default/api/v1/namespaces/default/resourcequotas';
+            const limitRangesUrl = 'https://kubernetes.default/api/v1/namespaces/default/limitranges';
+            let fakeQuota;
+
+            beforeEach(() => {
+                executorOptions.kubernetes.quota = { check: true, cacheSeconds: 0 };
+                executor = new Executor(executorOptions);
+                fakeQuota = {
+                    metadata: { name: 'builds' },
+                    status: { hard: { pods: '10', 'limits.cpu': '4' }, used: { pods: '3', 'limits.cpu': '3500m' } }
+                };
+                requestRetryMock
+                    .withArgs(sinon.match({ url: quotasUrl }))
+                    .callsFake(() => Promise.resolve({ statusCode: 200, body: { items: [fakeQuota] } }));
+                requestRetryMock.withArgs(sinon.match({ url: limitRangesUrl })).resolves({
+                    statusCode: 200,
+                    body: {
+                        items: [
+                            {
+                                metadata: { name: 'defaults' },
+                                spec: { limits: [{ type: 'Container', default: { cpu: '1' }, max: { cpu: '2' } }] }
+                            }
+                        ]
+                    }
+                });
+            });
+
+            it('waits for quota instead of creating the pod, and creates it once there is enough', async () => {
+                const message =
+                    'Waiting for namespace quota: quota builds of namespace default has not enough limits.cpu ' +
+                    '(the build needs 1, 3.5 of 4 used). The build will start when enough quota is free.';
+
+                assert.isFalse(await executor.start(fakeStartConfig));
+                assert.neverCalledWith(requestRetryMock, sinon.match({ method: 'POST' }));
+                assert.calledWith(requestRetryMock, sinon.match({ method: 'PUT', json: { statusMessage: message } }));
+
+                // e.g.: another replica verifies the build
+                executor = new Executor(executorOptions);
+                requestRetryMock
+                    .withArgs(sinon.match({ method: 'GET', url: podsUrl }))
+                    .resolves({ statusCode: 200, body: { items: [] } });
+                requestRetryMock
+                    .withArgs(sinon.match({ method: 'GET', url: `${testApiUri}/v4/builds/${testBuildId}` }))
+                    .resolves({ statusCode: 200, body: { status: 'QUEUED', statusMessage: message } });
+
+                assert.equal(await executor.verify(fakeStartConfig), 'waiting');
+                assert.neverCalledWith(requestRetryMock, sinon.match({ method: 'POST' }));
+
+                fakeQuota.status.used['limits.cpu'] = '3';
+
+                assert.equal(await executor.verify(fakeStartConfig), 'waiting');
+                assert.calledOnce(requestRetryMock.withArgs(sinon.match({ method: 'POST' })));
+                assert.calledWith(
+                    requestRetryMock,
+                    sinon.match({ method: 'PUT', json: { statusMessage: 'Waiting for resources to be available.' } })
+                );
+            });
+
+            it('waits for quota when the pod is rejected for exceeding a quota', async () => {
+                const err = new Error(
+                    '403 Reason "pods "beta_15" is forbidden: exceeded quota: builds, requested: ' +
+                        'requests.memory=2Gi, used: requests.memory=15Gi, limited: requests.memory=16Gi"'
+                );
+
+                err.statusCode = 403;
+                fakeQuota.status.used['limits.cpu'] = '3';
+                requestRetryMock.withArgs(sinon.match({ method: 'POST' })).rejects(err);
+
+                assert.isFalse(await executor.start(fakeStartConfig));
+                assert.calledWith(
+                    requestRetryMock,
+                    sinon.match({
+                        method: 'PUT',
+                        json: {
+                            statusMessage:
+                                'Waiting for namespace quota: quota builds of namespace default has not enough ' +
+                                'requests.memory (the build needs 2Gi, 15Gi of 16Gi used). ' +
+                                'The build will start when enough quota is free.'
+                        }
+                    })
+                );
+            });
+
+            it('rejects build pods which do not fit the limit ranges', async () => {
+                fakeStartConfig.annotations['screwdriver.cd/cpu'] = 'HIGH';
+                executor.createPodConfig = sinon.stub().returns({
+                    spec: { containers: [{ name: 'build', resources: { limits: { cpu: '6000m' } } }] }
+                });
+
+                try {
+                    await executor.start(fakeStartConfig);
+                    assert.fail('should not get here');
+                } catch (err) {
+                    assert.equal(
+                        err.message,
+                        'Build pod does not fit the limit ranges of namespace default: container build has a cpu ' +
+                            'limit of 6, max 2 (limit range defaults).'
+                    );
+                    assert.neverCalledWith(requestRetryMock, sinon.match({ method: 'POST' }));
+                }
+            });
+        });
+
         it('sets the disk label appropriately when disk annotation is set to TURBO', () => {
             postConfig.json.metadata.labels['screwdriver.cd/disk'] = 'TURBO';
             fakeStartConfig.annotations['beta.screwdriver.cd/disk'] = 'TURBO';
@@ -822,15 +1473,76 @@ describe('index', function () {
             return executor.start(fakeStartConfig).then(result => {
                 // Returns false to trigger retry polling for node assignment
                 assert.equal(result, false);
-                assert.equal(requestRetryMock.callCount, 3);
+                assert.equal(requestRetryMock.callCount, 4); // POST, GET, GET events, PUT
                 // Verify PUT call includes status message
                 assert.equal(
-                    requestRetryMock.thirdCall.args[0].json.statusMessage,
+                    requestRetryMock.lastCall.args[0].json.statusMessage,
                     'Waiting for resources to be available.'
                 );
             });
         });
 
+        it('updates build status with the reason the pod is not scheduled yet', () => {
+            requestRetryMock.withArgs(sinon.match({ method: 'GET' })).resolves({
+                statusCode: 200,
+                body: {
+                    status: {
+                        phase: 'Pending',
+                        conditions: [
+                            {
+                                type: 'PodScheduled',
+                                status: 'False',
+                                reason: 'Unschedulable',
+                                message: '0/3 nodes are available: 3 Insufficient memory.'
+                            }
+                        ]
+                    },
+                    spec: {},
+                    metadata: { name: 'testpod' }
+                }
+            });
+            requestRetryMock.withArgs(sinon.match({ url: sinon.match(/events$/) })).resolves({
+                statusCode: 200,
+                body: {
+                    items: [
+                        {
+                            type: 'Warning',
+                            reason: 'FailedScheduling',
+                            lastTimestamp: '2026-10-19T00:00:00Z',
+                            message: '0/3 nodes are available: 3 Insufficient memory.'
+                        },
+                        {
+                            type: 'Warning',
+                            reason: 'FailedScheduling',
+                            lastTimestamp: '2026-10-19T00:01:00Z',
+                            message:
+                                '0/5 nodes are available: 1 node(s) were unschedulable, 2 Insufficient cpu, ' +
+                                "2 node(s) didn't match Pod's node affinity/selector. preemption: 0/5 nodes are " +
+                                'available: 5 Preemption is not helpful for scheduling.'
+                        },
+                        { type: 'Normal', reason: 'Scheduled', message: 'Successfully assigned' }
+                    ]
+                }
+            });
+
+            return executor.start(fakeStartConfig).then(result => {
+                assert.equal(result, false);
+                assert.calledWith(requestRetryMock, {
+                    url: 'https://kubernetes.default/api/v1/namespaces/default/events',
+                    method: 'GET',
+                    headers: { Authorization: 'Bearer api_key' },
+                    https: testHttpsOptions,
+                    searchParams: { fieldSelector: 'involvedObject.name=testpod,involvedObject.kind=Pod' },
+                    throwHttpErrors: false
+                });
+                assert.equal(
+                    requestRetryMock.lastCall.args[0].json.statusMessage,
+                    'Waiting for a node to run the build, none of the 5 nodes fit: 1 cordoned, ' +
+                        "2 with not enough free cpu, 2 not matching the build's node selectors."
+                );
+            });
+        });
+
         it('returns body when request responds with error in response', () => {
             const returnResponse = {
                 statusCode: 500,
@@ -858,33 +1570,1066 @@ describe('index', function () {
     });
 
     describe('periodic', () => {
-        it('resolves to null when calling periodic start', () =>
-            executor.startPeriodic().then(res => assert.isNull(res)));
+        const cronJobsUrl = 'https://kubernetes.default/apis/batch/v1/namespaces/default/cronjobs';
+        let periodicConfig;
 
-        it('resolves to null when calling periodic stop', () =>
-            executor.stopPeriodic().then(res => assert.isNull(res)));
-    });
+        beforeEach(() => {
+            periodicConfig = {
+                apiUri: testApiUri,
+                pipeline: { id: 12345, name: 'd2lam/test' },
+                job: {
+                    id: 777,
+                    name: 'nightly',
+                    state: 'ENABLED',
+                    archived: false,
+                    permutations: [
+                        {
+                            image: testContainer,
+                            annotations: {
+                                'screwdriver.cd/buildPeriodically': 'H 2 * * *',
+                                'screwdriver.cd/buildPeriodicallyTimeZone': 'Asia/Tokyo',
+                                'screwdriver.cd/buildPeriodicallyConcurrencyPolicy': 'Replace'
+                            }
+                        }
+                    ]
+                }
+            };
+            requestRetryMock.resolves({ statusCode: 201, body: {} });
+        });
 
-    describe('frozen', () => {
-        it('resolves to null when calling frozen start', () => executor.startFrozen().then(res => assert.isNull(res)));
+        it('creates a CronJob that starts the job through the Screwdriver API', async () => {
+            const res = await executor.startPeriodic(periodicConfig);
+            const { url, method, json, https } = requestRetryMock.firstCall.args[0];
+            const { template } = json.spec.jobTemplate.spec;
+            const trigger = template.spec.containers[0];
 
-        it('resolves to null when calling frozen stop', () => executor.stopFrozen().then(res => assert.isNull(res)));
-    });
+            assert.isNull(res);
+            assert.calledOnce(requestRetryMock);
+            assert.equal(url, cronJobsUrl);
+            assert.equal(method, 'POST');
+            assert.deepEqual(https, testHttpsOptions);
+            assert.equal(json.kind, 'CronJob');
+            assert.equal(json.metadata.name, 'beta-periodic-777');
+            assert.deepEqual(json.metadata.labels, {
+                app: 'screwdriver',
+                tier: 'periodic',
+                'screwdriver.cd/jobId': '777'
+            });
+            assert.equal(json.spec.schedule, '18 2 * * *');
+            assert.equal(json.spec.timeZone, 'Asia/Tokyo');
+            assert.equal(json.spec.concurrencyPolicy, 'Replace');
+            assert.isUndefined(template.metadata.name);
+            assert.equal(template.metadata.labels.tier, 'periodic');
+            assert.equal(template.metadata.labels['screwdriver.cd/job'], 'nightly');
+            assert.equal(template.spec.restartPolicy, 'OnFailure');
+            assert.lengthOf(template.spec.containers, 1);
+            assert.equal(trigger.image, 'curlimages/curl:8.10.1');
+            assert.deepEqual(trigger.env, [
+                { name: 'SD_API_URI', value: testApiUri },
+                {
+                    name: 'SD_EVENT',
+                    value: JSON.stringify({
+                        pipelineId: 12345,
+                        startFrom: 'nightly',
+                        causeMessage: 'Started by periodic build scheduler',
+                        creator: { name: 'Screwdriver scheduler', username: 'sd:scheduler' }
+                    })
+                },
+                {
+                    name: 'SD_TOKEN',
+                    valueFrom: { secretKeyRef: { name: 'screwdriver-scheduler-token', key: 'token' } }
+                }
+            ]);
+        });
 
-    describe('setNodeSelector', () => {
-        // eslint-disable-next-line no-underscore-dangle
-        const setNodeSelector = index.__get__('setNodeSelector');
+        it('does not apply the build pod patches to the CronJob pod', async () => {
+            executorOptions.kubernetes.podPatches = [
+                { type: 'json', patch: [{ op: 'replace', path: '/spec/containers/1/tty', value: true }] }
+            ];
+            executorOptions.kubernetes.nodeSelectors = { dedicated: 'screwdriver' };
+            executor = new Executor(executorOptions);
 
-        let nodeSelectors;
-        let fakeConfig;
+            await executor.startPeriodic(periodicConfig);
 
-        beforeEach(() => {
-            nodeSelectors = null;
-            fakeConfig = yaml.load(TEST_TIM_YAML);
+            const { template } = requestRetryMock.firstCall.args[0].json.spec.jobTemplate.spec;
+
+            assert.lengthOf(template.spec.containers, 1);
+            assert.notProperty(template.spec, 'volumes');
+            assert.deepEqual(template.spec.tolerations, [
+                { key: 'dedicated', value: 'screwdriver', effect: 'NoSchedule', operator: 'Equal' }
+            ]);
         });
 
-        it('does nothing if nodeSelector is not set', () => {
-            const updatedConfig = JSON.parse(JSON.stringify(fakeConfig));
+        it('defaults to Forbid concurrency policy and no time zone', async () => {
+            periodicConfig.job.permutations[0].annotations = {
+                'beta.screwdriver.cd/buildPeriodically': 'H H * * *',
+                'screwdriver.cd/buildPeriodicallyConcurrencyPolicy': 'Sometimes'
+            };
+
+            await executor.startPeriodic(periodicConfig);
+
+            const { json } = requestRetryMock.firstCall.args[0];
+
+            assert.equal(json.spec.concurrencyPolicy, 'Forbid');
+            assert.notProperty(json.spec, 'timeZone');
+        });
+
+        it('replaces the CronJob when it already exists', async () => {
+            requestRetryMock.withArgs(sinon.match({ method: 'POST' })).resolves({ statusCode: 409, body: {} });
+            requestRetryMock.withArgs(sinon.match({ method: 'PUT' })).resolves({ statusCode: 200, body: {} });
+
+            await executor.startPeriodic(periodicConfig);
+
+            assert.calledTwice(requestRetryMock);
+            assert.calledWith(
+                requestRetryMock.secondCall,
+                sinon.match({ url: `${cronJobsUrl}/beta-periodic-777`, method: 'PUT' })
+            );
+        });
+
+        it('returns error when CronJob cannot be applied', async () => {
+            requestRetryMock.resolves({ statusCode: 422, body: { message: 'invalid schedule' } });
+
+            try {
+                await executor.startPeriodic(periodicConfig);
+                throw new Error('did not fail');
+            } catch (err) {
+                assert.equal(err.message, 'Failed to apply cronjob beta-periodic-777:{"message":"invalid schedule"}');
+            }
+        });
+
+        it('deletes the CronJob when the job is disabled', async () => {
+            periodicConfig.job.state = 'DISABLED';
+            requestRetryMock.resolves({ statusCode: 404, body: {} });
+
+            const res = await executor.startPeriodic(periodicConfig);
+
+            assert.isNull(res);
+            assert.calledOnce(requestRetryMock);
+            assert.calledWith(
+                requestRetryMock,
+                sinon.match({ url: `${cronJobsUrl}/beta-periodic-777`, method: 'DELETE' })
+            );
+        });
+
+        it('deletes the CronJob when calling periodic stop', async () => {
+            requestRetryMock.resolves({ statusCode: 200, body: {} });
+
+            const res = await executor.stopPeriodic({ jobId: 777 });
+
+            assert.isNull(res);
+            assert.calledOnce(requestRetryMock);
+            assert.calledWith(requestRetryMock, {
+                url: `${cronJobsUrl}/beta-periodic-777`,
+                method: 'DELETE',
+                json: { propagationPolicy: 'Background' },
+                headers: { Authorization: 'Bearer api_key' },
+                https: testHttpsOptions,
+                throwHttpErrors: false
+            });
+        });
+
+        it('returns error when CronJob cannot be deleted', async () => {
+            requestRetryMock.resolves({ statusCode: 500, body: { message: 'oops' } });
+
+            try {
+                await executor.stopPeriodic({ jobId: 777 });
+                throw new Error('did not fail');
+            } catch (err) {
+                assert.equal(err.message, 'Failed to delete cronjob beta-periodic-777:{"message":"oops"}');
+            }
+        });
+    });
+
+    describe('frozen', () => {
+        const jobsUrl = 'https://kubernetes.default/apis/batch/v1/namespaces/default/jobs';
+        let clock;
+        let frozenConfig;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers(new Date('2026-10-17T10:30:20Z'));
+            frozenConfig = {
+                buildId: testBuildId,
+                jobId: 777,
+                jobName: 'deploy',
+                container: testContainer,
+                annotations: {},
+                apiUri: testApiUri,
+                token: testToken,
+                pipeline: { id: 12345, name: 'd2lam/test' },
+                // Saturday and Sunday
+                freezeWindows: ['* * ? * SAT,SUN']
+            };
+            requestRetryMock.withArgs(sinon.match({ method: 'DELETE' })).resolves({ statusCode: 200, body: {} });
+            requestRetryMock.withArgs(sinon.match({ method: 'POST' })).resolves({ statusCode: 201, body: {} });
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('creates a Job that starts the job when the freeze windows end', async () => {
+            const res = await executor.startFrozen(frozenConfig);
+            const deleteOptions = requestRetryMock.firstCall.args[0];
+            const { url, json } = requestRetryMock.secondCall.args[0];
+            const trigger = json.spec.template.spec.containers[0];
+
+            assert.isNull(res);
+            assert.calledTwice(requestRetryMock);
+            assert.equal(deleteOptions.url, jobsUrl);
+            assert.deepEqual(deleteOptions.searchParams, { labelSelector: 'tier=frozen,screwdriver.cd/jobId=777' });
+            assert.equal(url, jobsUrl);
+            assert.equal(json.kind, 'Job');
+            assert.equal(json.metadata.name, 'beta-frozen-777-1792368000');
+            assert.deepEqual(json.metadata.labels, {
+                app: 'screwdriver',
+                tier: 'frozen',
+                sdbuild: 'beta_15',
+                'screwdriver.cd/jobId': '777'
+            });
+            assert.equal(json.metadata.annotations['screwdriver.cd/startTime'], '2026-10-19T00:00:00.000Z');
+            assert.equal(json.spec.ttlSecondsAfterFinished, 3600);
+            assert.equal(json.spec.template.metadata.labels.sdbuild, 'beta_15');
+            assert.equal(json.spec.template.metadata.labels.tier, 'frozen');
+            assert.deepEqual(trigger.env[1], {
+                name: 'SD_EVENT',
+                value: JSON.stringify({
+                    buildId: testBuildId,
+                    pipelineId: 12345,
+                    startFrom: 'deploy',
+                    causeMessage: 'Started by freeze window scheduler',
+                    creator: { name: 'Screwdriver scheduler', username: 'sd:scheduler' }
+                })
+            });
+            assert.deepEqual(trigger.env[3], { name: 'SD_START_TIME', value: '1792368000' });
+            assert.match(trigger.command[2], /sleep "\$DELAY"; fi; curl/);
+        });
+
+        it('returns error when the Job cannot be created', async () => {
+            requestRetryMock.withArgs(sinon.match({ method: 'POST' })).resolves({ statusCode: 403, body: 'forbidden' });
+
+            try {
+                await executor.startFrozen(frozenConfig);
+                throw new Error('did not fail');
+            } catch (err) {
+                assert.equal(err.message, 'Failed to create job beta-frozen-777-1792368000:"forbidden"');
+            }
+        });
+
+        it('deletes the Job when calling frozen stop', async () => {
+            const res = await executor.stopFrozen({ jobId: 777 });
+
+            assert.isNull(res);
+            assert.calledOnce(requestRetryMock);
+            assert.calledWith(requestRetryMock, {
+                url: jobsUrl,
+                method: 'DELETE',
+                searchParams: { labelSelector: 'tier=frozen,screwdriver.cd/jobId=777' },
+                json: { propagationPolicy: 'Background' },
+                headers: { Authorization: 'Bearer api_key' },
+                https: testHttpsOptions,
+                throwHttpErrors: false
+            });
+        });
+
+        it('returns error when the Job cannot be deleted', async () => {
+            requestRetryMock.withArgs(sinon.match({ method: 'DELETE' })).resolves({ statusCode: 500, body: 'oops' });
+
+            try {
+                await executor.stopFrozen({ jobId: 777 });
+                throw new Error('did not fail');
+            } catch (err) {
+                assert.equal(err.message, 'Failed to delete jobs:"oops"');
+            }
+        });
+    });
+
+    describe('clusters', () => {
+        const eastPodsUrl = 'https://east.k8s.example.com/api/v1/namespaces/sd-east/pods';
+        const westPodsUrl = 'https://west.k8s.example.com/api/v1/namespaces/default/pods';
+        let fakeConfig;
+
+        beforeEach(() => {
+            executorOptions.prefix = 'beta_';
+            executorOptions.kubernetes.clusters = {
+                east: {
+                    host: 'east.k8s.example.com',
+                    token: 'east_token',
+                    jobsNamespace: 'sd-east',
+                    nodeSelectors: { zone: 'east' },
+                    weight: 3
+                },
+                west: {
+                    host: 'west.k8s.example.com',
+                    token: 'west_token'
+                },
+                gpu: {
+                    host: 'gpu.k8s.example.com',
+                    token: 'gpu_token',
+                    weight: 0
+                }
+            };
+            executorOptions.kubernetes.nodeSelectors = { dedicated: 'screwdriver' };
+            executorOptions.kubernetes.buildTimeout = 30;
+            executor = new Executor(executorOptions);
+            fakeConfig = {
+                annotations: {},
+                buildId: testBuildId,
+                container: testContainer,
+                token: testToken,
+                apiUri: testApiUri
+            };
+            requestRetryMock.withArgs(sinon.match({ method: 'POST' })).resolves({
+                statusCode: 201,
+                body: { metadata: { name: 'testpod' } }
+            });
+            requestRetryMock.withArgs(sinon.match({ method: 'GET' })).resolves({
+                statusCode: 200,
+                body: { status: { phase: 'pending' }, spec: { nodeName: 'node1' }, metadata: { name: 'testpod' } }
+            });
+            requestRetryMock.withArgs(sinon.match({ method: 'PUT' })).resolves({ statusCode: 200 });
+            requestRetryMock.withArgs(sinon.match({ method: 'DELETE' })).resolves({ statusCode: 200 });
+            sinon.stub(Math, 'random').returns(0);
+        });
+
+        afterEach(() => {
+            Math.random.restore();
+        });
+
+        it('creates an executor per cluster which only inherits build options', () => {
+            const { east, west } = executor.clusters;
+
+            assert.equal(east.host, 'east.k8s.example.com');
+            assert.equal(east.token, 'east_token');
+            assert.equal(east.jobsNamespace, 'sd-east');
+            assert.deepEqual(east.nodeSelectors, { zone: 'east' });
+            assert.equal(east.buildTimeout, 30);
+            assert.equal(east.prefix, 'beta_');
+            assert.equal(east.clusterName, 'east');
+            assert.isEmpty(east.clusters);
+            assert.equal(west.jobsNamespace, 'default');
+            assert.isUndefined(west.nodeSelectors);
+            assert.deepEqual(executor.clusterWeights, { east: 3, west: 1, gpu: 0 });
+        });
+
+        it('routes builds by the buildCluster annotation and records the cluster', async () => {
+            fakeConfig.annotations['screwdriver.cd/buildCluster'] = 'gpu';
+
+            await executor.start(fakeConfig);
+
+            assert.calledWith(
+                requestRetryMock.firstCall,
+                sinon.match({
+                    url: 'https://gpu.k8s.example.com/api/v1/namespaces/default/pods',
+                    headers: { Authorization: 'Bearer gpu_token' }
+                })
+            );
+            assert.equal(requestRetryMock.thirdCall.args[0].json.stats.buildCluster, 'gpu');
+            assert.deepEqual(executor.getBuildClusters({ buildId: testBuildId }), ['gpu']);
+        });
+
+        it('routes builds by weight among clusters with a weight', async () => {
+            Math.random.returns(0.8);
+
+            assert.equal(executor.selectCluster(fakeConfig), 'west');
+            Math.random.returns(0.7);
+            assert.equal(executor.selectCluster(fakeConfig), 'east');
+            // unknown clusters use the defaults
+            assert.equal(executor.selectCluster({ buildClusterName: 'unknown', annotations: {} }), 'east');
+            assert.equal(executor.selectCluster({ buildClusterName: 'gpu', annotations: {} }), 'gpu');
+        });
+
+        it('fails over to other clusters when the circuit breaker is open', async () => {
+            sinon.stub(executor.clusters.east.breaker, 'isClosed').returns(false);
+
+            await executor.start(fakeConfig);
+
+            assert.calledWith(requestRetryMock.firstCall, sinon.match({ url: westPodsUrl }));
+            assert.deepEqual(executor.getBuildClusters(fakeConfig), ['west']);
+        });
+
+        it('starts the build on the next cluster when it fails to start on the picked one', async () => {
+            requestRetryMock
+                .withArgs(sinon.match({ url: eastPodsUrl, method: 'POST' }))
+                .resolves({ statusCode: 500, body: 'error' });
+
+            await executor.start(fakeConfig);
+
+            assert.calledWith(requestRetryMock, sinon.match({ url: westPodsUrl, method: 'POST' }));
+            assert.neverCalledWith(requestRetryMock, sinon.match({ url: sinon.match(/gpu/), method: 'POST' }));
+            assert.deepEqual(executor.getBuildClusters(fakeConfig), ['west']);
+
+            // builds naming their cluster only start there
+            fakeConfig.annotations['screwdriver.cd/buildCluster'] = 'east';
+            try {
+                await executor.start(fakeConfig);
+                assert.fail('should not get here');
+            } catch (err) {
+                assert.equal(err.message, 'Failed to create pod:"error"');
+            }
+            assert.calledOnce(requestRetryMock.withArgs(sinon.match({ url: westPodsUrl, method: 'POST' })));
+        });
+
+        it('shares the pod template and garbage collection of the cluster executors', () => {
+            fsMock.readFileSync.resetHistory();
+            executorOptions.kubernetes.gc = { interval: 10 };
+            executor = new Executor(executorOptions);
+
+            try {
+                assert.calledOnce(fsMock.readFileSync.withArgs(sinon.match(/config\/pod.yaml.hbs/)));
+                assert.strictEqual(executor.clusters.east.podTemplate, executor.podTemplate);
+                assert.isDefined(executor.gcTimer);
+                assert.isUndefined(executor.clusters.east.gcTimer);
+            } finally {
+                clearInterval(executor.gcTimer);
+            }
+        });
+
+        it('stops the build on the recorded cluster', async () => {
+            await executor.start(fakeConfig);
+            requestRetryMock.resetHistory();
+
+            await executor.stop(fakeConfig);
+
+            assert.calledWith(requestRetryMock, sinon.match({ url: eastPodsUrl, method: 'DELETE' }));
+            assert.neverCalledWith(requestRetryMock, sinon.match({ url: westPodsUrl }));
+            assert.isEmpty(executor.buildClusters);
+        });
+
+        it('stops the build on all clusters when the cluster is not known', async () => {
+            requestRetryMock.withArgs(sinon.match({ url: westPodsUrl, method: 'DELETE' })).resolves({
+                statusCode: 500,
+                body: 'error'
+            });
+
+            await executor.stop(fakeConfig);
+
+            assert.calledWith(requestRetryMock, sinon.match({ url: eastPodsUrl, method: 'DELETE' }));
+            assert.calledWith(requestRetryMock, sinon.match({ url: westPodsUrl, method: 'DELETE' }));
+            assert.calledWith(
+                requestRetryMock,
+                sinon.match({ url: 'https://gpu.k8s.example.com/api/v1/namespaces/default/pods', method: 'DELETE' })
+            );
+        });
+
+        it('stops the build on the cluster its pods are found on, and fails when it fails there', async () => {
+            requestRetryMock.withArgs(sinon.match({ url: westPodsUrl, method: 'GET' })).resolves({
+                statusCode: 200,
+                body: { items: [{ status: { phase: 'running' }, metadata: { name: 'beta_15-abcde' } }] }
+            });
+            requestRetryMock.withArgs(sinon.match({ url: westPodsUrl, method: 'DELETE' })).resolves({
+                statusCode: 500,
+                body: 'error'
+            });
+
+            try {
+                await executor.stop(fakeConfig);
+                assert.fail('did not fail');
+            } catch (err) {
+                assert.equal(err.message, 'Failed to delete pod:"error"');
+            }
+            assert.neverCalledWith(requestRetryMock, sinon.match({ url: eastPodsUrl, method: 'DELETE' }));
+        });
+
+        it('fails to stop the build when it fails on all clusters', async () => {
+            requestRetryMock.withArgs(sinon.match({ method: 'DELETE' })).resolves({ statusCode: 500, body: 'error' });
+
+            try {
+                await executor.stop(fakeConfig);
+                assert.fail('did not fail');
+            } catch (err) {
+                assert.equal(err.message, 'Failed to delete pod:"error"');
+            }
+        });
+
+        it('verifies the build on the cluster its pods are found on', async () => {
+            requestRetryMock
+                .withArgs(sinon.match({ method: 'GET' }))
+                .resolves({ statusCode: 200, body: { items: [] } });
+            requestRetryMock.withArgs(sinon.match({ url: westPodsUrl, method: 'GET' })).resolves({
+                statusCode: 200,
+                body: { items: [{ status: { phase: 'failed' }, metadata: { name: 'beta_15-abcde' } }] }
+            });
+
+            const message = await executor.verify(fakeConfig);
+
+            assert.equal(message, 'Failed to create pod. Pod status is: failed');
+            assert.deepEqual(executor.getBuildClusters(fakeConfig), ['west']);
+        });
+
+        it('does not record a cluster when no cluster has pods of the build', async () => {
+            requestRetryMock
+                .withArgs(sinon.match({ method: 'GET' }))
+                .resolves({ statusCode: 200, body: { items: [] } });
+            requestRetryMock.withArgs(sinon.match({ url: westPodsUrl, method: 'GET' })).rejects(new Error('timeout'));
+
+            await executor.verify(fakeConfig);
+
+            assert.deepEqual(executor.getBuildClusters(fakeConfig), ['east', 'west', 'gpu']);
+        });
+    });
+
+    describe('collectGarbage', () => {
+        const minutesAgo = minutes => new Date(Date.now() - minutes * 60000).toISOString();
+        const buildPod = (name, buildId, age, extra = {}) => ({
+            metadata: {
+                name,
+                namespace: 'default',
+                creationTimestamp: minutesAgo(age),
+                labels: { app: 'screwdriver', tier: 'builds', sdbuild: `beta_${buildId}` },
+                ...extra
+            }
+        });
+        let pods;
+
+        beforeEach(() => {
+            executorOptions.kubernetes.gc = { token: 'gc_token' };
+            executor = new Executor(executorOptions);
+            pods = [
+                buildPod('beta_1-aaaaa', 1, 10),
+                buildPod('beta_2-bbbbb', 2, 10),
+                buildPod('beta_3-ccccc', 3, 200),
+                buildPod('beta_4-ddddd', 4, 10, { ownerReferences: [{ kind: 'Job', name: 'beta_4' }] }),
+                buildPod('beta_5-eeeee', 5, 10)
+            ];
+            requestRetryMock
+                .withArgs(sinon.match({ method: 'GET', url: podsUrl }))
+                .resolves({ statusCode: 200, body: { items: pods } });
+            requestRetryMock
+                .withArgs(sinon.match({ url: `${testApiUri}/v4/builds/1` }))
+                .resolves({ statusCode: 200, body: { status: 'RUNNING' } });
+            requestRetryMock
+                .withArgs(sinon.match({ url: `${testApiUri}/v4/builds/2` }))
+                .resolves({ statusCode: 200, body: { status: 'ABORTED' } });
+            requestRetryMock
+                .withArgs(sinon.match({ url: `${testApiUri}/v4/builds/4` }))
+                .resolves({ statusCode: 200, body: { status: 'SUCCESS' } });
+            requestRetryMock
+                .withArgs(sinon.match({ url: `${testApiUri}/v4/builds/5` }))
+                .resolves({ statusCode: 404, body: {} });
+            requestRetryMock.withArgs(sinon.match({ method: 'DELETE' })).resolves({ statusCode: 200 });
+        });
+
+        it('deletes pods of finished or removed builds and pods older than the max build timeout', async () => {
+            const deleted = await executor.collectGarbage();
+
+            assert.deepEqual(deleted, ['beta_2-bbbbb', 'beta_3-ccccc', 'beta_4-ddddd', 'beta_5-eeeee']);
+            assert.calledWith(
+                requestRetryMock,
+                sinon.match({
+                    method: 'GET',
+                    url: podsUrl,
+                    searchParams: { labelSelector: 'app=screwdriver,tier=builds' }
+                })
+            );
+            assert.calledWith(
+                requestRetryMock,
+                sinon.match({ url: `${testApiUri}/v4/builds/1`, headers: { Authorization: 'Bearer gc_token' } })
+            );
+            assert.neverCalledWith(requestRetryMock, sinon.match({ url: `${testApiUri}/v4/builds/3` }));
+            assert.neverCalledWith(requestRetryMock, sinon.match({ method: 'DELETE', url: `${podsUrl}/beta_1-aaaaa` }));
+            assert.calledWith(requestRetryMock, sinon.match({ method: 'DELETE', url: `${podsUrl}/beta_2-bbbbb` }));
+            assert.calledWith(
+                requestRetryMock,
+                sinon.match({
+                    method: 'DELETE',
+                    url: 'https://kubernetes.default/apis/batch/v1/namespaces/default/jobs',
+                    searchParams: { labelSelector: 'sdbuild=beta_4' }
+                })
+            );
+        });
+
+        it('leaves old pods of other prefixes alone', async () => {
+            pods.push(
+                buildPod('other_6-fffff', 6, 200, {
+                    labels: { app: 'screwdriver', tier: 'builds', sdbuild: 'other_6' }
+                })
+            );
+
+            assert.notInclude(await executor.collectGarbage(), 'other_6-fffff');
+            assert.neverCalledWith(
+                requestRetryMock,
+                sinon.match({ method: 'DELETE', url: `${podsUrl}/other_6-fffff` })
+            );
+        });
+
+        it('checks the build pods in batches', async () => {
+            const checks = [];
+            const flush = () => new Promise(setImmediate);
+
+            sinon.stub(executor, 'isOrphanedPod').callsFake(
+                () =>
+                    new Promise(resolve => {
+                        checks.push(resolve);
+                    })
+            );
+            _.range(6, 13).forEach(buildId => pods.push(buildPod(`beta_${buildId}-fffff`, buildId, 10)));
+
+            const collected = executor.collectGarbage();
+
+            await flush();
+            assert.lengthOf(checks, 10);
+            checks.splice(0).forEach(resolve => resolve(false));
+            await flush();
+            assert.lengthOf(checks, 2);
+            checks.forEach(resolve => resolve(false));
+            assert.deepEqual(await collected, []);
+        });
+
+        it('only deletes old pods without an API token', async () => {
+            delete executorOptions.kubernetes.gc.token;
+            executor = new Executor(executorOptions);
+
+            assert.deepEqual(await executor.collectGarbage(), ['beta_3-ccccc']);
+            assert.neverCalledWith(requestRetryMock, sinon.match({ url: sinon.match(/v4\/builds/) }));
+        });
+
+        it('does not create hostPath cleanup pods when the finished ones cannot be deleted', async () => {
+            executorOptions.kubernetes.gc = { hostPathCleanup: true };
+            executor = new Executor(executorOptions);
+            requestRetryMock
+                .withArgs(sinon.match({ method: 'DELETE', searchParams: { labelSelector: 'app=screwdriver,tier=gc' } }))
+                .resolves({ statusCode: 403, body: { reason: 'Forbidden' } });
+
+            try {
+                await executor.collectGarbage();
+                assert.fail('should not get here');
+            } catch (err) {
+                assert.equal(err.message, 'Failed to delete hostPath cleanup pods:{"reason":"Forbidden"}');
+            }
+            assert.neverCalledWith(requestRetryMock, sinon.match({ method: 'POST' }));
+        });
+
+        it('runs a hostPath cleanup pod on each build node', async () => {
+            executorOptions.kubernetes.gc = { hostPathCleanup: true, maxPodAge: 60 };
+            executorOptions.kubernetes.nodeSelectors = { dedicated: 'screwdriver' };
+            executorOptions.ecosystem.cache = { strategy: 'disk', path: '/opt/sdcache' };
+            executor = new Executor(executorOptions);
+            requestRetryMock
+                .withArgs(sinon.match({ url: 'https://kubernetes.default/api/v1/nodes' }))
+                .resolves({ statusCode: 200, body: { items: [{ metadata: { name: 'node1' } }] } });
+            requestRetryMock.withArgs(sinon.match({ method: 'POST' })).resolves({ statusCode: 201 });
+
+            await executor.collectGarbage();
+
+            assert.calledWith(
+                requestRetryMock,
+                sinon.match({
+                    method: 'DELETE',
+                    url: podsUrl,
+                    searchParams: { labelSelector: 'app=screwdriver,tier=gc' }
+                })
+            );
+            assert.calledWith(
+                requestRetryMock,
+                sinon.match({ searchParams: { labelSelector: 'dedicated=screwdriver' } })
+            );
+            const { spec, metadata } = requestRetryMock.withArgs(sinon.match({ method: 'POST' })).firstCall.args[0]
+                .json;
+
+            assert.deepEqual(metadata, { generateName: 'beta_gc-', labels: { app: 'screwdriver', tier: 'gc' } });
+            assert.equal(spec.nodeName, 'node1');
+            assert.equal(spec.containers[0].image, 'busybox:1.36.1');
+            assert.deepEqual(spec.containers[0].command, [
+                '/bin/sh',
+                '-c',
+                "find /opt/screwdriver -mindepth 1 -maxdepth 1 -name 'tmp_*' -mmin +60 -exec rm -rf {} +; " +
+                    'find /sdeventcache -mindepth 2 -maxdepth 2 -mmin +1440 -exec rm -rf {} +'
+            ]);
+            assert.deepEqual(
+                spec.volumes.map(v => v.hostPath.path),
+                ['/opt/screwdriver', '/opt/sdcache/beta_/events']
+            );
+            assert.deepInclude(spec.tolerations, {
+                key: 'dedicated',
+                value: 'screwdriver',
+                effect: 'NoSchedule',
+                operator: 'Equal'
+            });
+        });
+
+        it('collects garbage periodically until cleaned up', async () => {
+            const clock = sinon.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] });
+
+            try {
+                executorOptions.kubernetes.gc = { interval: 10 };
+                executor = new Executor(executorOptions);
+                sinon.stub(executor, 'collectGarbage').resolves([]);
+
+                clock.tick(10 * 60000);
+                assert.calledOnce(executor.collectGarbage);
+
+                await executor.cleanUp();
+                clock.tick(10 * 60000);
+                assert.calledOnce(executor.collectGarbage);
+            } finally {
+                clock.restore();
+            }
+        });
+    });
+
+    describe('createPodConfig', () => {
+        let fakeConfig;
+
+        beforeEach(() => {
+            fsMock.readFileSync.withArgs(sinon.match(/config\/pod.yaml.hbs/)).returns(POD_TEMPLATE);
+            executorOptions.kubernetes.dockerFeatureEnabled = true;
+            fakeConfig = {
+                buildId: testBuildId,
+                eventId: 1,
+                container: testContainer,
+                token: testToken,
+                annotations: { 'screwdriver.cd/dockerEnabled': true }
+            };
+        });
+
+        it('sets cpu and memory requests of the build and dind containers', () => {
+            executorOptions.kubernetes.resources = { cpu: { requestRatio: 0.5 }, memory: { request: { low: 0.5 } } };
+            executor = new Executor(executorOptions);
+
+            const podConfig = executor.createPodConfig(fakeConfig);
+
+            podConfig.spec.containers.forEach(container => {
+                assert.deepEqual(container.resources, {
+                    limits: { cpu: '2000m', memory: '2048Mi' },
+                    requests: { cpu: '1000m', memory: '512Mi' }
+                });
+            });
+            assert.isUndefined(podConfig.spec.initContainers[0].resources);
+        });
+
+        it('renders memory limits of custom quantities in MiB', () => {
+            executor = new Executor(executorOptions);
+            fakeConfig.annotations['screwdriver.cd/ram'] = '308Mi';
+            fakeConfig.annotations['screwdriver.cd/dockerRam'] = '0.3';
+
+            const [build, dind] = executor.createPodConfig(fakeConfig).spec.containers;
+
+            assert.equal(build.resources.limits.memory, '308Mi');
+            assert.equal(dind.resources.limits.memory, '308Mi');
+        });
+
+        it('keeps the disk cache path of the builds in the directory of the prefix', () => {
+            executorOptions.ecosystem.cache = { strategy: 'disk', path: '/opt/sdcache' };
+            executor = new Executor(executorOptions);
+
+            const cachePaths = () =>
+                executor
+                    .createPodConfig(fakeConfig)
+                    .spec.volumes.filter(v => /^sd-.*-cache$/.test(v.name))
+                    .map(v => v.hostPath.path.split('/').slice(0, 4).join('/'));
+
+            assert.deepEqual(cachePaths(), ['/opt/sdcache/beta_', '/opt/sdcache/beta_', '/opt/sdcache/beta_']);
+            assert.deepEqual(cachePaths(), ['/opt/sdcache/beta_', '/opt/sdcache/beta_', '/opt/sdcache/beta_']);
+        });
+
+        it('sets the priority class of PR, pipeline, annotated and other builds', () => {
+            executorOptions.kubernetes.priorityClasses = {
+                pr: 'sd-pr',
+                nonPr: 'sd-main',
+                pipelines: { 12: 'sd-deploy' },
+                annotation: { low: 'sd-low' }
+            };
+            executor = new Executor(executorOptions);
+
+            const priorityClassName = config =>
+                executor.createPodConfig({ ...fakeConfig, ...config }).spec.priorityClassName;
+            const prToken = jwt.sign({ prParentJobId: 7 }, 'secret');
+
+            assert.equal(priorityClassName({ jobName: 'PR-5:main', token: prToken }), 'sd-pr');
+            assert.equal(priorityClassName({ jobName: 'PR-6:main', token: prToken, pipeline: { id: 12 } }), 'sd-pr');
+            assert.equal(priorityClassName({ jobName: 'main', pipeline: { id: 12 } }), 'sd-deploy');
+            assert.equal(priorityClassName({ annotations: { 'screwdriver.cd/priority': 'low' } }), 'sd-low');
+            assert.equal(priorityClassName({ annotations: { 'screwdriver.cd/priority': 'urgent' } }), 'sd-main');
+            assert.equal(priorityClassName({ jobName: 'main' }), 'sd-main');
+
+            executorOptions.kubernetes.priorityClasses = {};
+            executor = new Executor(executorOptions);
+            assert.isUndefined(priorityClassName({ jobName: 'main' }));
+        });
+
+        it('applies the default or annotated security profile to the pod and its containers', () => {
+            const restricted = {
+                pod: { runAsNonRoot: true, runAsUser: 1000, fsGroup: 1000, seccompProfile: { type: 'RuntimeDefault' } },
+                container: { allowPrivilegeEscalation: false, capabilities: { drop: ['ALL'] } }
+            };
+
+            executorOptions.kubernetes.privileged = true;
+            executorOptions.kubernetes.dockerFeatureEnabled = true;
+            executorOptions.kubernetes.securityProfiles = {
+                profiles: { baseline: { container: { capabilities: { drop: ['NET_RAW'] } } }, restricted },
+                default: 'baseline',
+                allowed: ['restricted']
+            };
+            executor = new Executor(executorOptions);
+
+            let podConfig = executor.createPodConfig(fakeConfig);
+
+            assert.isUndefined(podConfig.spec.securityContext);
+            assert.deepEqual(
+                [...podConfig.spec.initContainers, ...podConfig.spec.containers].map(c => c.securityContext),
+                [
+                    { capabilities: { drop: ['NET_RAW'] } },
+                    { privileged: true, capabilities: { drop: ['NET_RAW'] } },
+                    { privileged: true, capabilities: { drop: ['NET_RAW'] } }
+                ]
+            );
+            assert.deepEqual(_.map(podConfig.spec.containers, 'name'), ['beta_15', 'dind']);
+
+            podConfig = executor.createPodConfig({
+                ...fakeConfig,
+                annotations: { 'screwdriver.cd/securityProfile': 'restricted' }
+            });
+            assert.deepEqual(podConfig.spec.securityContext, restricted.pod);
+            assert.deepEqual(podConfig.spec.containers[0].securityContext, {
+                privileged: false,
+                ...restricted.container
+            });
+            assert.deepEqual(podConfig.spec.initContainers[0].securityContext, restricted.container);
+
+            assert.throws(
+                () =>
+                    executor.createPodConfig({
+                        ...fakeConfig,
+                        annotations: {
+                            'screwdriver.cd/securityProfile': 'restricted',
+                            'screwdriver.cd/dockerEnabled': true
+                        }
+                    }),
+                /^Security profile restricted does not allow the privileged container dind of the build/
+            );
+
+            executorOptions.kubernetes.securityProfiles.default = 'unknown';
+            assert.throws(
+                () => new Executor(executorOptions),
+                'kubernetes.securityProfiles.default is an unknown profile: unknown'
+            );
+        });
+
+        it('sets launcher resources in Guaranteed QoS mode', () => {
+            executorOptions.kubernetes.resources = { guaranteedQos: true };
+            executor = new Executor(executorOptions);
+
+            const podConfig = executor.createPodConfig(fakeConfig);
+
+            assert.deepEqual(podConfig.spec.initContainers[0].resources, {
+                limits: { cpu: '2000m', memory: '2048Mi' },
+                requests: { cpu: '2000m', memory: '2048Mi' }
+            });
+        });
+
+        it('renders a custom pod template with helpers and partials', () => {
+            executorOptions.kubernetes.podTemplatePath = '/etc/screwdriver/pod.yaml.hbs';
+            executorOptions.kubernetes.templateHelpers = { upper: value => `${value}`.toUpperCase() };
+            executorOptions.kubernetes.templatePartials = { spec: '/etc/screwdriver/spec.hbs' };
+            fsMock.readFileSync
+                .withArgs('/etc/screwdriver/pod.yaml.hbs')
+                .returns(
+                    [
+                        'metadata:',
+                        '  name: {{upper build_id_with_prefix}}',
+                        'spec:',
+                        '{{> spec}}',
+                        '  containers:',
+                        '  - name: build',
+                        '    image: {{container}}',
+                        '    cpu: {{resources.cpu}}',
+                        '    tty: {{lookup annotations "screwdriver.cd/dockerEnabled"}}'
+                    ].join('\n')
+                );
+            fsMock.readFileSync.withArgs('/etc/screwdriver/spec.hbs').returns('  hostname: disk-{{disk}}\n');
+            fsMock.readFileSync.resetHistory();
+            executor = new Executor(executorOptions);
+
+            const podConfig = executor.createPodConfig(fakeConfig);
+
+            executor.createPodConfig(fakeConfig);
+            assert.calledOnce(fsMock.readFileSync.withArgs('/etc/screwdriver/pod.yaml.hbs'));
+            assert.equal(podConfig.metadata.name, 'BETA_15');
+            assert.equal(podConfig.spec.hostname, 'disk-LOW');
+            assert.deepEqual(podConfig.spec.containers[0], {
+                name: 'build',
+                image: testContainer,
+                cpu: 2000,
+                tty: true
+            });
+            assert.notCalled(fsMock.readFileSync.withArgs(sinon.match(/config\/pod.yaml.hbs/)));
+        });
+
+        it('adds the service containers of the job', () => {
+            executorOptions.kubernetes.services = { allowedImages: ['postgres:*'] };
+            executor = new Executor(executorOptions);
+            fakeConfig.annotations['screwdriver.cd/services'] = [
+                { name: 'postgres', image: 'postgres:16', env: { POSTGRES_PASSWORD: 'test' }, ports: [5432] }
+            ];
+
+            const podConfig = executor.createPodConfig(fakeConfig);
+
+            assert.deepEqual(
+                podConfig.spec.containers.slice(1).map(c => c.name),
+                ['dind', 'svc-postgres']
+            );
+            assert.include(podConfig.spec.containers[2], { image: 'postgres:16', imagePullPolicy: 'Always' });
+
+            // invalid services are reported as invalid annotations and left out
+            fakeConfig.annotations['screwdriver.cd/services'] = '[{ "name": "db", "image": "mysql:8" }]';
+            assert.deepEqual(
+                executor.createPodConfig(fakeConfig).spec.containers.map(c => c.name),
+                ['beta_15', 'dind']
+            );
+            assert.include(
+                executor.checkAnnotations(fakeConfig),
+                'Service db: image mysql:8 is not allowed, allowed images: postgres:*, using no services'
+            );
+        });
+
+        it('applies the pod patches matching the build', () => {
+            executorOptions.kubernetes.podPatches = [
+                { patch: { spec: { priorityClassName: 'builds', containers: [{ name: 'dind', tty: true }] } } },
+                {
+                    selector: { jobName: '^deploy', annotations: { 'screwdriver.cd/dockerEnabled': 'true' } },
+                    type: 'json',
+                    patch: [{ op: 'add', path: '/spec/initContainers/-', value: { name: 'setup', image: 'alpine' } }]
+                }
+            ];
+            executor = new Executor(executorOptions);
+
+            let podConfig = executor.createPodConfig(fakeConfig);
+
+            assert.equal(podConfig.spec.priorityClassName, 'builds');
+            assert.isTrue(podConfig.spec.containers.find(c => c.name === 'dind').tty);
+            assert.lengthOf(podConfig.spec.initContainers, 1);
+
+            podConfig = executor.createPodConfig({ ...fakeConfig, jobName: 'deploy-prod' });
+            assert.deepEqual(podConfig.spec.initContainers[1], { name: 'setup', image: 'alpine' });
+        });
+
+        it('fails on pod patches which do not apply', () => {
+            executorOptions.kubernetes.podPatches = [{ type: 'json', patch: [{ op: 'remove', path: '/spec/foo' }] }];
+            executor = new Executor(executorOptions);
+
+            assert.throws(
+                () => executor.createPodConfig(fakeConfig),
+                'Failed to apply kubernetes.podPatches[0]: operation 0 (remove /spec/foo) failed: Cannot perform the operation'
+            );
+            executorOptions.kubernetes.podPatches = [{ type: 'strategic', patch: {} }];
+            assert.throws(
+                () => new Executor(executorOptions),
+                'kubernetes.podPatches[0] has an unknown type strategic'
+            );
+        });
+
+        it('fails to create the executor with an invalid pod template', () => {
+            executorOptions.kubernetes.podTemplatePath = '/etc/screwdriver/pod.yaml.hbs';
+            fsMock.readFileSync.withArgs('/etc/screwdriver/pod.yaml.hbs').returns('metadata:\n  name: {{name}\n');
+
+            assert.throws(() => new Executor(executorOptions), /Parse error on line 2/);
+        });
+
+        it('does not limit ephemeral storage by default', () => {
+            executor = new Executor(executorOptions);
+            const podConfig = executor.createPodConfig(fakeConfig);
+
+            assert.notProperty(podConfig.spec.containers[0].resources.limits, 'ephemeral-storage');
+            podConfig.spec.volumes
+                .filter(v => ['workspace', 'dind-storage'].includes(v.name))
+                .forEach(v => assert.deepEqual(v.emptyDir, {}));
+        });
+
+        it('limits ephemeral storage to the size of the disk tier', () => {
+            executorOptions.kubernetes.resources = { disk: { turbo: 200, low: 20 } };
+            executor = new Executor(executorOptions);
+            fakeConfig.annotations['screwdriver.cd/disk'] = 'TURBO';
+
+            const podConfig = executor.createPodConfig(fakeConfig);
+            const { resources } = podConfig.spec.containers[0];
+            const volumes = podConfig.spec.volumes.filter(v => ['workspace', 'dind-storage'].includes(v.name));
+
+            assert.equal(resources.limits['ephemeral-storage'], '200Gi');
+            assert.equal(resources.requests['ephemeral-storage'], '200Gi');
+            assert.lengthOf(volumes, 2);
+            volumes.forEach(v => assert.deepEqual(v.emptyDir, { sizeLimit: '200Gi' }));
+            assert.equal(podConfig.metadata.labels['screwdriver.cd/disk'], 'TURBO');
+        });
+    });
+
+    describe('getResources', () => {
+        it('uses limits as requests by default', () => {
+            assert.deepEqual(executor.getResources({ cpu: 'HIGH', ram: 'TURBO', dockerCpu: 'MICRO' }), {
+                cpu: 6000,
+                cpuRequest: 6000,
+                memory: 16,
+                memoryRequest: 16,
+                docker: { cpu: 500, cpuRequest: 500, memory: 2, memoryRequest: 2 },
+                buildkit: { cpu: 2000, cpuRequest: 2000, memory: 2, memoryRequest: 2 }
+            });
+        });
+
+        it('computes requests from per tier ratios and explicit values', () => {
+            executorOptions.kubernetes.resources = {
+                cpu: { requestRatio: { turbo: 0.5, micro: 0.001 }, request: { low: 1, high: 8 } },
+                memory: { requestRatio: 0.5, request: { turbo: 4 } }
+            };
+            executor = new Executor(executorOptions);
+
+            assert.deepEqual(executor.getResources({ cpu: 'TURBO', ram: 'TURBO' }), {
+                cpu: 12000,
+                cpuRequest: 6000,
+                memory: 16,
+                memoryRequest: 4,
+                docker: { cpu: 2000, cpuRequest: 1000, memory: 2, memoryRequest: 1 },
+                buildkit: { cpu: 2000, cpuRequest: 1000, memory: 2, memoryRequest: 1 }
+            });
+            // explicit requests are capped at the limit and at least 1m
+            assert.include(executor.getResources({ cpu: 'HIGH', ram: 'MICRO' }), {
+                cpu: 6000,
+                cpuRequest: 6000,
+                memory: 1,
+                memoryRequest: 0.5
+            });
+            assert.include(executor.getResources({ cpu: 'MICRO' }), { cpu: 500, cpuRequest: 1 });
+            // custom values are not overcommitted by per tier ratios
+            assert.include(executor.getResources({ cpu: 4, ram: 8 }), {
+                cpu: 4000,
+                cpuRequest: 4000,
+                memory: 8,
+                memoryRequest: 4
+            });
+        });
+
+        it('sets requests equal to limits in Guaranteed QoS mode', () => {
+            executorOptions.kubernetes.resources = {
+                guaranteedQos: true,
+                cpu: { requestRatio: 0.5 },
+                memory: { request: { low: 1 } }
+            };
+            executor = new Executor(executorOptions);
+
+            assert.deepEqual(executor.getResources({ dockerRam: 'HIGH' }), {
+                cpu: 2000,
+                cpuRequest: 2000,
+                memory: 2,
+                memoryRequest: 2,
+                docker: { cpu: 2000, cpuRequest: 2000, memory: 12, memoryRequest: 12 },
+                buildkit: { cpu: 2000, cpuRequest: 2000, memory: 2, memoryRequest: 2 }
+            });
+        });
+    });
+
+    describe('setNodeSelector', () => {
+        // eslint-disable-next-line no-underscore-dangle
+        const setNodeSelector = index.__get__('setNodeSelector');
+
+        let nodeSelectors;
+        let fakeConfig;
+
+        beforeEach(() => {
+            nodeSelectors = null;
+            fakeConfig = yaml.load(TEST_TIM_YAML);
+        });
+
+        it('does nothing if nodeSelector is not set', () => {
+            const updatedConfig = JSON.parse(JSON.stringify(fakeConfig));
 
             setNodeSelector(fakeConfig, nodeSelectors);
             assert.deepEqual(fakeConfig, updatedConfig);
@@ -992,7 +2737,7 @@ describe('index', function () {
                 headers: {
                     Authorization: 'Bearer api_key'
                 },
-                https: { rejectUnauthorized: false },
+                https: testHttpsOptions,
                 searchParams: {
                     labelSelector: `sdbuild=beta_${testBuildId}`
                 }
@@ -1023,12 +2768,241 @@ describe('index', function () {
             assert.calledWith(requestRetryMock, sinon.match(getPodsConfig));
         });
 
+        it('gets pods in the resolved namespace', async () => {
+            executorOptions.kubernetes.namespaces = { annotations: { gpu: 'sd-gpu' } };
+            executor = new Executor(executorOptions);
+            executor.podWatcher = { synced: true, getPodsByBuild: sinon.stub().returns([]) };
+            fakeVerifyConfig.annotations = { 'screwdriver.cd/namespace': 'gpu' };
+
+            await executor.verify(fakeVerifyConfig);
+
+            // the watch cache only holds pods of jobsNamespace
+            assert.notCalled(executor.podWatcher.getPodsByBuild);
+            assert.calledWith(
+                requestRetryMock,
+                sinon.match({ ...getPodsConfig, url: 'https://kubernetes.default/api/v1/namespaces/sd-gpu/pods' })
+            );
+        });
+
+        it('updates build status with the reason the pod is not scheduled yet', async () => {
+            fakeGetPodsResponse.body.items[0].spec = {};
+            fakeGetPodsResponse.body.items[0].status.conditions = [
+                {
+                    type: 'PodScheduled',
+                    status: 'False',
+                    reason: 'Unschedulable',
+                    message: '0/2 nodes are available: pod has unbound immediate PersistentVolumeClaims.'
+                }
+            ];
+            requestRetryMock.withArgs(sinon.match({ url: sinon.match(/events$/) })).resolves({
+                statusCode: 403,
+                body: { reason: 'Forbidden' }
+            });
+            requestRetryMock.withArgs(sinon.match({ method: 'PUT' })).resolves({ statusCode: 200 });
+
+            const actualMessage = await executor.verify(fakeVerifyConfig);
+
+            assert.equal(actualMessage, 'waiting');
+            assert.calledWith(
+                requestRetryMock,
+                sinon.match({
+                    url: `${testApiUri}/v4/builds/${testBuildId}`,
+                    method: 'PUT',
+                    json: { statusMessage: 'Waiting for a volume claim of the build to be bound.' }
+                })
+            );
+        });
+
+        it('reads pods from the watch cache when it is synced', async () => {
+            executor.podWatcher = {
+                synced: true,
+                getPodsByBuild: sinon.stub().returns([
+                    {
+                        status: { phase: 'running' },
+                        spec: { nodeName: 'node1.my.k8s.cluster.com' },
+                        metadata: { name: 'beta_15-achb' }
+                    }
+                ])
+            };
+
+            const actualMessage = await executor.verify(fakeVerifyConfig);
+
+            assert.equal(actualMessage, '');
+            assert.calledWith(executor.podWatcher.getPodsByBuild, 'beta_15');
+            assert.neverCalledWith(requestRetryMock, sinon.match({ method: 'GET' }));
+        });
+
+        it('gets pods from the API when the watch cache has none yet', async () => {
+            executor.podWatcher = { synced: true, getPodsByBuild: sinon.stub().returns([]) };
+
+            await executor.verify(fakeVerifyConfig);
+
+            assert.calledWith(executor.podWatcher.getPodsByBuild, 'beta_15');
+            assert.calledWith(requestRetryMock, sinon.match(getPodsConfig));
+        });
+
+        it('does not create the pod of a build without one when quota check is not set', async () => {
+            fakeGetPodsResponse.body.items = [];
+
+            assert.equal(await executor.verify(fakeVerifyConfig), '');
+            assert.calledOnce(requestRetryMock);
+            assert.calledWith(requestRetryMock, sinon.match(getPodsConfig));
+        });
+
+        it('does not create the pod again once stop deleted it', async () => {
+            executorOptions.kubernetes.quota = { check: true };
+            executor = new Executor(executorOptions);
+            fakeGetPodsResponse.body.items = [];
+            requestRetryMock.withArgs(sinon.match({ url: `${testApiUri}/v4/builds/${testBuildId}` })).resolves({
+                statusCode: 200,
+                body: {
+                    status: 'ABORTED',
+                    statusMessage:
+                        'Waiting for namespace quota: quota builds of namespace default has not enough limits.cpu ' +
+                        '(the build needs 2, 7 of 8 used). The build will start when enough quota is free.'
+                }
+            });
+
+            assert.equal(await executor.verify(fakeVerifyConfig), '');
+            assert.neverCalledWith(requestRetryMock, sinon.match({ method: 'POST' }));
+            assert.neverCalledWith(requestRetryMock, sinon.match({ method: 'PUT' }));
+        });
+
+        describe('with Job workload', () => {
+            const jobsUrl = 'https://kubernetes.default/apis/batch/v1/namespaces/default/jobs';
+            let fakeGetJobsResponse;
+
+            beforeEach(() => {
+                executorOptions.kubernetes.workloadKind = 'job';
+                executor = new Executor(executorOptions);
+                fakeGetJobsResponse = {
+                    statusCode: 200,
+                    body: {
+                        items: [{ metadata: { name: 'beta_15' }, status: { active: 1 } }]
+                    }
+                };
+                requestRetryMock.withArgs(sinon.match({ url: jobsUrl, method: 'GET' })).resolves(fakeGetJobsResponse);
+            });
+
+            it('returns message when the Job failed', async () => {
+                fakeGetJobsResponse.body.items[0].status = {
+                    conditions: [{ type: 'Failed', status: 'True', reason: 'BackoffLimitExceeded' }]
+                };
+
+                const actualMessage = await executor.verify(fakeVerifyConfig);
+
+                assert.equal(actualMessage, 'Failed to run job. Job status is: failed, reason: BackoffLimitExceeded');
+                assert.calledWith(
+                    requestRetryMock,
+                    sinon.match({ url: jobsUrl, searchParams: { labelSelector: 'sdbuild=beta_15' } })
+                );
+            });
+
+            it('explains Jobs which ran past their deadline', async () => {
+                fakeGetJobsResponse.body.items[0].status = {
+                    conditions: [{ type: 'Failed', status: 'True', reason: 'DeadlineExceeded' }]
+                };
+                fakeVerifyConfig.annotations = { 'screwdriver.cd/timeout': 45 };
+                requestRetryMock.withArgs(sinon.match({ method: 'PUT' })).resolves({ statusCode: 200 });
+
+                const actualMessage = await executor.verify(fakeVerifyConfig);
+
+                assert.equal(
+                    actualMessage,
+                    'Build ran past its deadline of 45 minutes and was stopped. ' +
+                        'Please speed up the build or raise its screwdriver.cd/timeout annotation.'
+                );
+                assert.calledWith(
+                    requestRetryMock,
+                    sinon.match({ method: 'PUT', json: { stats: { terminationReason: 'DeadlineExceeded' } } })
+                );
+            });
+
+            it('ignores failed pods which are replaced by the Job', async () => {
+                fakeGetPodsResponse.body.items.unshift({
+                    status: { phase: 'failed' },
+                    spec: { nodeName: 'node2.my.k8s.cluster.com' },
+                    metadata: { name: 'beta_15-lost' }
+                });
+
+                const actualMessage = await executor.verify(fakeVerifyConfig);
+
+                assert.equal(actualMessage, 'initializing');
+            });
+
+            it('does not ignore pods evicted for exceeding their disk limit', async () => {
+                fakeGetPodsResponse.body.items[0].status = {
+                    phase: 'Failed',
+                    reason: 'Evicted',
+                    message: 'Usage of EmptyDir volume "workspace" exceeds the limit "20Gi".'
+                };
+
+                const actualMessage = await executor.verify(fakeVerifyConfig);
+
+                assert.match(actualMessage, /^Build was evicted for using more disk than the LOW disk tier allows/);
+            });
+
+            it('returns "waiting" with the FailedCreate events of the Job when it has no pod yet', async () => {
+                fakeGetPodsResponse.body.items = [];
+                fakeGetJobsResponse.body.items[0].metadata.name = 'beta_15-abcde';
+                requestRetryMock.withArgs(sinon.match({ url: sinon.match(/events$/) })).resolves({
+                    statusCode: 200,
+                    body: {
+                        items: [
+                            {
+                                type: 'Warning',
+                                reason: 'FailedCreate',
+                                message:
+                                    'Error creating: pods "beta_15-abcde-x" is forbidden: exceeded quota: builds, ' +
+                                    'requested: limits.cpu=2, used: limits.cpu=7, limited: limits.cpu=8'
+                            }
+                        ]
+                    }
+                });
+                requestRetryMock.withArgs(sinon.match({ method: 'PUT' })).resolves({ statusCode: 200 });
+
+                const actualMessage = await executor.verify(fakeVerifyConfig);
+
+                assert.equal(actualMessage, 'waiting');
+                assert.calledWith(
+                    requestRetryMock,
+                    sinon.match({
+                        searchParams: { fieldSelector: 'involvedObject.name=beta_15-abcde,involvedObject.kind=Job' }
+                    })
+                );
+                assert.match(
+                    requestRetryMock.withArgs(sinon.match({ method: 'PUT' })).lastCall.args[0].json.statusMessage,
+                    /^Waiting for namespace quota: quota builds has not enough limits.cpu/
+                );
+            });
+        });
+
+        it('returns message when pod was evicted for exceeding its disk limit', async () => {
+            fakeGetPodsResponse.body.items[0].metadata.labels = { 'screwdriver.cd/disk': 'HIGH' };
+            fakeGetPodsResponse.body.items[0].status = {
+                phase: 'Failed',
+                reason: 'Evicted',
+                message: 'Pod ephemeral local storage usage exceeds the total limit of containers 50Gi.'
+            };
+
+            const actualMessage = await executor.verify(fakeVerifyConfig);
+
+            assert.equal(
+                actualMessage,
+                'Build was evicted for using more disk than the HIGH disk tier allows: ' +
+                    'Pod ephemeral local storage usage exceeds the total limit of containers 50Gi. ' +
+                    'Please reduce the disk usage of the build or request a larger disk with the ' +
+                    'screwdriver.cd/disk annotation.'
+            );
+        });
+
         it('return message when pod waiting reason is CrashLoopBackOff', async () => {
             const pod = {
                 status: {
                     phase: 'pending',
                     containerStatuses: [
                         {
+                            name: 'beta_15',
                             state: {
                                 waiting: {
                                     reason: 'CrashLoopBackOff',
@@ -1042,7 +3016,9 @@ describe('index', function () {
 
             fakeGetPodsResponse.body.items.push(pod);
 
-            const expectedMessage = 'Build failed to start. Please reach out to your cluster admin for help.';
+            const expectedMessage =
+                'Build failed to start. Please reach out to your cluster admin for help. ' +
+                'Container beta_15 failed (CrashLoopBackOff): crash loop backoff';
 
             requestRetryMock.withArgs(getPodsConfig).resolves(fakeGetPodsResponse);
 
@@ -1057,6 +3033,7 @@ describe('index', function () {
                     phase: 'pending',
                     containerStatuses: [
                         {
+                            name: 'beta_15',
                             state: {
                                 waiting: {
                                     reason: 'CreateContainerConfigError',
@@ -1070,7 +3047,9 @@ describe('index', function () {
 
             fakeGetPodsResponse.body.items.push(pod);
 
-            const expectedMessage = 'Build failed to start. Please reach out to your cluster admin for help.';
+            const expectedMessage =
+                'Build failed to start. Please reach out to your cluster admin for help. ' +
+                'Container beta_15 failed (CreateContainerConfigError): create container config error';
 
             requestRetryMock.withArgs(getPodsConfig).resolves(fakeGetPodsResponse);
 
@@ -1085,6 +3064,7 @@ describe('index', function () {
                     phase: 'pending',
                     containerStatuses: [
                         {
+                            name: 'beta_15',
                             state: {
                                 waiting: {
                                     reason: 'CreateContainerError',
@@ -1098,7 +3078,9 @@ describe('index', function () {
 
             fakeGetPodsResponse.body.items.push(pod);
 
-            const expectedMessage = 'Build failed to start. Please reach out to your cluster admin for help.';
+            const expectedMessage =
+                'Build failed to start. Please reach out to your cluster admin for help. ' +
+                'Container beta_15 failed (CreateContainerError): create container error';
 
             requestRetryMock.withArgs(getPodsConfig).resolves(fakeGetPodsResponse);
 
@@ -1113,6 +3095,7 @@ describe('index', function () {
                     phase: 'pending',
                     containerStatuses: [
                         {
+                            name: 'beta_15',
                             state: {
                                 waiting: {
                                     reason: 'ErrImagePull',
@@ -1141,6 +3124,7 @@ describe('index', function () {
                     phase: 'pending',
                     containerStatuses: [
                         {
+                            name: 'beta_15',
                             state: {
                                 waiting: {
                                     reason: 'ImagePullBackOff',
@@ -1169,6 +3153,7 @@ describe('index', function () {
                     phase: 'pending',
                     containerStatuses: [
                         {
+                            name: 'beta_15',
                             state: {
                                 waiting: {
                                     reason: 'InvalidImageName',
@@ -1197,6 +3182,7 @@ describe('index', function () {
                     phase: 'pending',
                     containerStatuses: [
                         {
+                            name: 'beta_15',
                             state: {
                                 waiting: {
                                     reason: 'StartError',
@@ -1210,7 +3196,9 @@ describe('index', function () {
 
             fakeGetPodsResponse.body.items.push(pod);
 
-            const expectedMessage = 'Build failed to start. Please reach out to your cluster admin for help.';
+            const expectedMessage =
+                'Build failed to start. Please reach out to your cluster admin for help. ' +
+                'Container beta_15 failed (StartError): mount path errors';
 
             requestRetryMock.withArgs(getPodsConfig).resolves(fakeGetPodsResponse);
 
@@ -1225,6 +3213,7 @@ describe('index', function () {
                     phase: 'failed',
                     containerStatuses: [
                         {
+                            name: 'beta_15',
                             state: {
                                 terminated: {
                                     reason: 'Error'
@@ -1237,7 +3226,7 @@ describe('index', function () {
 
             fakeGetPodsResponse.body.items.push(pod);
 
-            const expectedMessage = 'Failed to create pod. Pod status is: failed';
+            const expectedMessage = 'Failed to create pod. Pod status is: failed Container beta_15 failed (Error)';
 
             requestRetryMock.withArgs(getPodsConfig).resolves(fakeGetPodsResponse);
 
@@ -1246,6 +3235,393 @@ describe('index', function () {
             assert.equal(expectedMessage, actualMessage);
         });
 
+        it('adds termination details and last log lines of the failed container', async () => {
+            executorOptions.kubernetes.failureLogLines = 20;
+            executor = new Executor(executorOptions);
+            const pod = {
+                metadata: { name: 'beta_15-abcde' },
+                status: {
+                    phase: 'Failed',
+                    initContainerStatuses: [
+                        {
+                            name: 'launcher-beta_15',
+                            state: { terminated: { reason: 'Error', exitCode: 1, message: 'cp: no space left' } }
+                        }
+                    ],
+                    containerStatuses: [{ name: 'beta_15', state: { waiting: { reason: 'PodInitializing' } } }]
+                }
+            };
+
+            fakeGetPodsResponse.body.items = [pod];
+            requestRetryMock
+                .withArgs(sinon.match({ url: `${podsUrl}/beta_15-abcde/log` }))
+                .resolves({ statusCode: 200, body: 'copying launcher\ncp: no space left on device\n' });
+            requestRetryMock.withArgs(sinon.match({ method: 'PUT' })).resolves({ statusCode: 200 });
+
+            const message = await executor.verify(fakeVerifyConfig);
+
+            assert.equal(
+                message,
+                'Build failed to start, the launcher init container launcher-beta_15 failed (Error). ' +
+                    'Please reach out to your cluster admin for help. Container launcher-beta_15 terminated with ' +
+                    'exit code 1 (Error): cp: no space left. Last log lines:\ncopying launcher\ncp: no space left on device'
+            );
+            assert.calledWith(
+                requestRetryMock,
+                sinon.match({
+                    method: 'GET',
+                    searchParams: { container: 'launcher-beta_15', tailLines: 20 },
+                    responseType: 'text'
+                })
+            );
+            assert.calledWith(
+                requestRetryMock,
+                sinon.match({
+                    method: 'PUT',
+                    json: {
+                        stats: {
+                            failedContainer: 'launcher-beta_15',
+                            failureReason: 'Error',
+                            failureExitCode: 1,
+                            failureMessage: 'cp: no space left'
+                        }
+                    }
+                })
+            );
+        });
+
+        it('reads the logs of the previous run of a crash looping container', async () => {
+            executorOptions.kubernetes.failureLogLines = 20;
+            executor = new Executor(executorOptions);
+            const pod = {
+                metadata: { name: 'beta_15-abcde' },
+                status: {
+                    phase: 'Running',
+                    containerStatuses: [
+                        {
+                            name: 'beta_15',
+                            state: { waiting: { reason: 'CrashLoopBackOff', message: 'back-off 5m0s' } },
+                            lastState: { terminated: { reason: 'Error', exitCode: 127 } }
+                        }
+                    ]
+                }
+            };
+
+            fakeGetPodsResponse.body.items = [pod];
+            requestRetryMock
+                .withArgs(sinon.match({ url: `${podsUrl}/beta_15-abcde/log` }))
+                .resolves({ statusCode: 400, body: 'previous terminated container not found' });
+            requestRetryMock.withArgs(sinon.match({ method: 'PUT' })).resolves({ statusCode: 200 });
+
+            const message = await executor.verify(fakeVerifyConfig);
+
+            assert.equal(
+                message,
+                'Build failed to start. Please reach out to your cluster admin for help. ' +
+                    'Container beta_15 terminated with exit code 127 (Error)'
+            );
+            assert.calledWith(
+                requestRetryMock,
+                sinon.match({ searchParams: { container: 'beta_15', tailLines: 20, previous: true } })
+            );
+        });
+
+        it('returns message naming a crashed dind or buildkit sidecar of a running pod', async () => {
+            const pod = {
+                metadata: { name: 'beta_15-abcde' },
+                status: {
+                    phase: 'Running',
+                    containerStatuses: [
+                        { name: 'beta_15', state: { running: {} } },
+                        { name: 'dind', state: { terminated: { reason: 'Error', exitCode: 1 } } }
+                    ]
+                },
+                spec: { nodeName: 'node1.my.k8s.cluster.com' }
+            };
+
+            fakeGetPodsResponse.body.items = [pod];
+            requestRetryMock
+                .withArgs(sinon.match({ url: `${podsUrl}/beta_15-abcde/log` }))
+                .resolves({ statusCode: 200, body: '' });
+            requestRetryMock.withArgs(sinon.match({ method: 'PUT' })).resolves({ statusCode: 200 });
+
+            assert.equal(
+                await executor.verify(fakeVerifyConfig),
+                'Docker in Docker sidecar container dind of the build failed (Error). Please check the ' +
+                    'dockerCpu and dockerRam annotations of the job or reach out to your cluster admin for help. ' +
+                    'Container dind terminated with exit code 1 (Error)'
+            );
+            // logs are not masked like the build logs, so they are only read when enabled
+            assert.neverCalledWith(requestRetryMock, sinon.match({ url: `${podsUrl}/beta_15-abcde/log` }));
+
+            pod.status.containerStatuses[1] = {
+                name: 'buildkitd',
+                state: { waiting: { reason: 'ImagePullBackOff', message: 'Back-off pulling image' } }
+            };
+
+            assert.equal(
+                await executor.verify(fakeVerifyConfig),
+                'BuildKit sidecar container buildkitd of the build failed (ImagePullBackOff). ' +
+                    'Please reach out to your cluster admin for help.'
+            );
+        });
+
+        it('returns message naming a failed service container', async () => {
+            executorOptions.kubernetes.failureLogLines = 20;
+            executor = new Executor(executorOptions);
+            fakeGetPodsResponse.body.items = [
+                {
+                    metadata: { name: 'beta_15-abcde' },
+                    status: {
+                        phase: 'Running',
+                        containerStatuses: [
+                            { name: 'beta_15', state: { running: {} } },
+                            {
+                                name: 'svc-postgres',
+                                state: { waiting: { reason: 'CrashLoopBackOff' } },
+                                lastState: { terminated: { reason: 'Error', exitCode: 1, message: 'no password' } }
+                            }
+                        ]
+                    },
+                    spec: { nodeName: 'node1.my.k8s.cluster.com' }
+                }
+            ];
+            requestRetryMock
+                .withArgs(sinon.match({ url: `${podsUrl}/beta_15-abcde/log` }))
+                .resolves({ statusCode: 200, body: 'Error: Database is uninitialized\n' });
+            requestRetryMock.withArgs(sinon.match({ method: 'PUT' })).resolves({ statusCode: 200 });
+
+            assert.equal(
+                await executor.verify(fakeVerifyConfig),
+                'Service container svc-postgres of the build failed (CrashLoopBackOff). Please check the image, ' +
+                    'env and tier of the postgres service in the screwdriver.cd/services annotation of the job. ' +
+                    'Container svc-postgres terminated with exit code 1 (Error): no password. Last log lines:\n' +
+                    'Error: Database is uninitialized'
+            );
+        });
+
+        it('explains builds killed for running out of memory and records the reason', async () => {
+            const pod = {
+                metadata: { name: 'beta_15-abcde' },
+                spec: {
+                    nodeName: 'node1.my.k8s.cluster.com',
+                    containers: [{ name: 'beta_15', resources: { limits: { memory: '2Gi' } } }]
+                },
+                status: {
+                    phase: 'Failed',
+                    containerStatuses: [
+                        { name: 'beta_15', state: { terminated: { reason: 'OOMKilled', exitCode: 137 } } }
+                    ]
+                }
+            };
+
+            fakeGetPodsResponse.body.items = [pod];
+            requestRetryMock
+                .withArgs(sinon.match({ url: `${podsUrl}/beta_15-abcde/log` }))
+                .resolves({ statusCode: 200, body: '' });
+            requestRetryMock.withArgs(sinon.match({ method: 'PUT' })).resolves({ statusCode: 200 });
+
+            assert.equal(
+                await executor.verify(fakeVerifyConfig),
+                'Container beta_15 of the build ran out of memory (limit: 2Gi) and was killed. Please reduce the ' +
+                    'memory usage of the build or request more memory with the screwdriver.cd/ram annotation. ' +
+                    'Container beta_15 terminated with exit code 137 (OOMKilled)'
+            );
+            assert.calledWith(
+                requestRetryMock,
+                sinon.match({
+                    method: 'PUT',
+                    json: {
+                        stats: { terminationReason: 'OOMKilled', failedContainer: 'beta_15', failureExitCode: 137 }
+                    }
+                })
+            );
+        });
+
+        it('explains preempted builds before their pod fails', async () => {
+            const pod = {
+                metadata: { name: 'beta_15-abcde' },
+                spec: { nodeName: 'node1.my.k8s.cluster.com' },
+                status: {
+                    phase: 'Running',
+                    conditions: [{ type: 'DisruptionTarget', status: 'True', reason: 'PreemptionByScheduler' }],
+                    containerStatuses: [{ name: 'beta_15', state: { running: {} } }]
+                }
+            };
+
+            fakeGetPodsResponse.body.items = [pod];
+            requestRetryMock.withArgs(sinon.match({ method: 'PUT' })).resolves({ statusCode: 200 });
+
+            assert.equal(
+                await executor.verify(fakeVerifyConfig),
+                'Build was preempted to make room for a higher priority workload on its node. Please restart the build.'
+            );
+            assert.calledWith(
+                requestRetryMock,
+                sinon.match({ method: 'PUT', json: { stats: { terminationReason: 'Preempted' } } })
+            );
+        });
+
+        describe('with pending deadlines', () => {
+            const minutesAgo = minutes => new Date(Date.now() - minutes * 60000).toISOString();
+            let pod;
+
+            beforeEach(() => {
+                executorOptions.kubernetes.unscheduledTimeout = 30;
+                executorOptions.kubernetes.initializationTimeout = 10;
+                executor = new Executor(executorOptions);
+                pod = {
+                    metadata: { name: 'beta_15-abcde', creationTimestamp: minutesAgo(45) },
+                    spec: {},
+                    status: {
+                        phase: 'Pending',
+                        conditions: [
+                            {
+                                type: 'PodScheduled',
+                                status: 'False',
+                                message: '0/3 nodes are available: 3 Insufficient memory.'
+                            }
+                        ]
+                    }
+                };
+                fakeGetPodsResponse.body.items = [pod];
+                requestRetryMock.withArgs(sinon.match({ method: 'DELETE' })).resolves({ statusCode: 200 });
+                requestRetryMock.withArgs(sinon.match({ method: 'PUT' })).resolves({ statusCode: 200 });
+            });
+
+            it('stops builds which could not be scheduled in time', async () => {
+                assert.equal(
+                    await executor.verify(fakeVerifyConfig),
+                    'Build could not be scheduled within 30 minutes and was stopped. Waiting for a node to run ' +
+                        'the build, none of the 3 nodes fit: 3 with not enough free memory.'
+                );
+                assert.calledWith(
+                    requestRetryMock,
+                    sinon.match({ method: 'DELETE', url: podsUrl, searchParams: { labelSelector: 'sdbuild=beta_15' } })
+                );
+            });
+
+            it('stops builds which did not start in time on their node', async () => {
+                pod.spec.nodeName = 'node1.my.k8s.cluster.com';
+                pod.status.conditions = [{ type: 'PodScheduled', status: 'True', lastTransitionTime: minutesAgo(12) }];
+                pod.status.containerStatuses = [
+                    { name: 'beta_15', state: { waiting: { reason: 'PodInitializing' } } },
+                    { name: 'dind', state: { waiting: { reason: 'ContainerCreating' } } }
+                ];
+
+                assert.equal(
+                    await executor.verify(fakeVerifyConfig),
+                    'Build did not start within 10 minutes on node node1.my.k8s.cluster.com and was stopped. ' +
+                        'Containers still waiting: beta_15 (PodInitializing), dind (ContainerCreating). Please check ' +
+                        'that the images of the build can be pulled, or reach out to your cluster admin for help.'
+                );
+                assert.calledWith(requestRetryMock, sinon.match({ method: 'DELETE', url: podsUrl }));
+            });
+
+            it('keeps waiting before the deadlines', async () => {
+                pod.metadata.creationTimestamp = minutesAgo(20);
+
+                assert.equal(await executor.verify(fakeVerifyConfig), 'waiting');
+
+                pod.spec.nodeName = 'node1.my.k8s.cluster.com';
+                pod.status.conditions = [{ type: 'PodScheduled', status: 'True', lastTransitionTime: minutesAgo(5) }];
+
+                assert.equal(await executor.verify(fakeVerifyConfig), 'initializing');
+                assert.neverCalledWith(requestRetryMock, sinon.match({ method: 'DELETE' }));
+            });
+        });
+
+        describe('with pods lost before the build started', () => {
+            let lostPod;
+
+            beforeEach(() => {
+                fakeVerifyConfig.annotations = {};
+                lostPod = {
+                    metadata: {
+                        name: 'beta_15-abcde',
+                        uid: '1234',
+                        labels: { sdbuild: 'beta_15' },
+                        annotations: { 'screwdriver.cd/cluster': 'east' }
+                    },
+                    spec: {
+                        nodeName: 'node1.my.k8s.cluster.com',
+                        containers: [{ name: 'beta_15', image: 'node:20' }]
+                    },
+                    status: {
+                        phase: 'Failed',
+                        reason: 'Evicted',
+                        message: 'The node was low on resource: memory.',
+                        containerStatuses: [{ name: 'beta_15', state: { waiting: { reason: 'PodInitializing' } } }]
+                    }
+                };
+                fakeGetPodsResponse.body.items = [lostPod];
+                requestRetryMock.withArgs(sinon.match({ method: 'DELETE' })).resolves({ statusCode: 200 });
+                requestRetryMock
+                    .withArgs(sinon.match({ method: 'POST' }))
+                    .resolves({ statusCode: 201, body: { metadata: { name: 'beta_15-fghij' } } });
+                requestRetryMock.withArgs(sinon.match({ method: 'PUT' })).resolves({ statusCode: 200 });
+            });
+
+            it('recreates the pod and records the attempt', async () => {
+                assert.equal(await executor.verify(fakeVerifyConfig), 'waiting');
+                assert.calledWith(requestRetryMock, sinon.match({ method: 'DELETE', url: `${podsUrl}/beta_15-abcde` }));
+                assert.calledWith(requestRetryMock, sinon.match({ method: 'POST', url: podsUrl }));
+
+                const { json } = requestRetryMock.withArgs(sinon.match({ method: 'POST' })).lastCall.args[0];
+
+                assert.match(json.metadata.name, /^beta_15-[a-z0-9]{5}$/);
+                assert.deepEqual(json, {
+                    apiVersion: 'v1',
+                    kind: 'Pod',
+                    metadata: {
+                        name: json.metadata.name,
+                        labels: { 'screwdriver.cd/attempt': '2', sdbuild: 'beta_15' },
+                        annotations: { 'screwdriver.cd/cluster': 'east' }
+                    },
+                    spec: { containers: [{ name: 'beta_15', image: 'node:20' }] }
+                });
+                assert.calledWith(
+                    requestRetryMock,
+                    sinon.match({
+                        method: 'PUT',
+                        json: {
+                            statusMessage:
+                                'Build was evicted from its node: The node was low on resource: memory. Please ' +
+                                'restart the build, or reduce its resource usage if this happens again. ' +
+                                'Recreated the build pod (attempt 2 of 2).',
+                            stats: { podAttempts: 2, terminationReason: 'Evicted' }
+                        }
+                    })
+                );
+            });
+
+            it('only checks pods of the latest attempt', async () => {
+                fakeGetPodsResponse.body.items.push({
+                    metadata: { name: 'beta_15-fghij', labels: { 'screwdriver.cd/attempt': '2' } },
+                    status: { phase: 'Pending' }
+                });
+
+                assert.equal(await executor.verify(fakeVerifyConfig), 'waiting');
+                assert.neverCalledWith(requestRetryMock, sinon.match({ method: 'DELETE' }));
+            });
+
+            it('fails the build when the pod retries are used up', async () => {
+                lostPod.metadata.labels['screwdriver.cd/attempt'] = '2';
+
+                assert.match(await executor.verify(fakeVerifyConfig), /^Build was evicted from its node/);
+                assert.neverCalledWith(requestRetryMock, sinon.match({ method: 'POST' }));
+            });
+
+            it('does not recreate pods whose build container started', async () => {
+                lostPod.status.containerStatuses[0].state = {
+                    terminated: { exitCode: 137, startedAt: '2026-10-19T00:00:00Z' }
+                };
+
+                assert.match(await executor.verify(fakeVerifyConfig), /^Build was evicted from its node/);
+                assert.neverCalledWith(requestRetryMock, sinon.match({ method: 'POST' }));
+            });
+        });
+
         it('return message when pod status is failed', async () => {
             const pod = {
                 status: {
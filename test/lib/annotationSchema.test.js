@@ -0,0 +1,181 @@
+'use strict';
+
+const { assert } = require('chai');
+const annotationSchema = require('../../lib/annotationSchema');
+
+describe('annotationSchema', () => {
+    const limits = {
+        maxCpu: 12,
+        maxMemory: 16,
+        maxBuildTimeout: 120,
+        priorities: ['low', 'high'],
+        services: { allowedImages: ['postgres:*'] }
+    };
+
+    describe('validate', () => {
+        it('normalizes valid values', () => {
+            assert.deepEqual(
+                annotationSchema.validate(
+                    {
+                        'screwdriver.cd/cpu': 'high',
+                        'beta.screwdriver.cd/ram': 8,
+                        'screwdriver.cd/timeout': '60',
+                        'screwdriver.cd/dockerEnabled': 'true',
+                        'screwdriver.cd/terminationGracePeriodSeconds': 0,
+                        'screwdriver.cd/buildPeriodically': 'H H(0-5) * * *',
+                        'screwdriver.cd/buildPeriodicallyTimeZone': 'Asia/Tokyo',
+                        'screwdriver.cd/services': [{ name: 'db', image: 'postgres:16' }],
+                        'screwdriver.cd/repoManifest': 'not read by the executor'
+                    },
+                    limits
+                ),
+                {
+                    annotations: {
+                        cpu: 'HIGH',
+                        ram: 8,
+                        timeout: 60,
+                        dockerEnabled: true,
+                        terminationGracePeriodSeconds: 0,
+                        buildPeriodically: 'H H(0-5) * * *',
+                        buildPeriodicallyTimeZone: 'Asia/Tokyo',
+                        services: [{ name: 'db', image: 'postgres:16' }]
+                    },
+                    issues: []
+                }
+            );
+            assert.deepEqual(annotationSchema.validate(undefined, limits), { annotations: {}, issues: [] });
+        });
+
+        it('caps values over their limit with a warning', () => {
+            assert.deepEqual(
+                annotationSchema.validate({ 'screwdriver.cd/cpu': 40, 'screwdriver.cd/timeout': 600 }, limits),
+                {
+                    annotations: { cpu: 12, timeout: 120 },
+                    issues: [
+                        {
+                            annotation: 'screwdriver.cd/cpu',
+                            value: 40,
+                            severity: 'warning',
+                            message: 'cpu 40 exceeds max 12, capped'
+                        },
+                        {
+                            annotation: 'screwdriver.cd/timeout',
+                            value: 600,
+                            severity: 'warning',
+                            message: 'timeout 600 exceeds max 120, capped'
+                        }
+                    ]
+                }
+            );
+        });
+
+        it('accepts decimals and quantities for cpu and memory within their bounds', () => {
+            const { annotations, issues } = annotationSchema.validate(
+                {
+                    'screwdriver.cd/cpu': 1.5,
+                    'screwdriver.cd/ram': '512Mi',
+                    'screwdriver.cd/dockerCpu': '500m',
+                    'screwdriver.cd/dockerRam': '2.5',
+                    'screwdriver.cd/buildkitCpu': '100m',
+                    'screwdriver.cd/buildkitRam': '64Mi'
+                },
+                { ...limits, minCpu: 0.25, minMemory: 0.125 }
+            );
+
+            assert.deepEqual(annotations, {
+                cpu: 1.5,
+                ram: 0.5,
+                dockerCpu: 0.5,
+                dockerRam: 2.5,
+                buildkitCpu: 0.25,
+                buildkitRam: 0.125
+            });
+            assert.deepEqual(
+                issues.map(i => i.message),
+                ['buildkitCpu 100m is below min 0.25, raised', 'buildkitRam 64Mi is below min 0.125, raised']
+            );
+        });
+
+        it('leaves out invalid values with an error', () => {
+            const { annotations, issues } = annotationSchema.validate(
+                {
+                    'screwdriver.cd/cpu': 0,
+                    'screwdriver.cd/dockerCpu': '2Gi',
+                    'screwdriver.cd/ram': '-1',
+                    'screwdriver.cd/dockerEnabled': 'yes',
+                    'screwdriver.cd/priority': 'urgent',
+                    'screwdriver.cd/buildPeriodically': 'H H * *',
+                    'screwdriver.cd/buildPeriodicallyTimeZone': 'Mars/Olympus_Mons',
+                    'screwdriver.cd/buildPeriodicallyConcurrencyPolicy': 'Queue',
+                    'screwdriver.cd/services': { name: 'db' }
+                },
+                limits
+            );
+
+            assert.deepEqual(annotations, {});
+            assert.deepEqual(
+                issues.map(i => [i.severity, i.message]),
+                [
+                    ['error', 'cpu 0 must be more than 0, using LOW'],
+                    ['error', 'ram -1 must be more than 0, using LOW'],
+                    ['error', 'dockerEnabled yes is not true or false, using false'],
+                    [
+                        'error',
+                        'dockerCpu 2Gi is not one of MAX, TURBO, HIGH, LOW, MICRO or cores, e.g.: 1.5 or 500m, using LOW'
+                    ],
+                    ['error', 'priority urgent is not one of low, high, using the default priority'],
+                    [
+                        'error',
+                        'buildPeriodically H H * * is invalid: H H * * does not have exactly 5 fields, ' +
+                            'using no periodic builds'
+                    ],
+                    [
+                        'error',
+                        'buildPeriodicallyTimeZone Mars/Olympus_Mons is invalid: Invalid time zone specified: ' +
+                            'Mars/Olympus_Mons, using the cluster time zone'
+                    ],
+                    [
+                        'error',
+                        'buildPeriodicallyConcurrencyPolicy Queue is not one of Allow, Forbid, Replace, using Forbid'
+                    ],
+                    [
+                        'error',
+                        'services {"name":"db"} is invalid: screwdriver.cd/services annotation must be a list of ' +
+                            'services, using no services'
+                    ]
+                ]
+            );
+        });
+
+        it('checks services against the services options', () => {
+            const check = list => annotationSchema.validate({ 'screwdriver.cd/services': list }, limits).issues;
+
+            assert.deepEqual(check([{ name: 'db', image: 'postgres:16', tier: 'HIGH', ports: [5432] }]), []);
+            assert.deepEqual(
+                [
+                    check([{ name: 'db', image: 'mysql:8' }]),
+                    check([{ name: 'db', image: 'postgres:16', tier: 'MAX' }]),
+                    check([{ name: 'db', image: 'postgres:16', ports: [2375] }])
+                ].map(([issue]) => issue.message),
+                [
+                    'services [{"name":"db","image":"mysql:8"}] is invalid: Service db: image mysql:8 is not allowed, ' +
+                        'allowed images: postgres:*, using no services',
+                    'services [{"name":"db","image":"postgres:16","tier":"MAX"}] is invalid: Service db: tier MAX ' +
+                        'is not one of MICRO, LOW, HIGH, using no services',
+                    'services [{"name":"db","image":"postgres:16","ports":[2375]}] is invalid: Service db: port 2375 ' +
+                        'is invalid or reserved, using no services'
+                ]
+            );
+        });
+    });
+
+    describe('formatIssues', () => {
+        it('lists the issues', () => {
+            assert.equal(annotationSchema.formatIssues([]), '');
+            assert.equal(
+                annotationSchema.formatIssues([{ message: 'cpu 40 exceeds max 12, capped' }, { message: 'b' }]),
+                'Invalid annotations: cpu 40 exceeds max 12, capped; b.'
+            );
+        });
+    });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const { assert } = require('chai');
+const cron = require('../../lib/cron');
+
+describe('cron', () => {
+    describe('transform', () => {
+        it('replaces H with a value hashed from the job id like the API scheduler', () => {
+            assert.equal(cron.transform('H H(0-5) * * H/2', 777), '18 0 * * 3/2');
+            assert.equal(cron.transform('H(30-39) H 1,H ? *', 777), '38 18 1,28 ? *');
+        });
+
+        it('always hashes the minute unless it is a H range', () => {
+            assert.equal(cron.transform('0 */2 1-15 * MON', 777), '18 */2 1-15 * MON');
+        });
+
+        it('throws when a H range is out of the range of its field', () => {
+            assert.throws(
+                () => cron.transform('H H(20-25) * * *', 777),
+                'H(20-25) has an invalid range, expected range 0-23'
+            );
+        });
+
+        it('throws when the expression does not have 5 fields', () => {
+            assert.throws(() => cron.transform('H * * *', 777), 'H * * * does not have exactly 5 fields');
+        });
+    });
+
+    describe('timeOutOfWindows', () => {
+        // Friday
+        const date = new Date('2026-10-16T22:45:00Z');
+        const isFrozen = (freezeWindow, at = date) =>
+            cron.timeOutOfWindows([freezeWindow], at).getTime() !== at.getTime();
+
+        it('matches wildcards, ranges, lists and steps', () => {
+            assert.isTrue(isFrozen('*/15 20-23 ? OCT FRI'));
+            assert.isTrue(isFrozen('5/20 22 1,16 * ?'));
+            assert.isFalse(isFrozen('*/20 * * * *'));
+            assert.isFalse(isFrozen('* 0-21 * * *'));
+            assert.isFalse(isFrozen('* * * * SAT-SUN'));
+        });
+
+        it('matches day of month or day of week when both are restricted', () => {
+            assert.isTrue(isFrozen('* * 1 * 5'));
+            assert.isTrue(isFrozen('* * 16 * 1'));
+            assert.isFalse(isFrozen('* * 1 * 1'));
+        });
+
+        it('treats 7 as Sunday', () => {
+            assert.isTrue(isFrozen('* * * * 7', new Date('2026-10-18T00:00:00Z')));
+        });
+
+        it('returns the same minute when not in a freeze window', () => {
+            const time = cron.timeOutOfWindows(['* * * * SAT'], new Date('2026-10-16T22:45:30Z'));
+
+            assert.equal(time.toISOString(), '2026-10-16T22:45:00.000Z');
+        });
+
+        it('returns the first minute after all freeze windows', () => {
+            const time = cron.timeOutOfWindows(['* 22-23 * * *', '* * * * SAT,SUN'], new Date('2026-10-16T22:45:30Z'));
+
+            assert.equal(time.toISOString(), '2026-10-19T00:00:00.000Z');
+        });
+
+        it('skips the hours, days and months matched by freeze windows at once', () => {
+            const time = cron.timeOutOfWindows(['0-29 * * * *', '* * * 12 *'], new Date('2026-12-05T10:15:00Z'));
+
+            assert.equal(time.toISOString(), '2027-01-01T00:30:00.000Z');
+            assert.equal(
+                cron.timeOutOfWindows(['0-29 * * * *'], new Date('2026-10-16T22:15:00Z')).toISOString(),
+                '2026-10-16T22:30:00.000Z'
+            );
+        });
+
+        it('throws when there is no time outside of the freeze windows', () => {
+            assert.throws(
+                () => cron.timeOutOfWindows(['* * * * *'], new Date('2026-10-16T22:45:30Z')),
+                'No time outside of freeze windows * * * * * within a year'
+            );
+            assert.throws(
+                () => cron.timeOutOfWindows(['*/2 * * * *', '1-59/2 * * * *'], new Date('2026-10-16T22:45:30Z')),
+                'No time outside of freeze windows */2 * * * *, 1-59/2 * * * * found until 2026-10-23T21:25:00.000Z'
+            );
+        });
+    });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const { assert } = require('chai');
+const NamespaceResolver = require('../../lib/namespaceResolver');
+
+describe('NamespaceResolver', () => {
+    let resolver;
+
+    beforeEach(() => {
+        resolver = new NamespaceResolver({
+            defaultNamespace: 'sd-builds',
+            pipelines: { 1234: 'team-a' },
+            scmOrgs: { 'screwdriver-cd': 'sd-{{scm_org}}' },
+            annotations: { gpu: 'sd-gpu' },
+            template: 'sd-{{pipeline_id}}'
+        });
+    });
+
+    it('is disabled without mappings or template', () => {
+        assert.isFalse(new NamespaceResolver({ defaultNamespace: 'sd-builds' }).isEnabled());
+        assert.isTrue(new NamespaceResolver({ defaultNamespace: 'sd-builds', scmOrgs: { org: 'ns' } }).isEnabled());
+        assert.isTrue(resolver.isEnabled());
+    });
+
+    it('returns the default namespace when nothing matches', () => {
+        resolver = new NamespaceResolver({ defaultNamespace: 'sd-builds', pipelines: { 1234: 'team-a' } });
+
+        assert.equal(resolver.resolve({ pipeline: { id: 1 } }), 'sd-builds');
+        assert.equal(resolver.resolve({}), 'sd-builds');
+    });
+
+    it('prefers pipeline over annotation, SCM organization and template', () => {
+        const config = {
+            pipeline: { id: 1234, name: 'screwdriver-cd/executor-k8s' },
+            annotations: { 'screwdriver.cd/namespace': 'gpu' }
+        };
+
+        assert.equal(resolver.resolve(config), 'team-a');
+        assert.equal(resolver.resolve({ ...config, pipeline: { id: 1, name: 'screwdriver-cd/ui' } }), 'sd-gpu');
+        assert.equal(resolver.resolve({ pipeline: { id: 1, name: 'screwdriver-cd/ui' } }), 'sd-screwdriver-cd');
+        assert.equal(resolver.resolve({ pipeline: { id: 1, name: 'other/ui' } }), 'sd-1');
+    });
+
+    it('reads pipelineId and beta annotations from stop configs', () => {
+        assert.equal(resolver.resolve({ pipelineId: 1234 }), 'team-a');
+        assert.equal(
+            resolver.resolve({ pipelineId: 1, annotations: { 'beta.screwdriver.cd/namespace': 'gpu' } }),
+            'sd-gpu'
+        );
+    });
+
+    it('ignores annotation values which are not mapped', () => {
+        assert.equal(
+            resolver.resolve({ pipelineId: 5, annotations: { 'screwdriver.cd/namespace': 'kube-system' } }),
+            'sd-5'
+        );
+    });
+
+    it('sanitizes rendered namespaces', () => {
+        resolver = new NamespaceResolver({ defaultNamespace: 'sd-builds', template: 'SD_{{scm_org}}_' });
+
+        assert.equal(resolver.resolve({ pipeline: { id: 1, name: 'My.Org/repo' } }), 'sd-my-org');
+        assert.equal(
+            new NamespaceResolver({ defaultNamespace: 'sd-builds', template: '{{scm_org}}' }).resolve({
+                pipelineId: 1
+            }),
+            'sd-builds'
+        );
+    });
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+const { assert } = require('chai');
+const podPatches = require('../../lib/podPatches');
+
+describe('podPatches', () => {
+    const pod = {
+        metadata: { labels: { app: 'screwdriver', 'a/b': 'c' } },
+        spec: {
+            containers: [
+                { name: 'build', image: 'node:22', env: [{ name: 'A', value: '1' }] },
+                { name: 'dind', image: 'docker:dind' }
+            ]
+        }
+    };
+
+    describe('applyJsonPatch', () => {
+        it('applies the operations to a copy of the document', () => {
+            const patched = podPatches.applyJsonPatch(pod, [
+                { op: 'test', path: '/spec/containers/0/name', value: 'build' },
+                { op: 'add', path: '/spec/containers/-', value: { name: 'sidecar' } },
+                { op: 'add', path: '/spec/containers/0', value: { name: 'first' } },
+                { op: 'replace', path: '/spec/containers/1/image', value: 'node:20' },
+                { op: 'remove', path: '/metadata/labels/a~1b' },
+                { op: 'copy', from: '/metadata/labels', path: '/metadata/annotations' },
+                { op: 'move', from: '/spec/containers/2', path: '/spec/initContainers' }
+            ]);
+
+            assert.deepEqual(patched, {
+                metadata: { labels: { app: 'screwdriver' }, annotations: { app: 'screwdriver' } },
+                spec: {
+                    containers: [
+                        { name: 'first' },
+                        { name: 'build', image: 'node:20', env: [{ name: 'A', value: '1' }] },
+                        { name: 'sidecar' }
+                    ],
+                    initContainers: { name: 'dind', image: 'docker:dind' }
+                }
+            });
+            assert.equal(pod.spec.containers[0].image, 'node:22');
+            assert.lengthOf(pod.spec.containers, 2);
+        });
+
+        it('fails on missing paths and failed tests', () => {
+            const fails = (operations, message) =>
+                assert.throws(() => podPatches.applyJsonPatch(pod, operations), `failed: ${message}`);
+
+            fails([{ op: 'replace', path: '/spec/volumes', value: [] }], 'Cannot perform the operation at a path');
+            fails([{ op: 'add', path: '/spec/foo/bar', value: 1 }], 'Cannot perform an `add` operation');
+            fails([{ op: 'add', path: '/spec/containers/3', value: {} }], 'The specified index MUST NOT be greater');
+            assert.throws(
+                () =>
+                    podPatches.applyJsonPatch(pod, [
+                        { op: 'add', path: '/spec/hostNetwork', value: false },
+                        { op: 'test', path: '/spec/containers/0/name', value: 'x' }
+                    ]),
+                'operation 1 (test /spec/containers/0/name) failed: Test operation failed'
+            );
+            assert.notProperty(pod.spec, 'hostNetwork');
+        });
+    });
+
+    describe('applyMergePatch', () => {
+        it('merges objects and lists of named objects, and removes null fields', () => {
+            const patched = podPatches.applyMergePatch(pod, {
+                metadata: { labels: { 'a/b': null, tier: 'builds' } },
+                spec: {
+                    priorityClassName: 'builds',
+                    containers: [{ name: 'build', env: [{ name: 'B', value: '2' }] }, { name: 'sidecar' }],
+                    tolerations: [{ key: 'dedicated', operator: 'Exists' }]
+                }
+            });
+
+            assert.deepEqual(patched, {
+                metadata: { labels: { app: 'screwdriver', tier: 'builds' } },
+                spec: {
+                    priorityClassName: 'builds',
+                    containers: [
+                        {
+                            name: 'build',
+                            image: 'node:22',
+                            env: [
+                                { name: 'A', value: '1' },
+                                { name: 'B', value: '2' }
+                            ]
+                        },
+                        { name: 'dind', image: 'docker:dind' },
+                        { name: 'sidecar' }
+                    ],
+                    tolerations: [{ key: 'dedicated', operator: 'Exists' }]
+                }
+            });
+            assert.deepEqual(pod.metadata.labels, { app: 'screwdriver', 'a/b': 'c' });
+        });
+
+        it('replaces other lists, even of named objects', () => {
+            const spec = name => ({ imagePullSecrets: [{ name }], containers: [{ name: 'build', ports: [{ name }] }] });
+
+            assert.deepEqual(podPatches.applyMergePatch({ spec: spec('a') }, { spec: spec('b') }), { spec: spec('b') });
+        });
+    });
+
+    describe('normalize', () => {
+        it('rejects invalid patches', () => {
+            assert.throws(() => podPatches.normalize({}), 'kubernetes.podPatches must be a list');
+            assert.throws(() => podPatches.normalize([{ patch: [] }]), 'kubernetes.podPatches[0] must have an object');
+            assert.throws(
+                () =>
+                    podPatches.normalize([
+                        { type: 'merge', patch: {} },
+                        { type: 'json', patch: [{ op: 'set' }] }
+                    ]),
+                'kubernetes.podPatches[1] must have a list of add, remove, replace, move, copy, test operations ' +
+                    'as JSON patch: Operation `op` property is not one of operations defined in RFC-6902'
+            );
+        });
+    });
+
+    describe('matches', () => {
+        const [{ selector }] = podPatches.normalize([
+            {
+                selector: {
+                    pipelineIds: [1, 2],
+                    jobName: '^(PR-[0-9]+:)?deploy',
+                    pr: false,
+                    annotations: { 'screwdriver.cd/gpu': ['1', '2'] }
+                },
+                patch: {}
+            }
+        ]);
+        const config = {
+            pipeline: { id: 2 },
+            jobName: 'deploy-prod',
+            annotations: { 'beta.screwdriver.cd/gpu': 1 }
+        };
+
+        it('matches builds meeting all the conditions', () => {
+            assert.isTrue(podPatches.matches(selector, config));
+            assert.isTrue(podPatches.matches(podPatches.normalize([{ patch: {} }])[0].selector, {}));
+        });
+
+        it('does not match builds failing a condition', () => {
+            assert.isFalse(podPatches.matches(selector, { ...config, pipeline: { id: 3 } }));
+            assert.isFalse(podPatches.matches(selector, { ...config, jobName: 'main' }));
+            assert.isFalse(podPatches.matches(selector, { ...config, jobName: 'PR-1:deploy-prod' }));
+            assert.isFalse(podPatches.matches(selector, { ...config, annotations: {} }));
+            assert.isFalse(podPatches.matches(selector, { ...config, annotations: { 'screwdriver.cd/gpu': 4 } }));
+        });
+    });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const { assert } = require('chai');
+const jwt = require('jsonwebtoken');
+const yaml = require('js-yaml');
+const podPreview = require('../../lib/podPreview');
+
+describe('podPreview', () => {
+    const options = {
+        ecosystem: { api: 'https://api.example.com', store: 'https://store.example.com' },
+        prefix: 'beta_',
+        kubernetes: { token: 'k8s_token', nodeSelectors: { dedicated: 'screwdriver' } }
+    };
+
+    describe('renderPod', () => {
+        it('renders the pod of the build', () => {
+            const pod = podPreview.renderPod(options, {
+                buildId: 42,
+                jobName: 'main',
+                annotations: { 'screwdriver.cd/cpu': 'HIGH' },
+                token: 'build_token'
+            });
+
+            assert.match(pod.metadata.name, /^beta_42-\w{5}$/);
+            assert.equal(pod.metadata.labels['screwdriver.cd/cpu'], '6');
+            assert.equal(pod.spec.containers[0].image, 'node:22');
+            assert.deepEqual(yaml.load(podPreview.toYaml(pod)), pod);
+        });
+
+        it('renders the pod of a cluster', () => {
+            const pod = podPreview.renderPod(
+                {
+                    ...options,
+                    kubernetes: {
+                        ...options.kubernetes,
+                        clusters: { gpu: { host: 'gpu.example.com', nodeSelectors: { dedicated: 'gpu' } } }
+                    }
+                },
+                {},
+                { cluster: 'gpu' }
+            );
+
+            assert.equal(pod.spec.tolerations[0].value, 'gpu');
+            assert.throws(() => podPreview.renderPod(options, {}, { cluster: 'gpu' }), 'Cluster gpu is not one of: ');
+        });
+
+        it('needs a build JWT for PR jobs', () => {
+            const token = jwt.sign({ prParentJobId: 7 }, 'secret');
+
+            assert.throws(
+                () => podPreview.renderPod(options, { jobName: 'PR-1:main', token: 'build_token' }),
+                'token must be a build JWT for PR job PR-1:main'
+            );
+            assert.equal(
+                podPreview.renderPod(options, { jobName: 'PR-1:main', token }).metadata.labels.sdbuild,
+                'beta_1'
+            );
+        });
+    });
+
+    describe('diffPods', () => {
+        it('lists the changed, added and removed fields', () => {
+            const before = {
+                metadata: { name: 'beta_1-aaaaa', labels: { app: 'screwdriver', old: 'x' } },
+                spec: { containers: [{ image: 'node:20', args: [] }] }
+            };
+            const after = {
+                metadata: { name: 'beta_1-bbbbb', labels: { app: 'screwdriver', new: 'y' } },
+                spec: { containers: [{ image: 'node:22', args: ['a'] }] }
+            };
+            const changes = podPreview.diffPods(before, after);
+
+            assert.deepEqual(changes, [
+                { path: 'metadata.labels.old', before: 'x', after: undefined },
+                { path: 'spec.containers[0].image', before: 'node:20', after: 'node:22' },
+                { path: 'spec.containers[0].args', before: [], after: undefined },
+                { path: 'metadata.labels.new', before: undefined, after: 'y' },
+                { path: 'spec.containers[0].args[0]', before: undefined, after: 'a' }
+            ]);
+            assert.equal(
+                podPreview.formatDiff(changes.slice(0, 2)),
+                '- metadata.labels.old: "x"\n- spec.containers[0].image: "node:20"\n+ spec.containers[0].image: "node:22"'
+            );
+        });
+
+        it('is empty for pods rendered with the same config', () => {
+            const build = { buildId: 42, token: 'build_token' };
+
+            assert.deepEqual(
+                podPreview.diffPods(podPreview.renderPod(options, build), podPreview.renderPod(options, build)),
+                []
+            );
+        });
+    });
+});
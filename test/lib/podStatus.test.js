@@ -0,0 +1,311 @@
+'use strict';
+
+const { assert } = require('chai');
+const podStatus = require('../../lib/podStatus');
+
+describe('podStatus', () => {
+    describe('getSchedulingMessage', () => {
+        const unschedulable = message => ({
+            status: {
+                phase: 'Pending',
+                conditions: [{ type: 'PodScheduled', status: 'False', reason: 'Unschedulable', message }]
+            }
+        });
+
+        it('returns empty string when there is no reason known', () => {
+            assert.equal(podStatus.getSchedulingMessage(undefined, []), '');
+            assert.equal(podStatus.getSchedulingMessage({ status: { phase: 'Pending' } }), '');
+        });
+
+        it('explains why no node fits the pod', () => {
+            const pod = unschedulable(
+                '0/6 nodes are available: 1 Insufficient nvidia.com/gpu, 2 node(s) had untolerated taint ' +
+                    '{dedicated: gpu}, 1 Too many pods, 1 node(s) had volume node affinity conflict, 1 foo bar.'
+            );
+
+            assert.equal(
+                podStatus.getSchedulingMessage(pod, []),
+                'Waiting for a node to run the build, none of the 6 nodes fit: 1 with not enough free ' +
+                    'nvidia.com/gpu, 2 reserved for other workloads (taints), 1 at their pod limit, ' +
+                    '1 in another zone than the volumes of the build, 1 foo bar.'
+            );
+        });
+
+        it('prefers the latest scheduling event over the condition', () => {
+            const events = [
+                { type: 'Warning', reason: 'FailedScheduling', eventTime: '2026-10-19T00:01:00Z', message: 'new' },
+                { type: 'Warning', reason: 'FailedScheduling', eventTime: '2026-10-19T00:00:00Z', message: 'old' },
+                { type: 'Warning', reason: 'BackOff', eventTime: '2026-10-19T00:02:00Z', message: 'other' }
+            ];
+
+            assert.equal(
+                podStatus.getSchedulingMessage(unschedulable('condition'), events),
+                'Waiting for resources to be available. new'
+            );
+        });
+
+        it('explains unbound volume claims and quota errors of the Job', () => {
+            const events = [
+                {
+                    type: 'Warning',
+                    reason: 'FailedCreate',
+                    message: 'Error creating: pods "beta_15-abcde" is forbidden: exceeded quota: builds'
+                }
+            ];
+
+            assert.equal(
+                podStatus.getSchedulingMessage(undefined, events),
+                'Waiting for namespace quota: Error creating: pods "beta_15-abcde" is forbidden: exceeded quota: builds'
+            );
+            events[0].message += ', requested: pods=1, used: pods=10, limited: pods=10';
+            assert.equal(
+                podStatus.getSchedulingMessage(undefined, events),
+                'Waiting for namespace quota: quota builds has not enough pods (the build needs 1, 10 of 10 used). ' +
+                    'The build will start when enough quota is free.'
+            );
+            assert.equal(
+                podStatus.getSchedulingMessage(
+                    unschedulable('0/2 nodes are available: pod has unbound immediate PersistentVolumeClaims.')
+                ),
+                'Waiting for a volume claim of the build to be bound.'
+            );
+        });
+
+        it('explains scheduling gates', () => {
+            const pod = {
+                status: { conditions: [{ type: 'PodScheduled', status: 'False', reason: 'SchedulingGated' }] }
+            };
+
+            assert.equal(
+                podStatus.getSchedulingMessage(pod, []),
+                'Waiting for scheduling gates of the build pod to be removed.'
+            );
+        });
+    });
+
+    describe('getFailedContainer', () => {
+        it('returns the first failed container, init containers first', () => {
+            const pod = {
+                status: {
+                    initContainerStatuses: [
+                        { name: 'launcher', state: { terminated: { exitCode: 0 } } },
+                        { name: 'setup', state: { terminated: { exitCode: 2 } } }
+                    ],
+                    containerStatuses: [{ name: 'build', state: { waiting: { reason: 'CrashLoopBackOff' } } }]
+                }
+            };
+
+            assert.include(podStatus.getFailedContainer(pod), { name: 'setup', init: true });
+            pod.status.initContainerStatuses.pop();
+            assert.include(podStatus.getFailedContainer(pod), { name: 'build' });
+            pod.status.containerStatuses[0].state = { running: {} };
+            assert.isUndefined(podStatus.getFailedContainer(pod));
+        });
+
+        it('prefers the build container, and ignores sidecars which stopped fine or with the pod', () => {
+            const pod = {
+                metadata: {},
+                status: {
+                    containerStatuses: [
+                        { name: 'svc-db', state: { terminated: { exitCode: 0 } } },
+                        { name: 'dind', state: { terminated: { exitCode: 1, reason: 'Error' } } },
+                        { name: 'beta_15', state: { running: {} } }
+                    ]
+                }
+            };
+
+            assert.include(podStatus.getFailedContainer(pod), { name: 'dind' });
+            pod.status.containerStatuses[2].state = { terminated: { exitCode: 2 } };
+            assert.include(podStatus.getFailedContainer(pod), { name: 'beta_15' });
+            pod.status.containerStatuses[2].state = { running: {} };
+            pod.status.containerStatuses[1].state = { terminated: { exitCode: 143 } };
+            pod.metadata.deletionTimestamp = '2026-10-19T10:00:00Z';
+            assert.isUndefined(podStatus.getFailedContainer(pod));
+        });
+    });
+
+    describe('getContainerFailureMessage', () => {
+        const pod = (initContainerStatuses, containerStatuses) => ({
+            status: { initContainerStatuses, containerStatuses }
+        });
+
+        it('names the failed launcher init container', () => {
+            assert.equal(
+                podStatus.getContainerFailureMessage(
+                    pod(
+                        [{ name: 'launcher-beta_15', state: { waiting: { reason: 'CrashLoopBackOff' } } }],
+                        [{ name: 'beta_15', state: { waiting: { reason: 'PodInitializing' } } }]
+                    )
+                ),
+                'Build failed to start, the launcher init container launcher-beta_15 failed (CrashLoopBackOff). ' +
+                    'Please reach out to your cluster admin for help.'
+            );
+        });
+
+        it('checks every container, not just the first one', () => {
+            assert.equal(
+                podStatus.getContainerFailureMessage(
+                    pod(
+                        [{ name: 'launcher-beta_15', state: { terminated: { exitCode: 0 } } }],
+                        [
+                            { name: 'beta_15', state: { running: {} } },
+                            { name: 'dind', state: { running: {} } },
+                            { name: 'buildkitd', state: { waiting: { reason: 'CreateContainerError' } } }
+                        ]
+                    )
+                ),
+                'BuildKit sidecar container buildkitd of the build failed (CreateContainerError). Please check ' +
+                    'the buildkitCpu and buildkitRam annotations of the job or reach out to your cluster admin for help.'
+            );
+        });
+
+        it('names a failed sidecar unless the build container failed', () => {
+            const dind = { name: 'dind', state: { terminated: { exitCode: 1, reason: 'Error' } } };
+
+            assert.equal(
+                podStatus.getContainerFailureMessage(pod([], [{ name: 'beta_15', state: { running: {} } }, dind])),
+                'Docker in Docker sidecar container dind of the build failed (Error). Please check the dockerCpu ' +
+                    'and dockerRam annotations of the job or reach out to your cluster admin for help.'
+            );
+            assert.equal(
+                podStatus.getContainerFailureMessage(
+                    pod([], [{ name: 'beta_15', state: { terminated: { exitCode: 1 } } }, dind])
+                ),
+                ''
+            );
+        });
+
+        it('leaves the termination of the build container to the pod phase', () => {
+            const terminated = pod([], [{ name: 'beta_15', state: { terminated: { exitCode: 1 } } }]);
+
+            assert.equal(podStatus.getContainerFailureMessage(terminated), '');
+            assert.equal(podStatus.getContainerFailureMessage({}), '');
+            assert.equal(
+                podStatus.getContainerFailureMessage(
+                    pod([], [{ name: 'beta_15', state: { waiting: { reason: 'InvalidImageName' } } }])
+                ),
+                'Build failed to start. Please check if your image is valid.'
+            );
+        });
+    });
+
+    describe('getTerminationCause', () => {
+        it('suggests the memory annotation of the container which ran out of memory', () => {
+            const pod = {
+                spec: { containers: [{ name: 'dind', resources: { limits: { memory: '4Gi' } } }] },
+                status: {
+                    containerStatuses: [
+                        { name: 'beta_15', state: { running: {} } },
+                        { name: 'dind', state: { running: {} }, lastState: { terminated: { reason: 'OOMKilled' } } }
+                    ]
+                }
+            };
+
+            assert.deepEqual(podStatus.getTerminationCause(pod), {
+                reason: 'OOMKilled',
+                message:
+                    'Container dind of the build ran out of memory (limit: 4Gi) and was killed. Please reduce ' +
+                    'the memory usage of the build or request more memory with the screwdriver.cd/dockerRam annotation.'
+            });
+        });
+
+        it('recognizes evicted, preempted, disrupted and timed out pods', () => {
+            const cause = status => podStatus.getTerminationCause({ spec: { activeDeadlineSeconds: 5400 }, status });
+
+            assert.deepEqual(cause({ reason: 'Evicted', message: 'The node was low on resource: memory.' }), {
+                reason: 'Evicted',
+                message:
+                    'Build was evicted from its node: The node was low on resource: memory. ' +
+                    'Please restart the build, or reduce its resource usage if this happens again.'
+            });
+            assert.equal(cause({ reason: 'Preempting' }).reason, 'Preempted');
+            assert.equal(
+                podStatus.getTerminationCause({
+                    spec: { priorityClassName: 'sd-pr' },
+                    status: { reason: 'Preempting' }
+                }).message,
+                'Build was preempted to make room for a workload of higher priority than its priority class sd-pr ' +
+                    'on its node. Please restart the build, or ask your cluster admin about the priority of the ' +
+                    'build if this happens again.'
+            );
+            assert.deepEqual(
+                cause({
+                    conditions: [
+                        {
+                            type: 'DisruptionTarget',
+                            status: 'True',
+                            reason: 'DeletionByTaintManager',
+                            message: 'Taint manager: deleting due to NoExecute taint'
+                        }
+                    ]
+                }),
+                {
+                    reason: 'Disrupted',
+                    message:
+                        'Build pod was disrupted by the cluster (DeletionByTaintManager Taint manager: deleting ' +
+                        'due to NoExecute taint). Please restart the build.'
+                }
+            );
+            assert.equal(
+                cause({ reason: 'DeadlineExceeded' }).message,
+                'Build ran past its deadline of 90 minutes and was stopped. ' +
+                    'Please speed up the build or raise its screwdriver.cd/timeout annotation.'
+            );
+            assert.isUndefined(cause({ phase: 'Failed' }));
+        });
+    });
+
+    describe('isLostBeforeBuildStarted', () => {
+        it('is true for pods lost to the cluster before the build container started', () => {
+            const pod = {
+                status: {
+                    phase: 'Unknown',
+                    initContainerStatuses: [
+                        { name: 'launcher-beta_15', state: { terminated: { exitCode: 0, startedAt: 'now' } } }
+                    ],
+                    containerStatuses: [{ name: 'beta_15', state: { waiting: { reason: 'PodInitializing' } } }]
+                }
+            };
+
+            assert.isTrue(podStatus.isLostBeforeBuildStarted(pod));
+            pod.status.containerStatuses[0].state = { running: {} };
+            assert.isFalse(podStatus.isLostBeforeBuildStarted(pod));
+            assert.isFalse(podStatus.isLostBeforeBuildStarted({ status: { phase: 'Failed' } }));
+            assert.isTrue(podStatus.isLostBeforeBuildStarted({ status: { phase: 'Failed', reason: 'NodeLost' } }));
+        });
+    });
+
+    describe('formatFailureSummary', () => {
+        it('describes the termination of a container', () => {
+            const details = podStatus.getFailureDetails({
+                name: 'build',
+                state: { waiting: { reason: 'CrashLoopBackOff' } },
+                lastState: { terminated: { reason: 'OOMKilled', exitCode: 137, message: ' killed \n' } }
+            });
+
+            assert.deepEqual(details, {
+                container: 'build',
+                init: false,
+                waitingReason: 'CrashLoopBackOff',
+                reason: 'OOMKilled',
+                exitCode: 137,
+                message: 'killed'
+            });
+            assert.equal(
+                podStatus.formatFailureSummary(details, ''),
+                'Container build terminated with exit code 137 (OOMKilled): killed'
+            );
+        });
+
+        it('keeps the end of long logs', () => {
+            const summary = podStatus.formatFailureSummary(
+                { container: 'build', waitingReason: 'StartError', message: 'x'.repeat(2000) },
+                `${'log line\n'.repeat(200)}error: the end`
+            );
+
+            assert.equal(summary.length, 1000);
+            assert.match(summary, /^Container build failed \(StartError\): x+\.\.\.\. Last log lines:\n\.\.\./);
+            assert.match(summary, /log line\nerror: the end$/);
+        });
+    });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const { assert } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const podTemplate = require('../../lib/podTemplate');
+
+describe('podTemplate', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sd-pod-template-'));
+        fs.writeFileSync(
+            path.join(dir, 'helpers.js'),
+            'module.exports = { upper: value => String(value).toUpperCase() };'
+        );
+        fs.writeFileSync(path.join(dir, 'pod.yaml.hbs'), 'name: {{upper name}}\n{{> spec}}');
+        fs.writeFileSync(path.join(dir, 'spec.hbs'), 'spec: {{spec}}');
+        fs.writeFileSync(path.join(dir, 'invalid.hbs'), 'name: {{name}');
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('loadHelpers', () => {
+        it('loads the helpers from a module path', () => {
+            const helpers = { lower: value => value };
+
+            assert.strictEqual(podTemplate.loadHelpers(helpers), helpers);
+            assert.equal(podTemplate.loadHelpers(path.join(dir, 'helpers.js')).upper('a'), 'A');
+        });
+    });
+
+    describe('compile', () => {
+        it('compiles the template with its helpers and partials', () => {
+            const template = podTemplate.compile(
+                {
+                    templateHelpers: path.join(dir, 'helpers.js'),
+                    templatePartials: { spec: path.join(dir, 'spec.hbs') }
+                },
+                path.join(dir, 'pod.yaml.hbs')
+            );
+
+            assert.equal(template({ name: 'beta_15', spec: 'x' }), 'name: BETA_15\nspec: x');
+        });
+
+        it('throws on invalid templates and partials', () => {
+            assert.throws(() => podTemplate.compile({}, path.join(dir, 'invalid.hbs')), /Parse error/);
+            assert.throws(
+                () =>
+                    podTemplate.compile(
+                        { templatePartials: { spec: path.join(dir, 'invalid.hbs') } },
+                        path.join(dir, 'pod.yaml.hbs')
+                    ),
+                /Parse error/
+            );
+            assert.throws(() => podTemplate.compile({}, path.join(dir, 'missing.hbs')), /ENOENT/);
+        });
+    });
+});
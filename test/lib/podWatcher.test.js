@@ -0,0 +1,204 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const mockery = require('mockery');
+const { PassThrough } = require('stream');
+
+sinon.assert.expose(assert, { prefix: '' });
+
+describe('PodWatcher', () => {
+    const podsUrl = 'https://kubernetes.default/api/v1/namespaces/default/pods';
+    const httpsOptions = { rejectUnauthorized: true, certificateAuthority: 'ca_cert' };
+    let PodWatcher;
+    let watcher;
+    let requestMock;
+    let streams;
+    let clock;
+
+    const pod = (name, sdbuild, resourceVersion, phase = 'Pending') => ({
+        metadata: { name, resourceVersion, labels: { app: 'screwdriver', sdbuild } },
+        status: { phase }
+    });
+    const sendEvent = (stream, type, object) => stream.write(`${JSON.stringify({ type, object })}\n`);
+    // like a got stream, once the API server accepted the watch
+    const connect = (stream, statusCode = 200) => stream.emit('response', { statusCode });
+    const tick = () =>
+        new Promise(resolve => {
+            setImmediate(resolve);
+        });
+
+    before(() => {
+        mockery.enable({
+            useCleanCache: true,
+            warnOnUnregistered: false
+        });
+    });
+
+    beforeEach(() => {
+        streams = [];
+        requestMock = sinon.stub().resolves({
+            statusCode: 200,
+            body: {
+                metadata: { resourceVersion: '100' },
+                items: [pod('beta_1-abcde', 'beta_1', '90'), pod('beta_2-fghij', 'beta_2', '95')]
+            }
+        });
+        requestMock.stream = sinon.stub().callsFake(() => {
+            // like a got stream, which emits end but not close when the API server ends the watch
+            const stream = new PassThrough({ autoDestroy: false });
+
+            streams.push(stream);
+
+            return stream;
+        });
+        mockery.registerMock('screwdriver-request', requestMock);
+        /* eslint-disable global-require */
+        PodWatcher = require('../../lib/podWatcher');
+        /* eslint-enable global-require */
+
+        watcher = new PodWatcher({ podsUrl, token: 'api_key', httpsOptions, reconnectDelay: 10 });
+    });
+
+    afterEach(() => {
+        watcher.stop();
+        if (clock) {
+            clock.restore();
+            clock = null;
+        }
+        mockery.deregisterAll();
+        mockery.resetCache();
+    });
+
+    after(() => {
+        mockery.disable();
+    });
+
+    it('lists pods and starts watching from the listed resourceVersion', async () => {
+        await watcher.start();
+        connect(streams[0]);
+
+        assert.isTrue(watcher.synced);
+        assert.calledWith(requestMock, {
+            url: podsUrl,
+            method: 'GET',
+            headers: { Authorization: 'Bearer api_key' },
+            https: httpsOptions,
+            searchParams: { labelSelector: 'app=screwdriver' }
+        });
+        assert.calledWith(requestMock.stream, podsUrl, {
+            headers: { Authorization: 'Bearer api_key' },
+            https: httpsOptions,
+            searchParams: {
+                watch: true,
+                allowWatchBookmarks: true,
+                labelSelector: 'app=screwdriver',
+                resourceVersion: '100',
+                timeoutSeconds: 300
+            }
+        });
+        assert.deepEqual(watcher.getPodsByBuild('beta_1'), [pod('beta_1-abcde', 'beta_1', '90')]);
+        assert.deepEqual(watcher.getPod('beta_2-fghij'), pod('beta_2-fghij', 'beta_2', '95'));
+    });
+
+    it('only starts once', async () => {
+        await watcher.start();
+        await watcher.start();
+
+        assert.calledOnce(requestMock);
+        assert.calledOnce(requestMock.stream);
+    });
+
+    it('applies watch events to the cache', async () => {
+        await watcher.start();
+
+        sendEvent(streams[0], 'MODIFIED', pod('beta_1-abcde', 'beta_1', '101', 'Running'));
+        sendEvent(streams[0], 'ADDED', pod('beta_3-klmno', 'beta_3', '102'));
+        sendEvent(streams[0], 'DELETED', pod('beta_2-fghij', 'beta_2', '103'));
+        sendEvent(streams[0], 'BOOKMARK', { metadata: { resourceVersion: '104' } });
+        streams[0].write('not json\n');
+        await tick();
+
+        assert.equal(watcher.getPod('beta_1-abcde').status.phase, 'Running');
+        assert.deepEqual(watcher.getPodsByBuild('beta_3'), [pod('beta_3-klmno', 'beta_3', '102')]);
+        assert.isUndefined(watcher.getPod('beta_2-fghij'));
+        assert.equal(watcher.resourceVersion, '104');
+    });
+
+    it('resumes the watch from the last resourceVersion when the stream ends', async () => {
+        clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        await watcher.start();
+
+        sendEvent(streams[0], 'MODIFIED', pod('beta_1-abcde', 'beta_1', '105', 'Running'));
+        streams[0].end();
+        await tick();
+
+        assert.isFalse(streams[0].destroyed);
+        assert.isFalse(watcher.synced);
+
+        streams[0].emit('close');
+        clock.tick(10);
+        await tick();
+        connect(streams[1]);
+
+        assert.isTrue(watcher.synced);
+        assert.calledOnce(requestMock);
+        assert.calledTwice(requestMock.stream);
+        assert.equal(requestMock.stream.secondCall.args[1].searchParams.resourceVersion, '105');
+    });
+
+    it('relists when the resourceVersion is gone', async () => {
+        clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        await watcher.start();
+
+        sendEvent(streams[0], 'ERROR', { kind: 'Status', code: 410, reason: 'Expired' });
+        await tick();
+        clock.tick(10);
+        await tick();
+
+        assert.calledTwice(requestMock);
+        assert.calledTwice(requestMock.stream);
+        assert.equal(requestMock.stream.secondCall.args[1].searchParams.resourceVersion, '100');
+    });
+
+    it('retries the list when it fails', async () => {
+        clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        requestMock.onFirstCall().rejects(new Error('connection refused'));
+
+        await watcher.start();
+        assert.isFalse(watcher.synced);
+        assert.notCalled(requestMock.stream);
+
+        clock.tick(10);
+        await tick();
+        connect(streams[0]);
+
+        assert.isTrue(watcher.synced);
+        assert.calledOnce(requestMock.stream);
+    });
+
+    it('is not synced until the watch is established', async () => {
+        await watcher.start();
+
+        assert.isFalse(watcher.synced);
+
+        connect(streams[0], 500);
+        assert.isFalse(watcher.synced);
+
+        connect(streams[0]);
+        assert.isTrue(watcher.synced);
+    });
+
+    it('does not reconnect once stopped', async () => {
+        clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        await watcher.start();
+
+        watcher.stop();
+        await tick();
+        clock.tick(10);
+        await tick();
+
+        assert.isTrue(streams[0].destroyed);
+        assert.calledOnce(requestMock.stream);
+    });
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const { assert } = require('chai');
+const quantity = require('../../lib/quantity');
+
+describe('quantity', () => {
+    describe('parse', () => {
+        it('parses quantities in base units', () => {
+            assert.deepEqual(quantity.parse(2), { value: 2, suffix: '' });
+            assert.deepEqual(quantity.parse('500m'), { value: 0.5, suffix: 'm' });
+            assert.deepEqual(quantity.parse(' 1.5 '), { value: 1.5, suffix: '' });
+            assert.deepEqual(quantity.parse('512Mi'), { value: 512 * 2 ** 20, suffix: 'Mi' });
+            assert.deepEqual(quantity.parse('2G'), { value: 2e9, suffix: 'G' });
+            assert.deepEqual(quantity.parse('1e3'), { value: 1000, suffix: '' });
+        });
+
+        it('returns undefined for invalid quantities', () => {
+            assert.isUndefined(quantity.parse('HIGH'));
+            assert.isUndefined(quantity.parse('2 Gi'));
+            assert.isUndefined(quantity.parse('1.5GB'));
+            assert.isUndefined(quantity.parse(Infinity));
+            assert.isUndefined(quantity.parse(true));
+        });
+    });
+
+    describe('parseCpu', () => {
+        it('parses cores rounded to millicores', () => {
+            assert.equal(quantity.parseCpu(2), 2);
+            assert.equal(quantity.parseCpu('1.5'), 1.5);
+            assert.equal(quantity.parseCpu('500m'), 0.5);
+            assert.equal(quantity.parseCpu(0.0004), 0);
+            assert.isUndefined(quantity.parseCpu('1Gi'));
+        });
+    });
+
+    describe('parseMemory', () => {
+        it('parses GB, or quantities with a unit, rounded up to MiB', () => {
+            assert.equal(quantity.parseMemory(4), 4);
+            assert.equal(quantity.parseMemory('1.5'), 1.5);
+            assert.equal(quantity.parseMemory('512Mi'), 0.5);
+            assert.equal(quantity.parseMemory('2Gi'), 2);
+            assert.equal(quantity.parseMemory('1G'), 954 / 1024);
+            assert.isUndefined(quantity.parseMemory('500m'));
+        });
+    });
+});
@@ -0,0 +1,144 @@
+'use strict';
+
+const { assert } = require('chai');
+const quota = require('../../lib/quota');
+
+describe('quota', () => {
+    const limitRanges = [
+        {
+            metadata: { name: 'builds' },
+            spec: {
+                limits: [
+                    {
+                        type: 'Container',
+                        default: { cpu: '1', memory: '1Gi' },
+                        defaultRequest: { cpu: '500m', memory: '512Mi' },
+                        max: { cpu: '4' },
+                        min: { memory: '256Mi' }
+                    }
+                ]
+            }
+        }
+    ];
+    const podConfig = {
+        spec: {
+            initContainers: [{ name: 'launcher', resources: { limits: { cpu: '6' } } }],
+            containers: [
+                { name: 'build', resources: { limits: { cpu: '2', memory: '4Gi' }, requests: { cpu: '1500m' } } },
+                { name: 'dind' }
+            ]
+        }
+    };
+
+    describe('getPodUsage', () => {
+        it('sums the containers with the defaults of the limit ranges, or takes the largest init container', () => {
+            assert.deepEqual(quota.getPodUsage(podConfig, limitRanges), {
+                pods: 1,
+                'count/pods': 1,
+                'requests.cpu': 6,
+                'requests.memory': 4.5 * 2 ** 30,
+                'limits.cpu': 6,
+                'limits.memory': 5 * 2 ** 30,
+                cpu: 6,
+                memory: 4.5 * 2 ** 30
+            });
+            assert.deepEqual(quota.getPodUsage({ spec: { containers: [{ name: 'build' }] } }, []), {
+                pods: 1,
+                'count/pods': 1
+            });
+        });
+    });
+
+    describe('getLimitRangeViolations', () => {
+        it('lists the containers out of the min and max of the limit ranges', () => {
+            assert.deepEqual(quota.getLimitRangeViolations(podConfig, limitRanges), [
+                'container launcher has a cpu limit of 6, max 4 (limit range builds)'
+            ]);
+            assert.deepEqual(
+                quota.getLimitRangeViolations(
+                    { spec: { containers: [{ name: 'build', resources: { requests: { memory: '128Mi' } } }] } },
+                    limitRanges
+                ),
+                ['container build has a memory request of 128Mi, min 256Mi (limit range builds)']
+            );
+            assert.deepEqual(quota.getLimitRangeViolations(podConfig, []), []);
+        });
+    });
+
+    describe('getShortages', () => {
+        it('lists the resources of the quotas without room for the pod', () => {
+            const quotas = [
+                {
+                    metadata: { name: 'compute' },
+                    status: {
+                        hard: { 'requests.cpu': '8', 'limits.memory': '16Gi', 'requests.nvidia.com/gpu': '1' },
+                        used: { 'requests.cpu': '7500m', 'limits.memory': '8Gi' }
+                    }
+                },
+                { metadata: { name: 'count' }, spec: { hard: { pods: '5' } } },
+                { metadata: { name: 'best-effort' }, spec: { hard: { pods: '0' }, scopes: ['BestEffort'] } }
+            ];
+
+            assert.deepEqual(quota.getShortages({ pods: 1, 'requests.cpu': 1, 'limits.memory': 2 ** 30 }, quotas), [
+                { quota: 'compute', resource: 'requests.cpu', requested: 1, used: 7.5, hard: 8 }
+            ]);
+        });
+    });
+
+    describe('formatShortages', () => {
+        it('explains which quotas are short of which resources', () => {
+            assert.equal(
+                quota.formatShortages(
+                    [
+                        { quota: 'compute', resource: 'requests.cpu', requested: 0.5, used: 7.75, hard: 8 },
+                        {
+                            quota: 'compute',
+                            resource: 'requests.memory',
+                            requested: 2 ** 29,
+                            used: 2 ** 34,
+                            hard: 2 ** 34
+                        },
+                        { quota: 'count', resource: 'pods', requested: 1, used: 5, hard: 5 }
+                    ],
+                    'sd-builds'
+                ),
+                'Waiting for namespace quota: quota compute of namespace sd-builds has not enough requests.cpu ' +
+                    '(the build needs 500m, 7.75 of 8 used), requests.memory (the build needs 512Mi, 16Gi of 16Gi ' +
+                    'used); quota count of namespace sd-builds has not enough pods (the build needs 1, 5 of 5 used). ' +
+                    'The build will start when enough quota is free.'
+            );
+        });
+    });
+
+    describe('describeExceededQuota', () => {
+        it('explains quota exceeded errors of the Kubernetes API', () => {
+            assert.equal(
+                quota.describeExceededQuota(
+                    'pods "beta_15" is forbidden: exceeded quota: compute, requested: limits.cpu=2,limits.memory=2Gi, ' +
+                        'used: limits.cpu=7,limits.memory=15Gi, limited: limits.cpu=8,limits.memory=16Gi'
+                ),
+                'Waiting for namespace quota: quota compute has not enough limits.cpu (the build needs 2, 7 of 8 ' +
+                    'used), limits.memory (the build needs 2Gi, 15Gi of 16Gi used). The build will start when ' +
+                    'enough quota is free.'
+            );
+            assert.equal(quota.describeExceededQuota('pods "beta_15" is forbidden: exceeded quota: builds'), '');
+            assert.equal(quota.describeExceededQuota(undefined), '');
+        });
+    });
+
+    describe('isExceededQuotaError', () => {
+        it('is true for requests rejected by a ResourceQuota', () => {
+            const err = new Error(
+                '403 Reason "pods "beta_15" is forbidden: exceeded quota: builds, requested: limits.cpu=2, ' +
+                    'used: limits.cpu=7, limited: limits.cpu=8"'
+            );
+
+            err.statusCode = 403;
+            assert.isTrue(quota.isExceededQuotaError(err));
+            err.statusCode = 500;
+            assert.isFalse(quota.isExceededQuotaError(err));
+            assert.isFalse(quota.isExceededQuotaError(Object.assign(new Error('forbidden'), { statusCode: 403 })));
+            assert.isFalse(quota.isExceededQuotaError(undefined));
+        });
+    });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const { assert } = require('chai');
+const securityProfiles = require('../../lib/securityProfiles');
+
+describe('securityProfiles', () => {
+    const createPod = () => ({
+        spec: {
+            securityContext: { fsGroup: 100 },
+            initContainers: [{ name: 'launcher' }],
+            containers: [
+                { name: 'build', securityContext: { privileged: true } },
+                { name: 'svc-db', securityContext: { privileged: false, allowPrivilegeEscalation: false } }
+            ]
+        }
+    });
+
+    describe('validate', () => {
+        const profiles = { baseline: {}, restricted: {} };
+
+        it('accepts configured default and allowed profiles', () => {
+            const options = { profiles, default: 'baseline', allowed: ['restricted'] };
+
+            assert.strictEqual(securityProfiles.validate(options), options);
+            assert.deepEqual(securityProfiles.validate(), {});
+        });
+
+        it('throws on default or allowed profiles which are not configured', () => {
+            assert.throws(
+                () => securityProfiles.validate({ profiles, default: 'privileged' }),
+                'kubernetes.securityProfiles.default is an unknown profile: privileged'
+            );
+            assert.throws(
+                () => securityProfiles.validate({ profiles, allowed: ['restricted', 'host', 'root'] }),
+                'kubernetes.securityProfiles.allowed lists unknown profiles: host, root'
+            );
+            assert.throws(
+                () => securityProfiles.validate({ profiles, allowed: 'restricted' }),
+                'kubernetes.securityProfiles.allowed must be a list'
+            );
+        });
+    });
+
+    describe('apply', () => {
+        it('merges the securityContexts of the profile into the pod and its containers', () => {
+            const pod = securityProfiles.apply(
+                createPod(),
+                {
+                    name: 'restricted',
+                    pod: { runAsNonRoot: true, seccompProfile: { type: 'RuntimeDefault' } },
+                    container: { allowPrivilegeEscalation: false, capabilities: { drop: ['ALL'] } }
+                },
+                'build'
+            );
+            const container = { allowPrivilegeEscalation: false, capabilities: { drop: ['ALL'] } };
+
+            assert.deepEqual(pod.spec.securityContext, {
+                fsGroup: 100,
+                runAsNonRoot: true,
+                seccompProfile: { type: 'RuntimeDefault' }
+            });
+            assert.deepEqual(
+                [...pod.spec.initContainers, ...pod.spec.containers].map(c => c.securityContext),
+                [container, { privileged: false, ...container }, { privileged: false, ...container }]
+            );
+        });
+
+        it('leaves the pod as is without a profile', () => {
+            assert.deepEqual(securityProfiles.apply(createPod(), undefined, 'build'), createPod());
+            assert.deepEqual(securityProfiles.apply(createPod(), { name: 'empty' }, 'build'), createPod());
+        });
+
+        it('throws when the profile does not allow a privileged sidecar', () => {
+            assert.throws(
+                () =>
+                    securityProfiles.apply(createPod(), { name: 'restricted', container: { privileged: false } }, 'b'),
+                'Security profile restricted does not allow the privileged container build of the build. ' +
+                    'Turn off the sidecar, or ask your cluster admin for a security profile allowing it.'
+            );
+        });
+    });
+});
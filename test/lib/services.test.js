@@ -0,0 +1,104 @@
+'use strict';
+
+const { assert } = require('chai');
+const services = require('../../lib/services');
+
+describe('services', () => {
+    const options = { allowedImages: ['postgres:*', 'registry.example.com/services/*'], maxServices: 2 };
+
+    describe('isImageAllowed', () => {
+        it('matches images against the patterns of the allowlist', () => {
+            assert.isTrue(services.isImageAllowed('postgres:16', options.allowedImages));
+            assert.isTrue(services.isImageAllowed('registry.example.com/services/redis:7', options.allowedImages));
+            assert.isFalse(services.isImageAllowed('postgres', options.allowedImages));
+            assert.isFalse(services.isImageAllowed('evil.com/postgres:16', options.allowedImages));
+            assert.isFalse(services.isImageAllowed('postgres:16', []));
+        });
+    });
+
+    describe('parse', () => {
+        it('reads the services annotation as a list or a YAML or JSON string', () => {
+            const list = [{ name: 'db', image: 'postgres:16' }];
+
+            assert.deepEqual(services.parse({}), []);
+            assert.deepEqual(services.parse({ 'screwdriver.cd/services': list }), list);
+            assert.deepEqual(services.parse({ 'beta.screwdriver.cd/services': JSON.stringify(list) }), list);
+            assert.deepEqual(services.parse({ 'screwdriver.cd/services': '- name: db\n  image: postgres:16' }), list);
+        });
+
+        it('rejects values which are not a list of services', () => {
+            assert.throws(
+                () => services.parse({ 'screwdriver.cd/services': 'postgres' }),
+                'screwdriver.cd/services annotation must be a list of services'
+            );
+            assert.throws(
+                () => services.parse({ 'screwdriver.cd/services': '[{' }),
+                'screwdriver.cd/services annotation is not valid YAML or JSON'
+            );
+        });
+    });
+
+    describe('createContainers', () => {
+        const create = list => services.createContainers({ 'screwdriver.cd/services': list }, options, 'Always');
+
+        it('creates containers with bounded resources', () => {
+            assert.deepEqual(
+                create([
+                    { name: 'db', image: 'postgres:16', env: { POSTGRES_PASSWORD: 'test', PORT: 5432 }, ports: 5432 },
+                    { name: 'cache', image: 'registry.example.com/services/redis:7', tier: 'MICRO' }
+                ]),
+                [
+                    {
+                        name: 'svc-db',
+                        image: 'postgres:16',
+                        imagePullPolicy: 'Always',
+                        env: [
+                            { name: 'POSTGRES_PASSWORD', value: 'test' },
+                            { name: 'PORT', value: '5432' }
+                        ],
+                        resources: {
+                            limits: { cpu: '500m', memory: '1024Mi' },
+                            requests: { cpu: '500m', memory: '1024Mi' }
+                        },
+                        securityContext: { privileged: false, allowPrivilegeEscalation: false },
+                        ports: [{ containerPort: 5432 }]
+                    },
+                    {
+                        name: 'svc-cache',
+                        image: 'registry.example.com/services/redis:7',
+                        imagePullPolicy: 'Always',
+                        env: [],
+                        resources: {
+                            limits: { cpu: '250m', memory: '256Mi' },
+                            requests: { cpu: '250m', memory: '256Mi' }
+                        },
+                        securityContext: { privileged: false, allowPrivilegeEscalation: false }
+                    }
+                ]
+            );
+        });
+
+        it('rejects invalid services', () => {
+            const db = { name: 'db', image: 'postgres:16' };
+
+            assert.throws(() => create([db, db, db]), 'Jobs may have up to 2 services, got 3');
+            assert.throws(() => create([db, db]), 'Service name db must be unique');
+            assert.throws(() => create([{ ...db, name: 'My_DB' }]), 'Service name My_DB must be unique');
+            assert.throws(() => create([{ ...db, image: 'mysql:8' }]), 'Service db: image mysql:8 is not allowed');
+            assert.throws(() => create([{ ...db, tier: 'TURBO' }]), 'Service db: tier TURBO is not one of');
+            assert.throws(() => create([{ ...db, ports: [2376] }]), 'Service db: port 2376 is invalid or reserved');
+            assert.throws(
+                () =>
+                    create([
+                        { ...db, ports: [80] },
+                        { name: 'web', image: 'postgres:16', ports: [80] }
+                    ]),
+                'Service web: port 80 is already used by another service'
+            );
+            assert.throws(
+                () => create([{ ...db, env: { A: { valueFrom: {} } } }]),
+                'Service db: env A must be a valid name with a plain value'
+            );
+        });
+    });
+});